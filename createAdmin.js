@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+const User = require('./models/User');
+
+// Create the first administrator, or promote an existing account, without touching
+// any other data: npm run create-admin -- <email> [name]
+// The password comes from ADMIN_PASSWORD; without it a random one is generated and printed.
+const createAdmin = async (email, name) => {
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email> [name]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const now = new Date();
+  const existing = await User.findOne({ email });
+  if (existing) {
+    existing.set({ role: 'admin', status: 'active', deactivatedAt: undefined });
+    if (!existing.emailVerifiedAt) existing.emailVerifiedAt = now;
+    await existing.save();
+    console.log(`${email} is now an administrator; their password is unchanged`);
+    return;
+  }
+
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  await User.create({
+    email,
+    name: name || 'Administrator',
+    password: await bcrypt.hash(password, 10),
+    role: 'admin',
+    status: 'active',
+    emailVerifiedAt: now,
+  });
+  console.log(`Created administrator ${email}`);
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`Password: ${password} (change it after signing in)`);
+  }
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => createAdmin(process.argv[2], process.argv.slice(3).join(' ')))
+  .catch((error) => {
+    console.error('Error creating administrator:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, role: user.role, sessionId: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens have the form "<sessionId>.<secret>"; only the secret's hash is stored
+const rotateRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  session.lastUsedAt = new Date();
+  return `${session._id}.${secret}`;
+};
+
+const issueTokens = async (user, device) => {
+  const session = new Session({ user: user._id, device, refreshTokenHash: 'pending', expiresAt: new Date() });
+  const refreshToken = rotateRefreshToken(session);
+  await session.save();
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Accept both the current { userId, role } payload and the legacy
+// { user: { id, role } } payload, and expose both shapes on req.user
+// until every client has migrated.
+const normalizePayload = (payload) => {
+  const userId = payload.userId || (payload.user && payload.user.id);
+  const role = payload.role || (payload.user && payload.user.role);
+  if (!userId || !role) {
+    throw new jwt.JsonWebTokenError('Malformed token payload');
+  }
+  return {
+    userId: String(userId),
+    role,
+    sessionId: payload.sessionId,
+    user: { id: String(userId), role },
+  };
+};
+
+// With REQUIRE_EMAIL_VERIFICATION=true, users who have not verified their email are
+// refused everywhere except the account routes that let them do so
+const requiresVerifiedEmail = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const unverifiedError = () => {
+  const error = new Error('Email address not verified');
+  error.code = 'EMAIL_NOT_VERIFIED';
+  return error;
+};
+
+/**
+ * Verify an access token and make sure its session has not been revoked. Unless
+ * `allowUnverified` is set, also enforce email verification when it is required.
+ */
+const verifyAccessToken = async (token, { allowUnverified = false } = {}) => {
+  const payload = normalizePayload(jwt.verify(token, process.env.JWT_SECRET));
+  if (payload.sessionId) {
+    const session = await Session.findById(payload.sessionId);
+    if (!session || session.revokedAt) {
+      throw new jwt.JsonWebTokenError('Session has been revoked');
+    }
+  }
+  if (!allowUnverified && requiresVerifiedEmail()) {
+    const user = await User.findById(payload.userId).select('emailVerifiedAt');
+    if (!user || !user.emailVerifiedAt) {
+      throw unverifiedError();
+    }
+  }
+  return payload;
+};
+
+const authenticate = (options) => async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) return res.status(401).json({ message: 'No token provided' });
+
+  try {
+    req.user = await verifyAccessToken(token, options);
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) {
+      return res.status(403).json({ message: 'Invalid or expired token' });
+    }
+    if (err.code === 'EMAIL_NOT_VERIFIED') {
+      return res.status(403).json({ message: 'Verify your email address to continue', code: err.code });
+    }
+    console.error('Error verifying token:', err);
+    return res.status(500).json({ message: 'Error verifying token' });
+  }
+  next();
+};
+
+// Authentication middleware
+const authenticateToken = authenticate();
+
+// For account routes unverified users still need, e.g. resending the verification email
+const authenticateUnverified = authenticate({ allowUnverified: true });
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  rotateRefreshToken,
+  issueTokens,
+  normalizePayload,
+  verifyAccessToken,
+  authenticateToken,
+  authenticateUnverified,
+};
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const Assignment = require('../models/Assignment');
+const Enrollment = require('../models/Enrollment');
+
+// Error carrying an HTTP status, thrown by policies that cannot load their resource
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Build a middleware from roles and policies, e.g. authorize('teacher', ownsSubject).
+ * String arguments are allowed roles (any one must match); functions are policies
+ * `async (req) => boolean` that must all pass.
+ */
+const authorize = (...rules) => {
+  const roles = rules.filter(rule => typeof rule === 'string');
+  const policies = rules.filter(rule => typeof rule === 'function');
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'No token provided' });
+    }
+    if (roles.length && !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    try {
+      for (const policy of policies) {
+        if (!(await policy(req))) {
+          return res.status(403).json({ message: 'Access denied' });
+        }
+      }
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error checking permissions:', error);
+      return res.status(500).json({ message: 'Error checking permissions' });
+    }
+    next();
+  };
+};
+
+// Keep only whitelisted fields in req.body
+const permitFields = (...fields) => (req, res, next) => {
+  const permitted = {};
+  fields.forEach(field => {
+    if (req.body && req.body[field] !== undefined) {
+      permitted[field] = req.body[field];
+    }
+  });
+  req.body = permitted;
+  next();
+};
+
+// Whether a student holds an active enrollment in a subject
+const isEnrolled = async (studentId, subjectId) => Boolean(
+  await Enrollment.exists({ subject: subjectId, student: studentId, status: 'active' })
+);
+
+// Whether a user may read and take part in a subject: its creator or an enrolled student
+const canAccessSubject = async (user, subject) => {
+  if (String(subject.creator) === String(user.userId)) {
+    return true;
+  }
+  if (user.role !== 'student') {
+    return false;
+  }
+  return isEnrolled(user.userId, subject._id);
+};
+
+// Load the subject named by the route or body into req.subject
+const loadSubject = async (req) => {
+  if (req.subject) return req.subject;
+  const subjectId = req.params.subjectId || req.body.subject || req.body.subjectId;
+  if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+    throw httpError(404, 'Subject not found');
+  }
+  req.subject = await Subject.findById(subjectId);
+  if (!req.subject) {
+    throw httpError(404, 'Subject not found');
+  }
+  return req.subject;
+};
+
+// Load the assignment named by the route into req.assignment, and its subject into req.subject
+const loadAssignment = async (req) => {
+  if (req.assignment) return req.assignment;
+  const { assignmentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    throw httpError(404, 'Assignment not found');
+  }
+  req.assignment = await Assignment.findById(assignmentId);
+  if (!req.assignment) {
+    throw httpError(404, 'Assignment not found');
+  }
+  req.subject = await Subject.findById(req.assignment.subject);
+  if (!req.subject) {
+    throw httpError(404, 'Subject not found');
+  }
+  return req.assignment;
+};
+
+// Policies
+
+const ownsSubject = async (req) => {
+  const subject = await loadSubject(req);
+  return String(subject.creator) === String(req.user.userId);
+};
+
+const enrolledInSubject = async (req) => canAccessSubject(req.user, await loadSubject(req));
+
+const ownsAssignmentSubject = async (req) => {
+  await loadAssignment(req);
+  return String(req.subject.creator) === String(req.user.userId);
+};
+
+const enrolledInAssignmentSubject = async (req) => {
+  await loadAssignment(req);
+  return canAccessSubject(req.user, req.subject);
+};
+
+// The student named in req.body.student must belong to the subject
+const targetStudentEnrolled = async (req) => {
+  const subject = await loadSubject(req);
+  if (!mongoose.Types.ObjectId.isValid(req.body.student)) {
+    throw httpError(400, 'Invalid student');
+  }
+  return isEnrolled(req.body.student, subject._id);
+};
+
+const matchesRoleParam = async (req) => req.params.role === req.user.role;
+
+module.exports = {
+  authorize,
+  permitFields,
+  httpError,
+  isEnrolled,
+  canAccessSubject,
+  ownsSubject,
+  enrolledInSubject,
+  ownsAssignmentSubject,
+  enrolledInAssignmentSubject,
+  targetStudentEnrolled,
+  matchesRoleParam,
+};
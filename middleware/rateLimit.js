@@ -0,0 +1,62 @@
+const { getRateLimitStore } = require('../services/rateLimit');
+
+// Signed-in requests are counted per user, anonymous ones per client IP
+const clientKey = (req) => (req.user ? `user:${req.user.userId}` : `ip:${req.ip}`);
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Allow at most `max` requests per key within `windowMs`, answering 429 with a
+ * Retry-After header beyond that. Both can be overridden per limit with
+ * RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS. Mount it after
+ * authenticateToken so signed-in users get their own budget.
+ */
+const rateLimit = ({ name, windowMs, max, key = clientKey }) => {
+  const envName = `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const limit = envNumber(`${envName}_MAX`, max);
+  const window = envNumber(`${envName}_WINDOW_MS`, windowMs);
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === 'true') return next();
+
+    let hit;
+    try {
+      hit = await getRateLimitStore().increment(`rate:${name}:${key(req)}`, window);
+    } catch (error) {
+      // An unreachable store should not take the API down with it
+      console.error('Error checking rate limit:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((hit.expiresAt.getTime() - Date.now()) / 1000), 0);
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(limit - hit.count, 0)),
+      'X-RateLimit-Reset': String(Math.ceil(hit.expiresAt.getTime() / 1000)),
+    });
+    if (hit.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ message: 'Too many requests, please try again later', retryAfter: resetSeconds });
+    }
+    next();
+  };
+};
+
+// Requests that email an account are also counted per recipient, so no one can flood
+// an inbox from many addresses
+const recipientKey = (req) => (req.user ? `user:${req.user.userId}` : `email:${String(req.body.email || '').trim().toLowerCase()}`);
+
+// The limits applied across the API
+const limits = {
+  login: rateLimit({ name: 'login', windowMs: 15 * 60 * 1000, max: 30 }),
+  signup: rateLimit({ name: 'signup', windowMs: 60 * 60 * 1000, max: 10 }),
+  upload: rateLimit({ name: 'upload', windowMs: 15 * 60 * 1000, max: 30 }),
+  message: rateLimit({ name: 'message', windowMs: 60 * 1000, max: 30 }),
+  accountEmail: rateLimit({ name: 'account-email', windowMs: 60 * 60 * 1000, max: 10, key: req => `ip:${req.ip}` }),
+  accountEmailRecipient: rateLimit({ name: 'account-email-recipient', windowMs: 60 * 60 * 1000, max: 3, key: recipientKey }),
+};
+
+module.exports = { rateLimit, limits, clientKey };
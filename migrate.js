@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Apply the scripts in migrations/ in name order, each at most once. Every script
+// exports { description, up } where `up` resolves to a short summary; the names of
+// applied scripts are kept in the migrations collection.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const migrate = async () => {
+  const applied = mongoose.connection.collection('migrations');
+  const names = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'))
+    .sort();
+
+  for (const name of names) {
+    if (await applied.findOne({ name })) continue;
+    const migration = require(path.join(MIGRATIONS_DIR, name));
+    console.log(`Running ${name}: ${migration.description}`);
+    const summary = await migration.up();
+    await applied.insertOne({ name, summary, appliedAt: new Date() });
+    console.log(`Finished ${name}`, summary);
+  }
+  console.log('Migrations complete');
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .catch((error) => {
+    console.error('Error running migrations:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
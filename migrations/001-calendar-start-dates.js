@@ -0,0 +1,34 @@
+const AcademicCalendar = require('../models/AcademicCalendar');
+
+// Entries created before typed dates only have the free-text `date` (and `day`)
+// strings, which the model's virtuals now hide. Parse them into startDate/endDate.
+const up = async () => {
+  const legacy = await AcademicCalendar.collection.find({ startDate: { $exists: false } }).toArray();
+  let converted = 0;
+  const unparsed = [];
+
+  for (const entry of legacy) {
+    const day = AcademicCalendar.parseDay(entry.date);
+    if (!day) {
+      unparsed.push(String(entry._id));
+      continue;
+    }
+    await AcademicCalendar.collection.updateOne({ _id: entry._id }, {
+      $set: {
+        startDate: day,
+        endDate: day,
+        category: entry.category || 'event',
+        description: entry.description || 'Calendar entry',
+      },
+      $unset: { date: '', day: '' },
+    });
+    converted++;
+  }
+
+  if (unparsed.length) {
+    console.error(`Calendar entries with an unreadable date, left unchanged: ${unparsed.join(', ')}`);
+  }
+  return { converted, unparsed: unparsed.length };
+};
+
+module.exports = { description: 'Convert legacy calendar date strings to start and end dates', up };
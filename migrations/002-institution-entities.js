@@ -0,0 +1,56 @@
+const Degree = require('../models/Degree');
+const Department = require('../models/Department');
+const { COHORT_MODELS, resolveDegree, resolveDepartment, renameCohort } = require('../services/institution');
+
+// Group a field's stored spellings case-insensitively, most used spelling first
+const spellingsOf = async (field) => {
+  const counts = new Map();
+  for (const Model of COHORT_MODELS) {
+    const rows = await Model.aggregate([
+      { $match: { [field]: { $type: 'string', $ne: '' } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ]);
+    rows.forEach(({ _id, count }) => counts.set(_id, (counts.get(_id) || 0) + count));
+  }
+
+  const groups = new Map();
+  counts.forEach((count, spelling) => {
+    const key = spelling.trim().toLowerCase();
+    if (!key) return;
+    groups.set(key, (groups.get(key) || []).concat({ spelling, count }));
+  });
+  return Array.from(groups.values()).map(group => group
+    .sort((a, b) => b.count - a.count)
+    .map(({ spelling }) => spelling));
+};
+
+/**
+ * Give every degree or department name already in use an entity, so existing
+ * deployments keep accepting signups and new subjects. Spellings differing only in
+ * case or spacing become one entity; records are rewritten to its name. Different
+ * names for the same thing ("CS", "Computer Science") are left for an admin to merge.
+ */
+const createEntities = async (Model, field, resolveName) => {
+  let created = 0;
+  let renamed = 0;
+  for (const spellings of await spellingsOf(field)) {
+    let entity = null;
+    for (const spelling of spellings) {
+      entity = entity || await resolveName(spelling);
+    }
+    if (!entity) {
+      entity = await Model.create({ name: spellings[0].trim() });
+      created++;
+    }
+    const changed = await renameCohort(field, spellings.filter(spelling => spelling !== entity.name), entity.name);
+    renamed += Object.values(changed).reduce((sum, count) => sum + count, 0);
+  }
+  return { created, renamed };
+};
+
+const up = async () => ({
+  degrees: await createEntities(Degree, 'degree', resolveDegree),
+  departments: await createEntities(Department, 'department', resolveDepartment),
+});
+
+module.exports = { description: 'Create degree and department entities from the names already in use', up };
@@ -0,0 +1,10 @@
+const User = require('../models/User');
+
+// Accounts created before user administration have no status. Mongoose only fills in
+// the default when a document is loaded, so queries on status would miss them.
+const up = async () => {
+  const result = await User.updateMany({ status: { $exists: false } }, { $set: { status: 'active' } });
+  return { activated: result.modifiedCount };
+};
+
+module.exports = { description: 'Mark existing accounts as active', up };
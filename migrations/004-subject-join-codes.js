@@ -0,0 +1,20 @@
+const Subject = require('../models/Subject');
+
+// Subjects created before enrollment have no join code; give each one a saved code
+const up = async () => {
+  const subjects = await Subject.collection.find({ joinCode: { $in: [null, ''] } }, { projection: { _id: 1 } }).toArray();
+  for (const subject of subjects) {
+    for (;;) {
+      try {
+        await Subject.collection.updateOne({ _id: subject._id }, { $set: { joinCode: Subject.generateJoinCode() } });
+        break;
+      } catch (error) {
+        // Another subject already has the code: draw a new one
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+  return { coded: subjects.length };
+};
+
+module.exports = { description: 'Give existing subjects a join code', up };
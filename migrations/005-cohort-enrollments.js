@@ -0,0 +1,36 @@
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Enrollment = require('../models/Enrollment');
+
+// Before enrollments, students reached every subject of their degree and department.
+// Enroll them in those subjects so they keep access; existing enrollments, including
+// dropped or rejected ones, are left as they are.
+const up = async () => {
+  const subjects = await Subject.find().select('degree department creator');
+  let enrolled = 0;
+
+  for (const subject of subjects) {
+    const students = await User.find({ role: 'student', degree: subject.degree, department: subject.department }).distinct('_id');
+    if (!students.length) continue;
+    const now = new Date();
+    const result = await Enrollment.bulkWrite(students.map(student => ({
+      updateOne: {
+        filter: { subject: subject._id, student },
+        update: {
+          $setOnInsert: {
+            status: 'active',
+            source: 'teacher',
+            requestedAt: now,
+            approvedAt: now,
+            approvedBy: subject.creator,
+          },
+        },
+        upsert: true,
+      },
+    })));
+    enrolled += result.upsertedCount;
+  }
+  return { enrolled };
+};
+
+module.exports = { description: 'Enroll existing students in the subjects of their degree and department', up };
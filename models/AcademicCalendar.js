@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['holiday', 'exam', 'term-start', 'term-end', 'event', 'other'];
+const FREQUENCIES = ['none', 'daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range recurring entries are expanded over, and most occurrences one entry
+// expands into, so a single request cannot build millions of occurrences
+const MAX_RANGE_DAYS = 731;
+const MAX_OCCURRENCES = 1000;
+
+// Calendar entries are whole days, stored as UTC midnight
+const AcademicCalendarSchema = new mongoose.Schema({
+  // Optional stable identifier used to match rows on import
+  uid: { type: String, unique: true, sparse: true },
+  description: { type: String, required: true },
+  startDate: { type: Date, required: true },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function (value) { return !this.startDate || value >= this.startDate; },
+      message: 'End date must not be before start date'
+    }
+  },
+  category: { type: String, enum: CATEGORIES, default: 'event' },
+  recurrence: {
+    frequency: { type: String, enum: FREQUENCIES, default: 'none' },
+    interval: { type: Number, default: 1, min: 1 },
+    until: Date,
+    count: { type: Number, min: 1 }
+  },
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// The day/date strings older clients read
+AcademicCalendarSchema.virtual('date').get(function () {
+  return this.startDate ? this.startDate.toISOString().slice(0, 10) : undefined;
+});
+
+AcademicCalendarSchema.virtual('day').get(function () {
+  return this.startDate ? WEEKDAYS[this.startDate.getUTCDay()] : undefined;
+});
+
+// Parse "DD.MM.YYYY" or "YYYY-MM-DD" into a UTC midnight Date, or null
+const parseDay = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  let parts = match && [match[3], match[2], match[1]];
+  if (!parts) {
+    match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    parts = match && [match[1], match[2], match[3]];
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+const addInterval = (date, frequency, amount) => {
+  const next = new Date(date.getTime());
+  if (frequency === 'daily') next.setUTCDate(next.getUTCDate() + amount);
+  if (frequency === 'weekly') next.setUTCDate(next.getUTCDate() + 7 * amount);
+  if (frequency === 'monthly') next.setUTCMonth(next.getUTCMonth() + amount);
+  if (frequency === 'yearly') next.setUTCFullYear(next.getUTCFullYear() + amount);
+  return next;
+};
+
+/**
+ * Convert request or import input into entry fields. Accepts the legacy `date`
+ * (DD.MM.YYYY or YYYY-MM-DD) as the start date and flat recurrence fields
+ * (frequency, interval, until, count) as used by CSV imports.
+ * Returns { value, errors }.
+ */
+AcademicCalendarSchema.statics.fromInput = function (input) {
+  const errors = [];
+  const value = {};
+
+  if (input.uid) value.uid = String(input.uid).trim();
+  if (input.description !== undefined) value.description = String(input.description).trim();
+  if (!value.description) errors.push('Description is required');
+
+  const start = parseDay(input.startDate || input.date);
+  if (!start) errors.push('A valid start date is required (DD.MM.YYYY or YYYY-MM-DD)');
+  value.startDate = start;
+
+  const end = input.endDate ? parseDay(input.endDate) : start;
+  if (input.endDate && !end) errors.push('Invalid end date');
+  if (start && end && end < start) errors.push('End date must not be before start date');
+  value.endDate = end;
+
+  if (input.category) {
+    const category = String(input.category).trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (!CATEGORIES.includes(category)) {
+      errors.push(`Category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    value.category = category;
+  }
+
+  const recurrence = { ...(input.recurrence || {}) };
+  ['frequency', 'interval', 'until', 'count'].forEach(key => {
+    if (input[key] !== undefined && input[key] !== '') recurrence[key] = input[key];
+  });
+  if (recurrence.frequency && recurrence.frequency !== 'none') {
+    const frequency = String(recurrence.frequency).toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) {
+      errors.push(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+    const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1) errors.push('Interval must be a positive whole number');
+    const until = recurrence.until ? parseDay(recurrence.until) : undefined;
+    if (recurrence.until && !until) errors.push('Invalid recurrence end date');
+    const count = recurrence.count === undefined ? undefined : Number(recurrence.count);
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) errors.push('Count must be a positive whole number');
+    if (until && count !== undefined) errors.push('Use either a recurrence end date or a count, not both');
+    value.recurrence = { frequency, interval, until, count };
+  } else if (input.recurrence || input.frequency) {
+    value.recurrence = { frequency: 'none' };
+  }
+
+  return { value, errors };
+};
+
+// Occurrences of this entry overlapping [from, to], as { startDate, endDate } pairs,
+// at most MAX_OCCURRENCES of them
+AcademicCalendarSchema.methods.occurrencesBetween = function (from, to) {
+  const duration = this.endDate.getTime() - this.startDate.getTime();
+  const { frequency = 'none', interval = 1, until, count } = this.recurrence || {};
+  const occurrences = [];
+
+  if (frequency === 'none') {
+    if (this.endDate >= from && this.startDate <= to) {
+      occurrences.push({ startDate: this.startDate, endDate: this.endDate });
+    }
+    return occurrences;
+  }
+
+  // Daily and weekly steps have a fixed length: skip straight to the first occurrence
+  // that can reach `from` instead of walking there from the start date
+  const stepDays = { daily: 1, weekly: 7 }[frequency];
+  const first = stepDays
+    ? Math.max(0, Math.floor((from.getTime() - duration - this.startDate.getTime()) / (stepDays * interval * DAY_MS)))
+    : 0;
+
+  for (let index = first; (!count || index < count) && occurrences.length < MAX_OCCURRENCES; index++) {
+    const start = addInterval(this.startDate, frequency, index * interval);
+    if (start > to || (until && start > until)) break;
+    const end = new Date(start.getTime() + duration);
+    if (end >= from) {
+      occurrences.push({ startDate: start, endDate: end });
+    }
+  }
+  return occurrences;
+};
+
+// Whether any occurrence of this entry covers the given day
+AcademicCalendarSchema.methods.coversDay = function (day) {
+  const start = parseDay(day);
+  return Boolean(start) && this.occurrencesBetween(start, new Date(start.getTime() + DAY_MS - 1)).length > 0;
+};
+
+AcademicCalendarSchema.statics.CATEGORIES = CATEGORIES;
+AcademicCalendarSchema.statics.parseDay = parseDay;
+AcademicCalendarSchema.statics.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
+
+// Whether [from, to] is short enough to expand recurring entries over
+AcademicCalendarSchema.statics.isExpandableRange = (from, to) => to.getTime() - from.getTime() <= MAX_RANGE_DAYS * DAY_MS;
+
+module.exports = mongoose.model('AcademicCalendar', AcademicCalendarSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One entry per administrative action on a user, degree, department or conversation report
+const AdminAuditSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: {
+    type: String,
+    enum: [
+      'approve-user', 'deactivate-user', 'reactivate-user', 'change-role', 'reassign-user',
+      'create-degree', 'update-degree', 'create-department', 'update-department', 'merge-department',
+      'review-conversation-report'
+    ],
+    required: true
+  },
+  targetType: { type: String, enum: ['User', 'Degree', 'Department', 'ConversationReport'], required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'targetType' },
+  // Field -> { from, to } for the values the action changed
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  reason: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+AdminAuditSchema.index({ createdAt: -1, _id: -1 });
+AdminAuditSchema.index({ target: 1, createdAt: -1 });
+
+AdminAuditSchema.statics.record = function (actor, action, target, { changes = {}, reason } = {}) {
+  return this.create({
+    actor,
+    action,
+    targetType: target.constructor.modelName,
+    target: target._id,
+    changes,
+    reason,
+  });
+};
+
+module.exports = mongoose.model('AdminAudit', AdminAuditSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// The department-wide alumni chat
+const AlumniMessageSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  degree: { type: String, required: true },
+  department: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('AlumniMessage', AlumniMessageSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Career details an alumnus shares with students. Degree and department are copied
+// from the User so profiles can be searched without a join.
+const AlumniProfileSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  degree: String,
+  department: String,
+  graduationYear: { type: Number, min: 1900, max: 2100 },
+  employer: { type: String, trim: true },
+  jobTitle: { type: String, trim: true },
+  // Stored lowercased so searches match regardless of case
+  skills: [{ type: String, trim: true, lowercase: true }],
+  bio: { type: String, maxlength: 2000 },
+  openToMentoring: { type: Boolean, default: false },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+AlumniProfileSchema.index({ skills: 1 });
+AlumniProfileSchema.index({ degree: 1, department: 1, graduationYear: -1 });
+AlumniProfileSchema.index({ openToMentoring: 1 });
+
+module.exports = mongoose.model('AlumniProfile', AlumniProfileSchema);
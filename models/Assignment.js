@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const SubmissionSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Increments with each resubmission by the same student
+  version: { type: Number, default: 1 },
+  file: { name: String, url: String },
+  submittedAt: { type: Date, default: Date.now },
+  timeliness: { type: String, enum: ['on-time', 'late'], default: 'on-time' },
+  // Students only see score and feedback once the submission is returned
+  state: { type: String, enum: ['submitted', 'graded', 'returned'], default: 'submitted' },
+  score: Number,
+  rubricScores: [{
+    criterion: String,
+    points: Number,
+    comment: String
+  }],
+  feedback: String,
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  gradedAt: Date,
+  returnedAt: Date
+});
+
+const AssignmentSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: { type: String, required: true },
+  dueDate: { type: Date, required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  file: { name: String, url: String },
+  maxScore: { type: Number, default: 100, min: 0 },
+  // Submissions within the grace period after dueDate still count as on time
+  gracePeriodMinutes: { type: Number, default: 0, min: 0 },
+  acceptLate: { type: Boolean, default: true },
+  rubric: [{
+    criterion: { type: String, required: true },
+    maxPoints: { type: Number, required: true, min: 0 }
+  }],
+  submissions: [SubmissionSchema]
+});
+
+AssignmentSchema.methods.timelinessAt = function (date) {
+  const deadline = this.dueDate.getTime() + this.gracePeriodMinutes * 60 * 1000;
+  return date.getTime() <= deadline ? 'on-time' : 'late';
+};
+
+AssignmentSchema.methods.submissionsBy = function (studentId) {
+  return this.submissions
+    .filter(submission => String(submission.student) === String(studentId))
+    .sort((a, b) => a.version - b.version);
+};
+
+module.exports = mongoose.model('Assignment', AssignmentSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// A student's attendance at one class session
+const AttendanceSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+  // 'check-in' when the student used the session code
+  method: { type: String, enum: ['teacher', 'check-in'], default: 'teacher' },
+  note: String,
+  markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  markedAt: { type: Date, default: Date.now },
+});
+
+AttendanceSchema.index({ session: 1, student: 1 }, { unique: true });
+AttendanceSchema.index({ subject: 1, student: 1 });
+
+AttendanceSchema.statics.STATUSES = ATTENDANCE_STATUSES;
+
+module.exports = mongoose.model('Attendance', AttendanceSchema);
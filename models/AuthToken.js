@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A single-use token sent by email to verify an address or reset a password.
+// Only the token's hash is stored.
+const AuthTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['verify-email', 'reset-password'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+AuthTokenSchema.index({ user: 1, purpose: 1 });
+// MongoDB removes tokens once they expire
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
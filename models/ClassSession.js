@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One meeting of a subject's class, which attendance is taken for
+const ClassSessionSchema = new mongoose.Schema({
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  title: String,
+  startsAt: { type: Date, required: true },
+  endsAt: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function (value) { return !this.startsAt || value > this.startsAt; },
+      message: 'A session must end after it starts'
+    }
+  },
+  // Calendar entry covering the session's day, e.g. an exam or event day
+  calendarEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicCalendar' },
+  status: { type: String, enum: ['scheduled', 'cancelled'], default: 'scheduled' },
+  // Check-ins this long after the start are marked late
+  lateAfterMinutes: { type: Number, default: 10, min: 0 },
+  checkIn: {
+    code: { type: String, select: false },
+    expiresAt: Date
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ClassSessionSchema.index({ subject: 1, startsAt: 1 });
+ClassSessionSchema.index({ 'checkIn.code': 1, 'checkIn.expiresAt': 1 });
+
+module.exports = mongoose.model('ClassSession', ClassSessionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a subject's units after each content change, numbered by the
+// subject's contentVersion
+const ContentVersionSchema = new mongoose.Schema({
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  version: { type: Number, required: true },
+  units: { type: Array, default: [] },
+  action: { type: String, required: true },
+  // Readable list of what changed, e.g. 'Added section "Arrays" to "Unit 1"'
+  summary: [String],
+  // Empty for changes made by the scheduler
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  restoredFrom: Number,
+  createdAt: { type: Date, default: Date.now },
+});
+
+ContentVersionSchema.index({ subject: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ContentVersion', ContentVersionSchema);
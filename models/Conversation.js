@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A private thread between two users ('direct') or a small group
+const ConversationSchema = new mongoose.Schema({
+  type: { type: String, enum: ['direct', 'group'], required: true },
+  title: { type: String, trim: true, maxlength: 100 },
+  participants: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: { type: Date, default: Date.now },
+    // Read receipt: messages up to this time have been read
+    lastReadAt: Date
+  }],
+  // Sorted participant ids of a direct conversation, so each pair has only one
+  directKey: { type: String, unique: true, sparse: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lastMessageAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+ConversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+
+ConversationSchema.statics.directKeyFor = (a, b) => [String(a), String(b)].sort().join(':');
+
+ConversationSchema.methods.participant = function (userId) {
+  return this.participants.find(item => String(item.user._id || item.user) === String(userId));
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A user's report of a conversation or one of its messages, kept for review
+const ConversationReportSchema = new mongoose.Schema({
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'DirectMessage' },
+  // The user being reported, usually the message's sender
+  reported: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String, maxlength: 2000 },
+  status: { type: String, enum: ['open', 'reviewed'], default: 'open' },
+  // Set by the admin who reviewed the report
+  resolution: { type: String, enum: ['dismissed', 'action-taken'] },
+  reviewedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ConversationReportSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ConversationReport', ConversationReportSchema);
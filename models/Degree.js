@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A degree programme users and subjects belong to, e.g. "BCA"
+const DegreeSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  code: { type: String, unique: true, sparse: true, trim: true, uppercase: true },
+  // Other spellings accepted at signup, stored lowercased
+  aliases: [{ type: String, trim: true, lowercase: true }],
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+DegreeSchema.index({ aliases: 1 });
+
+module.exports = mongoose.model('Degree', DegreeSchema);
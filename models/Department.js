@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A department users and subjects belong to, e.g. "Computer Science"
+const DepartmentSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  code: { type: String, unique: true, sparse: true, trim: true, uppercase: true },
+  // Other spellings accepted at signup, stored lowercased. Merged departments' names end up here.
+  aliases: [{ type: String, trim: true, lowercase: true }],
+  active: { type: Boolean, default: true },
+  // Set when this department was merged into another
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+DepartmentSchema.index({ aliases: 1 });
+
+module.exports = mongoose.model('Department', DepartmentSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A message in a Conversation. Text may be empty when files are attached.
+const DirectMessageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, default: '', maxlength: 5000 },
+  attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'File' }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+DirectMessageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+DirectMessageSchema.index({ attachments: 1 });
+
+module.exports = mongoose.model('DirectMessage', DirectMessageSchema);
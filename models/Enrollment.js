@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const EnrollmentSchema = new mongoose.Schema({
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected', 'dropped', 'withdrawn'],
+    default: 'pending',
+  },
+  // How the enrollment was created: teacher roster, join code, or a student's own request
+  source: { type: String, enum: ['teacher', 'joinCode', 'request'], required: true },
+  requestedAt: { type: Date, default: Date.now },
+  approvedAt: Date,
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  droppedAt: Date,
+  withdrawnAt: Date,
+  reason: String,
+  // Set when the student was warned about low attendance; cleared once it recovers
+  lowAttendanceAlertedAt: Date,
+  // Muted students cannot post, edit or react in the subject's discussion; no end date means until unmuted
+  mutedAt: Date,
+  mutedUntil: Date,
+  mutedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  muteReason: String,
+});
+
+EnrollmentSchema.index({ subject: 1, student: 1 }, { unique: true });
+EnrollmentSchema.index({ student: 1, status: 1 });
+
+module.exports = mongoose.model('Enrollment', EnrollmentSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A stored upload, referenced by subject content instead of raw { name, url } pairs
+const FileSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
+  // 'subject' files can be read by everyone in the subject, 'private' ones only by
+  // the owner and the subject's teacher (e.g. assignment submissions)
+  access: { type: String, enum: ['subject', 'private'], default: 'private' },
+  originalName: { type: String, required: true },
+  // Key in the storage backend, also the name in the download URL
+  storedName: { type: String, required: true, unique: true },
+  storage: { type: String, default: 'local' },
+  mimeType: String,
+  size: Number,
+  // SHA-256 of the contents, hex encoded
+  checksum: String,
+  url: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('File', FileSchema);
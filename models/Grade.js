@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const LEGACY_COMPONENTS = ['cycleTest1', 'cycleTest2', 'assignments'];
+
+const GradeSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  // Marks per grading scheme component key
+  components: { type: Map, of: Number, default: {} },
+  // Students only see published grades; locked grades must be unlocked before editing
+  status: { type: String, enum: ['draft', 'published'], default: 'draft' },
+  publishedAt: Date,
+  locked: { type: Boolean, default: false },
+  lockedAt: Date,
+  // Fixed fields used before grading schemes; read as a fallback by marks()
+  cycleTest1: Number,
+  cycleTest2: Number,
+  assignments: Number,
+});
+
+GradeSchema.index({ student: 1, subject: 1 }, { unique: true });
+
+// Component key -> marks, including marks stored in the legacy fields
+GradeSchema.methods.marks = function () {
+  const marks = {};
+  LEGACY_COMPONENTS.forEach(key => {
+    if (typeof this[key] === 'number') {
+      marks[key] = this[key];
+    }
+  });
+  this.components.forEach((value, key) => {
+    marks[key] = value;
+  });
+  return marks;
+};
+
+// Changes needed to bring this grade to the given component -> marks map
+GradeSchema.methods.diffMarks = function (marks) {
+  const previousMarks = this.marks();
+  return Object.entries(marks)
+    .filter(([key, value]) => previousMarks[key] !== value)
+    .map(([key, value]) => ({ component: key, oldValue: previousMarks[key], newValue: value }));
+};
+
+module.exports = mongoose.model('Grade', GradeSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One entry per change to a grade: marks edits and publish/lock transitions
+const GradeAuditSchema = new mongoose.Schema({
+  grade: { type: mongoose.Schema.Types.ObjectId, ref: 'Grade', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true, index: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ['create', 'update', 'publish', 'lock', 'unlock'], required: true },
+  changes: [{
+    component: String,
+    oldValue: Number,
+    newValue: Number
+  }],
+  reason: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+GradeAuditSchema.statics.record = async function (grade, actor, action, { changes = [], reason, session } = {}) {
+  const [entry] = await this.create([{
+    grade: grade._id,
+    student: grade.student,
+    subject: grade.subject,
+    actor,
+    action,
+    changes,
+    reason,
+  }], { session });
+  return entry;
+};
+
+module.exports = mongoose.model('GradeAudit', GradeAuditSchema);
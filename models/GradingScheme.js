@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Used for subjects whose teacher has not defined a scheme; the component keys
+// match the fixed fields grades were recorded with before schemes existed.
+const DEFAULT_COMPONENTS = [
+  { key: 'cycleTest1', name: 'Cycle Test 1', maxMarks: 25, weight: 40 },
+  { key: 'cycleTest2', name: 'Cycle Test 2', maxMarks: 25, weight: 40 },
+  { key: 'assignments', name: 'Assignments', maxMarks: 15, weight: 20 },
+];
+
+const DEFAULT_LETTER_GRADES = [
+  { letter: 'O', minPercent: 90, gradePoints: 10 },
+  { letter: 'A+', minPercent: 80, gradePoints: 9 },
+  { letter: 'A', minPercent: 70, gradePoints: 8 },
+  { letter: 'B+', minPercent: 60, gradePoints: 7 },
+  { letter: 'B', minPercent: 50, gradePoints: 6 },
+  { letter: 'C', minPercent: 40, gradePoints: 5 },
+  { letter: 'F', minPercent: 0, gradePoints: 0 },
+];
+
+const GradingSchemeSchema = new mongoose.Schema({
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true, unique: true },
+  components: [{
+    key: { type: String, required: true },
+    name: { type: String, required: true },
+    maxMarks: { type: Number, required: true, min: 0 },
+    // Percentage of the final total; weights add up to 100
+    weight: { type: Number, required: true, min: 0 }
+  }],
+  letterGrades: [{
+    letter: { type: String, required: true },
+    minPercent: { type: Number, required: true, min: 0, max: 100 },
+    gradePoints: { type: Number, required: true, min: 0 }
+  }],
+  // Weight of the subject when computing GPA
+  credits: { type: Number, default: 1, min: 0 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Return a list of problems with the scheme definition, empty when it is valid
+GradingSchemeSchema.methods.validateDefinition = function () {
+  const problems = [];
+  const keys = new Set();
+
+  if (!this.components.length) {
+    problems.push('At least one component is required');
+  }
+  this.components.forEach(component => {
+    if (keys.has(component.key)) {
+      problems.push(`Duplicate component key: ${component.key}`);
+    }
+    keys.add(component.key);
+    if (!(component.maxMarks > 0)) {
+      problems.push(`Max marks for ${component.key} must be greater than 0`);
+    }
+  });
+
+  const totalWeight = this.components.reduce((total, component) => total + component.weight, 0);
+  if (Math.abs(totalWeight - 100) > 0.001) {
+    problems.push(`Component weights must add up to 100, got ${totalWeight}`);
+  }
+
+  if (!this.letterGrades.length) {
+    problems.push('At least one letter grade is required');
+  } else if (!this.letterGrades.some(grade => grade.minPercent === 0)) {
+    problems.push('One letter grade must start at 0 percent');
+  }
+
+  return problems;
+};
+
+// Return a list of problems with a component -> marks map against this scheme
+GradingSchemeSchema.methods.validateMarks = function (marks) {
+  const problems = [];
+  Object.entries(marks).forEach(([key, value]) => {
+    const component = this.components.find(item => item.key === key);
+    if (!component) {
+      problems.push(`Unknown component: ${key}`);
+    } else if (typeof value !== 'number' || isNaN(value) || value < 0 || value > component.maxMarks) {
+      problems.push(`Marks for ${component.name} must be between 0 and ${component.maxMarks}`);
+    }
+  });
+  return problems;
+};
+
+GradingSchemeSchema.methods.letterFor = function (percent) {
+  const boundaries = this.letterGrades.slice().sort((a, b) => b.minPercent - a.minPercent);
+  return boundaries.find(grade => percent >= grade.minPercent) || boundaries[boundaries.length - 1];
+};
+
+// Weighted total (0-100), letter grade and grade points for a component -> marks map
+GradingSchemeSchema.methods.computeResult = function (marks) {
+  const components = this.components.map(component => {
+    const obtained = marks[component.key] || 0;
+    return {
+      key: component.key,
+      name: component.name,
+      marks: obtained,
+      maxMarks: component.maxMarks,
+      weight: component.weight,
+      weighted: (obtained / component.maxMarks) * component.weight,
+    };
+  });
+  const total = Math.round(components.reduce((sum, component) => sum + component.weighted, 0) * 100) / 100;
+  const letter = this.letterFor(total);
+
+  return {
+    components,
+    total,
+    letter: letter ? letter.letter : null,
+    gradePoints: letter ? letter.gradePoints : null,
+    credits: this.credits,
+  };
+};
+
+// The subject's scheme, or an unsaved default scheme when none is defined
+GradingSchemeSchema.statics.forSubject = async function (subjectId) {
+  const scheme = await this.findOne({ subject: subjectId });
+  return scheme || new this({
+    subject: subjectId,
+    components: DEFAULT_COMPONENTS,
+    letterGrades: DEFAULT_LETTER_GRADES,
+  });
+};
+
+module.exports = mongoose.model('GradingScheme', GradingSchemeSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['submitted', 'reviewing', 'shortlisted', 'rejected', 'hired', 'withdrawn'];
+
+// A student's application to a job posting
+const JobApplicationSchema = new mongoose.Schema({
+  posting: { type: mongoose.Schema.Types.ObjectId, ref: 'JobPosting', required: true },
+  applicant: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Copied from the posting so the poster's access to the resume can be checked directly
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  coverLetter: { type: String, maxlength: 5000 },
+  resume: { type: mongoose.Schema.Types.ObjectId, ref: 'File' },
+  status: { type: String, enum: STATUSES, default: 'submitted' },
+  history: [{
+    _id: false,
+    status: { type: String, enum: STATUSES },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: String,
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+JobApplicationSchema.index({ posting: 1, applicant: 1 }, { unique: true });
+JobApplicationSchema.index({ applicant: 1, createdAt: -1 });
+JobApplicationSchema.index({ resume: 1, postedBy: 1 });
+
+JobApplicationSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('JobApplication', JobApplicationSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A job or internship opening posted by an alumnus
+const JobPostingSchema = new mongoose.Schema({
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['job', 'internship'], required: true },
+  title: { type: String, required: true, trim: true },
+  company: { type: String, required: true, trim: true },
+  location: String,
+  remote: { type: Boolean, default: false },
+  description: { type: String, required: true, maxlength: 10000 },
+  skills: [{ type: String, trim: true, lowercase: true }],
+  applyBy: Date,
+  // Who can see the opening: everyone in the poster's degree, or only their department.
+  // Degree and department are copied from the poster.
+  scope: { type: String, enum: ['degree', 'department'], default: 'degree' },
+  degree: { type: String, required: true },
+  department: String,
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+JobPostingSchema.index({ degree: 1, department: 1, status: 1, createdAt: -1 });
+JobPostingSchema.index({ postedBy: 1, createdAt: -1 });
+
+// Whether a user's degree and department fall within the opening's scope
+JobPostingSchema.methods.visibleTo = function (user) {
+  if (String(this.postedBy) === String(user._id)) return true;
+  return user.degree === this.degree && (this.scope !== 'department' || user.department === this.department);
+};
+
+// Whether applications are still accepted at the given time
+JobPostingSchema.methods.acceptsApplicationsAt = function (now = new Date()) {
+  return this.status === 'open' && (!this.applyBy || now <= this.applyBy);
+};
+
+module.exports = mongoose.model('JobPosting', JobPostingSchema);
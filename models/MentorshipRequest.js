@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A student's request for an alumnus to mentor them
+const MentorshipRequestSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  mentor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  message: { type: String, maxlength: 2000 },
+  status: { type: String, enum: ['pending', 'accepted', 'declined', 'cancelled'], default: 'pending' },
+  // The mentor's reply when accepting or declining
+  response: { type: String, maxlength: 2000 },
+  respondedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One open request per student and mentor
+MentorshipRequestSchema.index(
+  { student: 1, mentor: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+MentorshipRequestSchema.index({ mentor: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MentorshipRequest', MentorshipRequestSchema);
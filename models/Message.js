@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A subject discussion message. Replies point at their top-level message through `parent`.
+const MessageSchema = new mongoose.Schema({
+  text: { type: String, required: true, maxlength: 5000 },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  replyCount: { type: Number, default: 0 },
+  lastReplyAt: Date,
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Earlier versions of the text, oldest first
+  edits: [{
+    text: String,
+    editedAt: { type: Date, default: Date.now }
+  }],
+  editedAt: Date,
+  // Deleted and hidden messages keep their place in threads but not their text
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  hiddenAt: Date,
+  hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  hiddenReason: String,
+  pinnedAt: Date,
+  pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reactions: [{
+    _id: false,
+    emoji: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+  }],
+  reports: [{
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+MessageSchema.index({ subject: 1, parent: 1, createdAt: -1, _id: -1 });
+MessageSchema.index({ subject: 1, pinnedAt: -1 });
+MessageSchema.index({ subject: 1, 'reports.0': 1 });
+
+/**
+ * The message as a member of the subject sees it. Deleted messages lose their text
+ * for everyone, hidden ones for everyone but the teacher. Reactions are counted per
+ * emoji with whether the viewer reacted.
+ */
+MessageSchema.methods.viewFor = function (viewerId, isTeacher = false) {
+  const reactions = new Map();
+  this.reactions.forEach(reaction => {
+    const entry = reactions.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, reacted: false };
+    entry.count++;
+    if (viewerId && String(reaction.user) === String(viewerId)) entry.reacted = true;
+    reactions.set(reaction.emoji, entry);
+  });
+  const deleted = Boolean(this.deletedAt);
+  const hidden = Boolean(this.hiddenAt);
+
+  return {
+    _id: this._id,
+    subject: this.subject,
+    parent: this.parent,
+    sender: this.sender,
+    text: deleted || (hidden && !isTeacher) ? null : this.text,
+    createdAt: this.createdAt,
+    edited: Boolean(this.editedAt),
+    editedAt: this.editedAt,
+    deleted,
+    hidden,
+    hiddenReason: isTeacher ? this.hiddenReason : undefined,
+    pinned: Boolean(this.pinnedAt),
+    pinnedAt: this.pinnedAt,
+    replyCount: this.replyCount,
+    lastReplyAt: this.lastReplyAt,
+    mentions: deleted ? [] : this.mentions,
+    reactions: Array.from(reactions.values()),
+    reportCount: isTeacher ? this.reports.length : undefined,
+  };
+};
+
+module.exports = mongoose.model('Message', MessageSchema);
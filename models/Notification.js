@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, required: true },
+  title: { type: String, required: true },
+  body: String,
+  // Client route to open when the notification is clicked
+  link: String,
+  data: mongoose.Schema.Types.Mixed,
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
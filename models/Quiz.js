@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['mcq', 'multi-select', 'numeric', 'short-answer'];
+
+const QuestionSchema = new mongoose.Schema({
+  type: { type: String, enum: QUESTION_TYPES, required: true },
+  prompt: { type: String, required: true },
+  points: { type: Number, default: 1, min: 0 },
+  // mcq and multi-select
+  options: [{ text: { type: String, required: true } }],
+  correctOptions: [mongoose.Schema.Types.ObjectId],
+  // Multi-select answers earn a share of the points per correct choice, minus wrong ones
+  partialCredit: { type: Boolean, default: false },
+  // numeric
+  correctNumber: Number,
+  tolerance: { type: Number, default: 0, min: 0 },
+  // short-answer: any of these, compared after trimming and collapsing spaces
+  acceptedAnswers: [String],
+  caseSensitive: { type: Boolean, default: false },
+});
+
+const QuizSchema = new mongoose.Schema({
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true, index: true },
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true },
+  description: String,
+  questions: [QuestionSchema],
+  // Students only see published quizzes, within opensAt/closesAt when set
+  status: { type: String, enum: ['draft', 'published'], default: 'draft' },
+  opensAt: Date,
+  closesAt: Date,
+  // Empty for untimed quizzes; otherwise an attempt ends this long after it starts
+  timeLimitMinutes: { type: Number, min: 1 },
+  maxAttempts: { type: Number, default: 1, min: 1 },
+  shuffleQuestions: { type: Boolean, default: true },
+  shuffleOptions: { type: Boolean, default: false },
+  // Grading scheme component the score is written to, scaled to its max marks
+  gradeComponent: String,
+  // Which attempt counts towards the grade
+  scoringPolicy: { type: String, enum: ['highest', 'latest'], default: 'highest' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Return a list of problems with the questions, empty when they can be auto-graded
+QuizSchema.methods.validateQuestions = function () {
+  const problems = [];
+  this.questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+    const optionIds = question.options.map(option => String(option._id));
+    const correct = question.correctOptions.map(String);
+    if (['mcq', 'multi-select'].includes(question.type)) {
+      if (question.options.length < 2) problems.push(`${label} needs at least two options`);
+      if (correct.some(id => !optionIds.includes(id))) problems.push(`${label} has a correct option that is not one of its options`);
+      if (question.type === 'mcq' && correct.length !== 1) problems.push(`${label} needs exactly one correct option`);
+      if (question.type === 'multi-select' && !correct.length) problems.push(`${label} needs at least one correct option`);
+    }
+    if (question.type === 'numeric' && typeof question.correctNumber !== 'number') {
+      problems.push(`${label} needs a correct number`);
+    }
+    if (question.type === 'short-answer' && !question.acceptedAnswers.some(answer => answer && answer.trim())) {
+      problems.push(`${label} needs at least one accepted answer`);
+    }
+  });
+  if (!this.questions.length) problems.push('A quiz needs at least one question');
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) problems.push('The quiz must close after it opens');
+  return problems;
+};
+
+QuizSchema.methods.totalPoints = function () {
+  return this.questions.reduce((total, question) => total + question.points, 0);
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+/**
+ * Points earned for an answer to a question:
+ * { selectedOptions: [id] } for mcq and multi-select, { number } for numeric,
+ * { text } for short answer. Unanswered questions earn nothing.
+ */
+QuizSchema.methods.pointsFor = function (question, answer) {
+  if (!answer) return 0;
+  if (question.type === 'mcq' || question.type === 'multi-select') {
+    const selected = new Set((answer.selectedOptions || []).map(String));
+    const correct = new Set(question.correctOptions.map(String));
+    if (question.type === 'multi-select' && question.partialCredit) {
+      let hits = 0;
+      selected.forEach(id => { hits += correct.has(id) ? 1 : -1; });
+      return Math.max(0, hits) / correct.size * question.points;
+    }
+    const exact = selected.size === correct.size && Array.from(selected).every(id => correct.has(id));
+    return exact ? question.points : 0;
+  }
+  if (question.type === 'numeric') {
+    const value = Number(answer.number);
+    if (answer.number === undefined || answer.number === null || answer.number === '' || isNaN(value)) return 0;
+    return Math.abs(value - question.correctNumber) <= question.tolerance ? question.points : 0;
+  }
+  const given = normalizeText(answer.text, question.caseSensitive);
+  const accepted = question.acceptedAnswers.map(text => normalizeText(text, question.caseSensitive));
+  return given && accepted.includes(given) ? question.points : 0;
+};
+
+// The quiz without answer keys, as students see it before and during attempts
+QuizSchema.methods.studentView = function () {
+  const view = this.toObject();
+  delete view.questions;
+  view.questionCount = this.questions.length;
+  view.totalPoints = this.totalPoints();
+  return view;
+};
+
+QuizSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Quiz', QuizSchema);
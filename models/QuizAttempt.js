@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const QuizAttemptSchema = new mongoose.Schema({
+  quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  number: { type: Number, required: true },
+  // in-progress attempts past their deadline are submitted with the answers saved in time
+  status: { type: String, enum: ['in-progress', 'submitted'], default: 'in-progress' },
+  startedAt: { type: Date, default: Date.now },
+  // Empty when neither a time limit nor a closing time applies
+  deadline: Date,
+  submittedAt: Date,
+  // Set when the attempt was closed by the deadline rather than by the student
+  expired: { type: Boolean, default: false },
+  // The order this student sees questions and options in
+  order: [{
+    question: mongoose.Schema.Types.ObjectId,
+    options: [mongoose.Schema.Types.ObjectId]
+  }],
+  answers: [{
+    question: { type: mongoose.Schema.Types.ObjectId, required: true },
+    selectedOptions: [mongoose.Schema.Types.ObjectId],
+    number: Number,
+    text: String,
+    answeredAt: { type: Date, default: Date.now },
+    // Filled in by grading
+    points: Number
+  }],
+  score: Number,
+  maxScore: Number,
+});
+
+QuizAttemptSchema.index({ quiz: 1, student: 1, number: 1 }, { unique: true });
+QuizAttemptSchema.index({ status: 1, deadline: 1 });
+
+// Whether answers may still be saved at the given time, allowing `graceMs` for network delay
+QuizAttemptSchema.methods.isOpenAt = function (now = new Date(), graceMs = 0) {
+  return this.status === 'in-progress' && (!this.deadline || now.getTime() <= this.deadline.getTime() + graceMs);
+};
+
+module.exports = mongoose.model('QuizAttempt', QuizAttemptSchema);
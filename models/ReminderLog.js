@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One entry per reminder sent, so each item is reminded at most once per lead time
+const ReminderLogSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['task', 'assignment'], required: true },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true },
+  leadMinutes: { type: Number, required: true },
+  sentAt: { type: Date, default: Date.now },
+});
+
+ReminderLogSchema.index({ user: 1, kind: 1, item: 1, leadMinutes: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderLog', ReminderLogSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One session per user and device, holding the current refresh token
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  device: { type: String, default: 'unknown' },
+  refreshTokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const RangeSchema = new mongoose.Schema({
+  start: Number,
+  end: Number,
+  text: String
+}, { _id: false });
+
+// Latest similarity check of an assignment's submissions; a new run replaces it
+const SimilarityReportSchema = new mongoose.Schema({
+  assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment', required: true, unique: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  status: { type: String, enum: ['running', 'complete', 'failed'], default: 'running' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Pairs below this similarity (0-1) are left out of the report
+  threshold: { type: Number, default: 0.3 },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  error: String,
+  // Number of submissions whose text could be compared
+  compared: { type: Number, default: 0 },
+  pairs: [{
+    studentA: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submissionA: mongoose.Schema.Types.ObjectId,
+    studentB: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submissionB: mongoose.Schema.Types.ObjectId,
+    similarity: Number,
+    // Offsets are into the text extracted from each submission
+    passages: [{ a: RangeSchema, b: RangeSchema }]
+  }],
+  skipped: [{
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submission: mongoose.Schema.Types.ObjectId,
+    reason: String
+  }],
+});
+
+module.exports = mongoose.model('SimilarityReport', SimilarityReportSchema);
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const generateJoinCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+const SubjectSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  degree: { type: String, required: true },
+  department: { type: String, required: true },
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  joinCode: { type: String, unique: true, sparse: true },
+  // Electives accept enrollment requests from students of any degree or department
+  elective: { type: Boolean, default: false },
+  requiresApproval: { type: Boolean, default: true },
+  units: [{
+    title: String,
+    sections: [{
+      title: String,
+      // Sanitized Markdown
+      content: String,
+      attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'File' }],
+      // Links saved before attachments referenced file records
+      files: [{ name: String, url: String }],
+      // Students only see published sections; a draft with publishAt is published by the scheduler
+      status: { type: String, enum: ['draft', 'published'], default: 'published' },
+      publishAt: Date,
+      publishedAt: Date
+    }]
+  }],
+  // Incremented on every units change; clients send it back to detect concurrent edits
+  contentVersion: { type: Number, default: 0 },
+  contentUpdatedAt: Date,
+  contentUpdatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+// Not a schema default: Mongoose applies defaults when loading documents too, so a
+// subject saved without a code would show a different, never-saved code on every read
+SubjectSchema.pre('validate', function (next) {
+  if (!this.joinCode) this.joinCode = generateJoinCode();
+  next();
+});
+
+// The subject as students see it: draft sections and the teacher's enrollment
+// settings are left out, so students cannot pass the join code on
+SubjectSchema.methods.studentView = function () {
+  const { joinCode, requiresApproval, ...view } = this.toObject();
+  view.units = (view.units || []).map(unit => ({
+    ...unit,
+    sections: (unit.sections || [])
+      .filter(section => section.status !== 'draft')
+      .map(({ publishAt, ...section }) => section)
+  }));
+  return view;
+};
+
+SubjectSchema.statics.generateJoinCode = generateJoinCode;
+
+module.exports = mongoose.model('Subject', SubjectSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const TaskSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  category: { type: String, required: true },
+  priority: { type: String, required: true },
+  dueDate: { type: Date, required: true },
+  completed: { type: Boolean, default: false },
+  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Set by GET /api/tasks/check-deadlines for clients that poll for reminders
+  notificationSent: { type: Boolean, default: false }
+});
+
+module.exports = mongoose.model('Task', TaskSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Zero-padded 24-hour times, so they compare correctly as strings
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A weekly recurring class of a subject. Times are local to CLASS_UTC_OFFSET_MINUTES.
+const TimetableSlotSchema = new mongoose.Schema({
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // 0 = Sunday
+  weekday: { type: Number, required: true, min: 0, max: 6 },
+  startTime: { type: String, required: true, match: [TIME_PATTERN, 'Start time must be HH:MM'] },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'End time must be HH:MM'],
+    validate: {
+      validator: function (value) { return !this.startTime || value > this.startTime; },
+      message: 'A class must end after it starts'
+    }
+  },
+  room: { type: String, trim: true },
+  // Optional term bounds; the slot repeats every week between them
+  validFrom: Date,
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function (value) { return !value || !this.validFrom || value >= this.validFrom; },
+      message: 'validUntil must not be before validFrom'
+    }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+TimetableSlotSchema.index({ subject: 1, weekday: 1, startTime: 1 });
+TimetableSlotSchema.index({ teacher: 1, weekday: 1 });
+TimetableSlotSchema.index({ room: 1, weekday: 1 });
+
+// Whether the slot runs on the given day (UTC midnight)
+TimetableSlotSchema.methods.runsOn = function (day) {
+  return day.getUTCDay() === this.weekday
+    && (!this.validFrom || day >= new Date(Date.UTC(this.validFrom.getUTCFullYear(), this.validFrom.getUTCMonth(), this.validFrom.getUTCDate())))
+    && (!this.validUntil || day <= this.validUntil);
+};
+
+TimetableSlotSchema.statics.WEEKDAYS = WEEKDAYS;
+
+module.exports = mongoose.model('TimetableSlot', TimetableSlotSchema);
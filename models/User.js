@@ -4,9 +4,30 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['student', 'teacher', 'alumni'], required: true },
+  // Set once the user follows the link in their verification email
+  emailVerifiedAt: Date,
+  passwordChangedAt: Date,
+  role: { type: String, enum: ['student', 'teacher', 'alumni', 'admin'], required: true },
   additionalInfo: String,
+  // Canonical Degree and Department names, see services/institution
+  degree: String,
+  department: String,
+  // Teachers start out pending until an admin approves them; deactivated users cannot log in
+  status: { type: String, enum: ['active', 'pending', 'deactivated'], default: 'active' },
+  approvedAt: Date,
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deactivatedAt: Date,
+  // Secret in the user's subscribable calendar feed URL
+  calendarFeedToken: { type: String, unique: true, sparse: true, select: false },
+  // Minutes before a task or assignment is due to send reminders
+  reminderLeadTimes: { type: [Number], default: [24 * 60] },
+  // Notification type -> { enabled, email }; missing types use the defaults
+  notificationPreferences: {
+    type: Map,
+    of: new mongoose.Schema({ enabled: Boolean, email: Boolean }, { _id: false }),
+    default: {}
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// `blocker` no longer wants direct messages from `blocked`
+const UserBlockSchema = new mongoose.Schema({
+  blocker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  blocked: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+UserBlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+UserBlockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model('UserBlock', UserBlockSchema);
@@ -0,0 +1,475 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Session = require('../models/Session');
+const Degree = require('../models/Degree');
+const Department = require('../models/Department');
+const AdminAudit = require('../models/AdminAudit');
+const ConversationReport = require('../models/ConversationReport');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError } = require('../middleware/authorize');
+const { notify, notifyInBackground } = require('../services/notifications');
+const { resolveCohort, renameCohort, mergeDepartments } = require('../services/institution');
+const { pageLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+const ROLES = ['student', 'teacher', 'alumni', 'admin'];
+const USER_FIELDS = 'name email role status degree department additionalInfo createdAt approvedAt deactivatedAt';
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load the user named by the route into req.target; admins cannot act on themselves
+const loadTarget = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+    throw httpError(404, 'User not found');
+  }
+  req.target = await User.findById(req.params.userId).select(USER_FIELDS);
+  if (!req.target) {
+    throw httpError(404, 'User not found');
+  }
+  return true;
+};
+
+const notSelf = async (req) => {
+  if (String(req.params.userId) === String(req.user.userId)) {
+    throw httpError(400, 'You cannot change your own account here');
+  }
+  return true;
+};
+
+// Revoke a user's sessions and disconnect their sockets, e.g. after their role changed
+const endSessions = async (req, userId) => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  req.app.get('io').in(`user:${userId}`).disconnectSockets(true);
+};
+
+/**
+ * Hand a teacher's subjects to another active teacher. Throws 409 when the teacher
+ * owns subjects and no one was named to take them.
+ */
+const transferSubjects = async (from, toId) => {
+  const count = await Subject.countDocuments({ creator: from._id });
+  if (!count) return 0;
+  if (!toId) {
+    throw httpError(409, `${from.name} teaches ${count} subject(s); name a teacher in transferSubjectsTo`);
+  }
+  const to = mongoose.Types.ObjectId.isValid(toId)
+    && await User.findOne({ _id: toId, role: 'teacher', status: 'active' }).select('_id');
+  if (!to || String(to._id) === String(from._id)) {
+    throw httpError(400, 'transferSubjectsTo must be another active teacher');
+  }
+  await Subject.updateMany({ creator: from._id }, { $set: { creator: to._id } });
+  return count;
+};
+
+const sendError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'The name or code is already in use' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ message: `Error ${action}` });
+};
+
+// Users
+
+/**
+ * List users. Filters: ?role, ?status, ?degree, ?department, ?q (name or email).
+ * Paginate with ?page (from 1) and ?limit (at most 100).
+ */
+router.get('/users', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 50, 100);
+    const page = Math.max(Math.trunc(Number(req.query.page)) || 1, 1);
+    const filter = {};
+    ['role', 'degree', 'department'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+    if (req.query.status === 'active') {
+      // Users created before statuses existed have none and count as active
+      filter.status = { $nin: ['pending', 'deactivated'] };
+    } else if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const total = await User.countDocuments(filter);
+    const users = await User.find(filter)
+      .select(USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    res.json({ users, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Error fetching users' });
+  }
+});
+
+router.get('/users/:userId', authenticateToken, authorize('admin', loadTarget), async (req, res) => {
+  try {
+    const subjects = await Subject.find({ creator: req.target._id }).select('title degree department');
+    res.json({ ...req.target.toObject(), subjects });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Error fetching user' });
+  }
+});
+
+// Approve a pending teacher signup
+router.put('/users/:userId/approve', authenticateToken, authorize('admin', loadTarget), permitFields('reason'), async (req, res) => {
+  try {
+    const { target } = req;
+    if (target.status !== 'pending') {
+      return res.status(409).json({ message: 'This account is not awaiting approval' });
+    }
+    target.set({ status: 'active', approvedAt: new Date(), approvedBy: req.user.userId });
+    await target.save();
+    await AdminAudit.record(req.user.userId, 'approve-user', target, {
+      changes: { status: { from: 'pending', to: 'active' } },
+      reason: req.body.reason
+    });
+    res.json(target);
+
+    notifyInBackground(notify(target._id, {
+      type: 'account-updated',
+      title: 'Your teacher account was approved',
+      body: 'You can now sign in.',
+      link: '/login'
+    }));
+  } catch (error) {
+    sendError(res, error, 'approving user');
+  }
+});
+
+// Deactivate a user, ending their sessions. A teacher's subjects go to { transferSubjectsTo }.
+router.put('/users/:userId/deactivate', authenticateToken, authorize('admin', notSelf, loadTarget), permitFields('reason', 'transferSubjectsTo'), async (req, res) => {
+  try {
+    const { target } = req;
+    if (target.status === 'deactivated') {
+      return res.status(409).json({ message: 'This account is already deactivated' });
+    }
+    const transferred = await transferSubjects(target, req.body.transferSubjectsTo);
+    const previous = target.status;
+    target.set({ status: 'deactivated', deactivatedAt: new Date() });
+    await target.save();
+    await endSessions(req, target._id);
+
+    const changes = { status: { from: previous, to: 'deactivated' } };
+    if (transferred) changes.subjects = { from: target._id, to: req.body.transferSubjectsTo, count: transferred };
+    await AdminAudit.record(req.user.userId, 'deactivate-user', target, { changes, reason: req.body.reason });
+    res.json(target);
+  } catch (error) {
+    sendError(res, error, 'deactivating user');
+  }
+});
+
+router.put('/users/:userId/reactivate', authenticateToken, authorize('admin', notSelf, loadTarget), permitFields('reason'), async (req, res) => {
+  try {
+    const { target } = req;
+    if (target.status !== 'deactivated') {
+      return res.status(409).json({ message: 'This account is not deactivated' });
+    }
+    target.set({ status: 'active', deactivatedAt: undefined });
+    await target.save();
+    await AdminAudit.record(req.user.userId, 'reactivate-user', target, {
+      changes: { status: { from: 'deactivated', to: 'active' } },
+      reason: req.body.reason
+    });
+    res.json(target);
+  } catch (error) {
+    sendError(res, error, 'reactivating user');
+  }
+});
+
+// Change a user's role. Their sessions end since tokens carry the role.
+router.put('/users/:userId/role', authenticateToken, authorize('admin', notSelf, loadTarget), permitFields('role', 'reason', 'transferSubjectsTo'), async (req, res) => {
+  try {
+    const { target } = req;
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ROLES.join(', ')}` });
+    }
+    if (role === target.role) {
+      return res.json(target);
+    }
+    const changes = { role: { from: target.role, to: role } };
+    if (target.role === 'teacher') {
+      const transferred = await transferSubjects(target, req.body.transferSubjectsTo);
+      if (transferred) changes.subjects = { from: target._id, to: req.body.transferSubjectsTo, count: transferred };
+    }
+    target.role = role;
+    await target.save();
+    await endSessions(req, target._id);
+    await AdminAudit.record(req.user.userId, 'change-role', target, { changes, reason: req.body.reason });
+    res.json(target);
+
+    notifyInBackground(notify(target._id, {
+      type: 'account-updated',
+      title: `Your role was changed to ${role}`,
+      body: 'Sign in again to continue.',
+      link: '/login'
+    }));
+  } catch (error) {
+    sendError(res, error, 'changing role');
+  }
+});
+
+// Move a user to another degree and/or department
+router.put('/users/:userId/reassign', authenticateToken, authorize('admin', loadTarget), permitFields('degree', 'department', 'reason'), async (req, res) => {
+  try {
+    const { target } = req;
+    const cohort = await resolveCohort(req.body.degree || target.degree, req.body.department || target.department);
+    if (cohort.errors) {
+      return res.status(400).json({ message: 'Unknown degree or department', errors: cohort.errors });
+    }
+    const changes = {};
+    ['degree', 'department'].forEach(field => {
+      if (target[field] !== cohort[field]) changes[field] = { from: target[field], to: cohort[field] };
+    });
+    if (!Object.keys(changes).length) {
+      return res.json(target);
+    }
+    target.set(cohort);
+    await target.save();
+    await AdminAudit.record(req.user.userId, 'reassign-user', target, { changes, reason: req.body.reason });
+    res.json(target);
+
+    notifyInBackground(notify(target._id, {
+      type: 'account-updated',
+      title: 'Your degree or department was updated',
+      body: `You are now in ${cohort.department}, ${cohort.degree}.`,
+      link: '/profile'
+    }));
+  } catch (error) {
+    sendError(res, error, 'reassigning user');
+  }
+});
+
+// Degrees and departments
+
+const entryInput = (body) => {
+  const input = {};
+  ['name', 'code', 'active'].forEach(field => {
+    if (body[field] !== undefined) input[field] = body[field];
+  });
+  if (body.aliases !== undefined) {
+    input.aliases = [].concat(body.aliases).map(alias => String(alias).trim().toLowerCase()).filter(Boolean);
+  }
+  return input;
+};
+
+/**
+ * List, create and update routes for Degree or Department. Renaming an entry also
+ * renames it on every user, subject and posting filed under the old name.
+ */
+const institutionRoutes = (Model, path, field) => {
+  const kind = Model.modelName.toLowerCase();
+
+  router.get(`/${path}`, authenticateToken, authorize('admin'), async (req, res) => {
+    try {
+      res.json(await Model.find().sort('name'));
+    } catch (error) {
+      console.error(`Error fetching ${path}:`, error);
+      res.status(500).json({ message: `Error fetching ${path}` });
+    }
+  });
+
+  router.post(`/${path}`, authenticateToken, authorize('admin'), permitFields('name', 'code', 'aliases', 'reason'), async (req, res) => {
+    try {
+      const entry = await Model.create(entryInput(req.body));
+      await AdminAudit.record(req.user.userId, `create-${kind}`, entry, {
+        changes: { name: { from: null, to: entry.name } },
+        reason: req.body.reason
+      });
+      res.status(201).json(entry);
+    } catch (error) {
+      sendError(res, error, `creating ${kind}`);
+    }
+  });
+
+  router.put(`/${path}/:entryId`, authenticateToken, authorize('admin'), permitFields('name', 'code', 'aliases', 'active', 'reason'), async (req, res) => {
+    try {
+      const entry = mongoose.Types.ObjectId.isValid(req.params.entryId) && await Model.findById(req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({ message: `${Model.modelName} not found` });
+      }
+      const input = entryInput(req.body);
+      const changes = {};
+      Object.keys(input).forEach(key => {
+        const before = entry[key] && entry[key].toObject ? entry[key].toObject() : entry[key];
+        if (JSON.stringify(before) !== JSON.stringify(input[key])) changes[key] = { from: before, to: input[key] };
+      });
+      if (!Object.keys(changes).length) {
+        return res.json(entry);
+      }
+      entry.set(input);
+      await entry.save();
+      if (changes.name) {
+        changes.renamed = await renameCohort(field, [changes.name.from], entry.name);
+      }
+      await AdminAudit.record(req.user.userId, `update-${kind}`, entry, { changes, reason: req.body.reason });
+      res.json(entry);
+    } catch (error) {
+      sendError(res, error, `updating ${kind}`);
+    }
+  });
+};
+
+institutionRoutes(Degree, 'degrees', 'degree');
+institutionRoutes(Department, 'departments', 'department');
+
+// Merge a duplicate department into { into }; see mergeDepartments
+router.post('/departments/:entryId/merge', authenticateToken, authorize('admin'), permitFields('into', 'reason'), async (req, res) => {
+  try {
+    const { into, reason } = req.body;
+    const source = mongoose.Types.ObjectId.isValid(req.params.entryId) && await Department.findById(req.params.entryId);
+    const target = mongoose.Types.ObjectId.isValid(into) && await Department.findOne({ _id: into, active: true });
+    if (!source || !target) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    if (String(source._id) === String(target._id)) {
+      return res.status(400).json({ message: 'A department cannot be merged into itself' });
+    }
+    if (source.mergedInto) {
+      return res.status(409).json({ message: 'This department was already merged' });
+    }
+
+    const moved = await mergeDepartments(source, target);
+    await AdminAudit.record(req.user.userId, 'merge-department', source, {
+      changes: { mergedInto: { from: null, to: target._id }, moved },
+      reason
+    });
+    res.json({ department: target, merged: source, moved });
+  } catch (error) {
+    sendError(res, error, 'merging departments');
+  }
+});
+
+// Conversation reports
+
+const REPORT_RESOLUTIONS = ['dismissed', 'action-taken'];
+
+/**
+ * Reports of private conversations, newest first, with the reported message.
+ * ?status is open (default) or reviewed. Paginate with ?before=<reportId>; ?limit is at most 100.
+ */
+router.get('/conversation-reports', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 50, 100);
+    const filter = { status: req.query.status || 'open' };
+    if (!['open', 'reviewed'].includes(filter.status)) {
+      return res.status(400).json({ message: 'Status must be open or reviewed' });
+    }
+    if (req.query.before) {
+      const cursor = mongoose.Types.ObjectId.isValid(req.query.before) && await ConversationReport.findById(req.query.before);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    const reports = await ConversationReport.find(filter)
+      .populate('reporter', 'name email role')
+      .populate('reported', 'name email role status')
+      .populate('message', 'text attachments sender createdAt')
+      .populate('conversation', 'type title')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = reports.length > limit;
+    const page = reports.slice(0, limit);
+    res.json({ reports: page, nextCursor: hasMore ? page[page.length - 1]._id : null });
+  } catch (error) {
+    console.error('Error fetching conversation reports:', error);
+    res.status(500).json({ message: 'Error fetching conversation reports' });
+  }
+});
+
+// Close a report with { resolution: 'dismissed' | 'action-taken', reason }. Acting on the
+// reported user, e.g. deactivating them, goes through the user routes above.
+router.put('/conversation-reports/:reportId/review', authenticateToken, authorize('admin'), permitFields('resolution', 'reason'), async (req, res) => {
+  try {
+    const { resolution, reason } = req.body;
+    if (!REPORT_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ message: `Resolution must be one of ${REPORT_RESOLUTIONS.join(', ')}` });
+    }
+    const report = mongoose.Types.ObjectId.isValid(req.params.reportId) && await ConversationReport.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (report.status === 'reviewed') {
+      return res.status(409).json({ message: 'This report has already been reviewed' });
+    }
+
+    report.set({ status: 'reviewed', resolution, reviewedAt: new Date(), reviewedBy: req.user.userId });
+    await report.save();
+    await AdminAudit.record(req.user.userId, 'review-conversation-report', report, {
+      changes: { status: { from: 'open', to: 'reviewed' }, resolution: { from: null, to: resolution } },
+      reason
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Error reviewing conversation report:', error);
+    res.status(500).json({ message: 'Error reviewing conversation report' });
+  }
+});
+
+// Audit log
+
+/**
+ * Administrative actions, newest first. Filters: ?actor, ?target, ?action.
+ * Paginate with ?before=<entryId>; ?limit is at most 100.
+ */
+router.get('/audit', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 50, 100);
+    const filter = {};
+    for (const field of ['actor', 'target']) {
+      if (req.query[field]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+          return res.status(400).json({ message: `Invalid ${field}` });
+        }
+        filter[field] = req.query[field];
+      }
+    }
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.before) {
+      const cursor = mongoose.Types.ObjectId.isValid(req.query.before) && await AdminAudit.findById(req.query.before);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    const entries = await AdminAudit.find(filter)
+      .populate('actor', 'name email')
+      .populate('target', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+    res.json({ entries: page, nextCursor: hasMore ? page[page.length - 1]._id : null });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Error fetching audit log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const File = require('../models/File');
+const AlumniProfile = require('../models/AlumniProfile');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const JobPosting = require('../models/JobPosting');
+const JobApplication = require('../models/JobApplication');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError } = require('../middleware/authorize');
+const { notify, notifyInBackground } = require('../services/notifications');
+const { pageLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+const PROFILE_FIELDS = ['graduationYear', 'employer', 'jobTitle', 'skills', 'bio', 'openToMentoring'];
+const JOB_FIELDS = ['type', 'title', 'company', 'location', 'remote', 'description', 'skills', 'applyBy', 'scope', 'status'];
+
+// Statuses the poster can move an application to; only the applicant withdraws
+const REVIEW_STATUSES = ['reviewing', 'shortlisted', 'rejected', 'hired'];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Skills arrive as a list or a comma-separated string
+const skillList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const idOrNotFound = (id, message) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw httpError(404, message);
+  return id;
+};
+
+// Load the job posting named by the route into req.posting
+const loadPosting = async (req) => {
+  req.posting = await JobPosting.findById(idOrNotFound(req.params.jobId, 'Job posting not found'));
+  if (!req.posting) {
+    throw httpError(404, 'Job posting not found');
+  }
+  return req.posting;
+};
+
+const ownsPosting = async (req) => String((await loadPosting(req)).postedBy) === String(req.user.userId);
+
+// Openings outside the user's degree or department are hidden as if missing
+const canSeePosting = async (req) => {
+  const posting = await loadPosting(req);
+  req.currentUser = await User.findById(req.user.userId).select('degree department');
+  if (!req.currentUser || !posting.visibleTo(req.currentUser)) {
+    throw httpError(404, 'Job posting not found');
+  }
+  return true;
+};
+
+// Load the application named by the route into req.application
+const loadApplication = async (req) => {
+  req.application = await JobApplication.findById(idOrNotFound(req.params.applicationId, 'Application not found'));
+  if (!req.application) {
+    throw httpError(404, 'Application not found');
+  }
+  return req.application;
+};
+
+const receivedApplication = async (req) => String((await loadApplication(req)).postedBy) === String(req.user.userId);
+
+const sentApplication = async (req) => String((await loadApplication(req)).applicant) === String(req.user.userId);
+
+// Profiles
+
+router.get('/profile', authenticateToken, authorize('alumni'), async (req, res) => {
+  try {
+    const profile = await AlumniProfile.findOne({ user: req.user.userId });
+    res.json(profile || { user: req.user.userId, skills: [], openToMentoring: false });
+  } catch (error) {
+    console.error('Error fetching alumni profile:', error);
+    res.status(500).json({ message: 'Error fetching alumni profile' });
+  }
+});
+
+// Create or update the current alumnus's profile
+router.put('/profile', authenticateToken, authorize('alumni'), permitFields(...PROFILE_FIELDS), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('degree department');
+    const profile = await AlumniProfile.findOne({ user: req.user.userId }) || new AlumniProfile({ user: req.user.userId });
+    const changes = { ...req.body };
+    if (changes.skills !== undefined) {
+      changes.skills = Array.from(new Set(skillList(changes.skills)));
+    }
+    profile.set({ ...changes, degree: user.degree, department: user.department, updatedAt: new Date() });
+    await profile.save();
+    res.json(profile);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error saving alumni profile:', error);
+    res.status(500).json({ message: 'Error saving alumni profile' });
+  }
+});
+
+/**
+ * Search alumni profiles. Filters: ?q (name, employer or job title), ?skills (all
+ * must match), ?employer, ?graduationYear, ?degree, ?department, ?mentoring=true.
+ * Paginate with ?page (from 1) and ?limit (at most 50).
+ */
+router.get('/profiles', authenticateToken, authorize('student', 'alumni', 'teacher'), async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 20, 50);
+    const page = Math.max(Math.trunc(Number(req.query.page)) || 1, 1);
+    const filter = {};
+    const skills = skillList(req.query.skills);
+    if (skills.length) filter.skills = { $all: skills };
+    if (req.query.employer) filter.employer = new RegExp(escapeRegex(req.query.employer), 'i');
+    if (req.query.graduationYear) {
+      filter.graduationYear = Number(req.query.graduationYear);
+      if (!Number.isInteger(filter.graduationYear)) {
+        return res.status(400).json({ message: 'Graduation year must be a year' });
+      }
+    }
+    if (req.query.degree) filter.degree = req.query.degree;
+    if (req.query.department) filter.department = req.query.department;
+    if (req.query.mentoring === 'true') filter.openToMentoring = true;
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+      const userIds = await User.find({ role: 'alumni', name: pattern }).distinct('_id');
+      filter.$or = [{ user: { $in: userIds } }, { employer: pattern }, { jobTitle: pattern }];
+    }
+
+    const total = await AlumniProfile.countDocuments(filter);
+    const profiles = await AlumniProfile.find(filter)
+      .populate('user', 'name')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    res.json({ profiles, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error searching alumni profiles:', error);
+    res.status(500).json({ message: 'Error searching alumni profiles' });
+  }
+});
+
+router.get('/profiles/:userId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+    const profile = await AlumniProfile.findOne({ user: req.params.userId }).populate('user', 'name');
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching alumni profile:', error);
+    res.status(500).json({ message: 'Error fetching alumni profile' });
+  }
+});
+
+// Mentorship
+
+// Ask an alumnus who is open to mentoring to mentor the current student
+router.post('/mentorship-requests', authenticateToken, authorize('student'), permitFields('mentor', 'message'), async (req, res) => {
+  try {
+    const { mentor, message } = req.body;
+    const profile = mongoose.Types.ObjectId.isValid(mentor) && await AlumniProfile.findOne({ user: mentor });
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+    if (!profile.openToMentoring) {
+      return res.status(409).json({ message: 'This alumnus is not taking mentorship requests' });
+    }
+    const open = await MentorshipRequest.exists({ student: req.user.userId, mentor, status: { $in: ['pending', 'accepted'] } });
+    if (open) {
+      return res.status(409).json({ message: 'You already have a request with this mentor' });
+    }
+
+    const request = await MentorshipRequest.create({ student: req.user.userId, mentor, message });
+    res.status(201).json(request);
+
+    notifyInBackground(User.findById(req.user.userId).select('name').then(student => notify(mentor, {
+      type: 'mentorship-requested',
+      title: `${student.name} asked you to be their mentor`,
+      body: message ? String(message).slice(0, 200) : undefined,
+      link: '/alumni/mentorship',
+      data: { requestId: request._id }
+    })));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a request with this mentor' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error requesting mentorship:', error);
+    res.status(500).json({ message: 'Error requesting mentorship' });
+  }
+});
+
+// Requests the current user sent (students) or received (alumni), optionally by ?status
+router.get('/mentorship-requests', authenticateToken, authorize('student', 'alumni'), async (req, res) => {
+  try {
+    const filter = req.user.role === 'alumni' ? { mentor: req.user.userId } : { student: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+    const requests = await MentorshipRequest.find(filter)
+      .populate('student', 'name email degree department')
+      .populate('mentor', 'name')
+      .sort({ createdAt: -1 });
+    res.json(requests);
+  } catch (error) {
+    console.error('Error fetching mentorship requests:', error);
+    res.status(500).json({ message: 'Error fetching mentorship requests' });
+  }
+});
+
+// Accept or decline a pending request: { status: 'accepted' | 'declined', response }
+router.put('/mentorship-requests/:requestId/respond', authenticateToken, authorize('alumni'), permitFields('status', 'response'), async (req, res) => {
+  try {
+    const { status, response } = req.body;
+    if (!['accepted', 'declined'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be accepted or declined' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+    const request = await MentorshipRequest.findOneAndUpdate(
+      { _id: req.params.requestId, mentor: req.user.userId, status: 'pending' },
+      { $set: { status, response, respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+    res.json(request);
+
+    notifyInBackground(User.findById(req.user.userId).select('name').then(mentor => notify(request.student, {
+      type: 'mentorship-answered',
+      title: `${mentor.name} ${status} your mentorship request`,
+      body: response ? String(response).slice(0, 200) : undefined,
+      link: '/alumni/mentorship',
+      data: { requestId: request._id }
+    })));
+  } catch (error) {
+    console.error('Error answering mentorship request:', error);
+    res.status(500).json({ message: 'Error answering mentorship request' });
+  }
+});
+
+router.put('/mentorship-requests/:requestId/cancel', authenticateToken, authorize('student'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.requestId)) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+    const request = await MentorshipRequest.findOneAndUpdate(
+      { _id: req.params.requestId, student: req.user.userId, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+    res.json(request);
+  } catch (error) {
+    console.error('Error cancelling mentorship request:', error);
+    res.status(500).json({ message: 'Error cancelling mentorship request' });
+  }
+});
+
+// Jobs and internships
+
+// Post an opening, visible to the poster's degree or, with scope 'department', their department
+router.post('/jobs', authenticateToken, authorize('alumni'), permitFields(...JOB_FIELDS), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('degree department');
+    const posting = new JobPosting({
+      ...req.body,
+      skills: skillList(req.body.skills),
+      status: 'open',
+      postedBy: req.user.userId,
+      degree: user.degree,
+      department: user.department
+    });
+    await posting.save();
+    res.status(201).json(posting);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error posting job:', error);
+    res.status(500).json({ message: 'Error posting job' });
+  }
+});
+
+/**
+ * Openings visible to the current user, newest first. Filters: ?type, ?skills,
+ * ?q (title or company), ?mine=true for the poster's own openings including closed ones.
+ */
+router.get('/jobs', authenticateToken, authorize('student', 'alumni'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('degree department');
+    let filter;
+    if (req.query.mine === 'true') {
+      filter = { postedBy: req.user.userId };
+    } else {
+      filter = {
+        status: 'open',
+        degree: user.degree,
+        $or: [{ scope: 'degree' }, { scope: 'department', department: user.department }]
+      };
+    }
+    if (req.query.type) filter.type = req.query.type;
+    const skills = skillList(req.query.skills);
+    if (skills.length) filter.skills = { $all: skills };
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$and = [{ $or: [{ title: pattern }, { company: pattern }] }];
+    }
+
+    const postings = await JobPosting.find(filter)
+      .populate('postedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+    const applied = req.user.role === 'student'
+      ? new Set((await JobApplication.find({ applicant: req.user.userId, posting: { $in: postings.map(item => item._id) } }).distinct('posting')).map(String))
+      : null;
+    res.json(postings.map(posting => ({
+      ...posting.toObject(),
+      applied: applied ? applied.has(String(posting._id)) : undefined
+    })));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ message: 'Error fetching jobs' });
+  }
+});
+
+router.get('/jobs/:jobId', authenticateToken, authorize(canSeePosting), async (req, res) => {
+  try {
+    await req.posting.populate('postedBy', 'name');
+    res.json(req.posting);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ message: 'Error fetching job' });
+  }
+});
+
+// Edit an opening, or close it with { status: 'closed' }
+router.put('/jobs/:jobId', authenticateToken, authorize('alumni', ownsPosting), permitFields(...JOB_FIELDS), async (req, res) => {
+  try {
+    const changes = { ...req.body };
+    if (changes.skills !== undefined) changes.skills = skillList(changes.skills);
+    req.posting.set(changes);
+    await req.posting.save();
+    res.json(req.posting);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating job:', error);
+    res.status(500).json({ message: 'Error updating job' });
+  }
+});
+
+// Apply with a cover letter and optionally a resume uploaded through /api/upload
+router.post('/jobs/:jobId/applications', authenticateToken, authorize('student', canSeePosting), permitFields('coverLetter', 'resume'), async (req, res) => {
+  try {
+    const { posting } = req;
+    if (!posting.acceptsApplicationsAt(new Date())) {
+      return res.status(409).json({ message: 'This opening is no longer accepting applications' });
+    }
+    const { coverLetter, resume } = req.body;
+    if (resume !== undefined) {
+      const file = mongoose.Types.ObjectId.isValid(resume) && await File.exists({ _id: resume, owner: req.user.userId });
+      if (!file) {
+        return res.status(400).json({ message: 'Resume file not found' });
+      }
+    }
+
+    const application = await JobApplication.create({
+      posting: posting._id,
+      applicant: req.user.userId,
+      postedBy: posting.postedBy,
+      coverLetter,
+      resume,
+      history: [{ status: 'submitted', by: req.user.userId }]
+    });
+    res.status(201).json(application);
+
+    notifyInBackground(User.findById(req.user.userId).select('name').then(student => notify(posting.postedBy, {
+      type: 'job-application',
+      title: `${student.name} applied for ${posting.title}`,
+      link: `/alumni/jobs/${posting._id}/applications`,
+      data: { postingId: posting._id, applicationId: application._id }
+    })));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already applied for this opening' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error applying for job:', error);
+    res.status(500).json({ message: 'Error applying for job' });
+  }
+});
+
+router.get('/jobs/:jobId/applications', authenticateToken, authorize('alumni', ownsPosting), async (req, res) => {
+  try {
+    const filter = { posting: req.posting._id };
+    if (req.query.status) filter.status = req.query.status;
+    const applications = await JobApplication.find(filter)
+      .populate('applicant', 'name email degree department')
+      .populate('resume', 'originalName url size')
+      .sort({ createdAt: 1 });
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    res.status(500).json({ message: 'Error fetching applications' });
+  }
+});
+
+// The current student's applications with their opening and status
+router.get('/applications', authenticateToken, authorize('student'), async (req, res) => {
+  try {
+    const applications = await JobApplication.find({ applicant: req.user.userId })
+      .populate('posting', 'title company type status applyBy')
+      .populate('resume', 'originalName url')
+      .sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    res.status(500).json({ message: 'Error fetching applications' });
+  }
+});
+
+// Move an application through review: { status, note }. The applicant is told about each change.
+router.put('/applications/:applicationId', authenticateToken, authorize('alumni', receivedApplication), permitFields('status', 'note'), async (req, res) => {
+  try {
+    const { application } = req;
+    const { status, note } = req.body;
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (application.status === 'withdrawn') {
+      return res.status(409).json({ message: 'This application was withdrawn' });
+    }
+    if (application.status === status) {
+      return res.json(application);
+    }
+    application.status = status;
+    application.history.push({ status, by: req.user.userId, note });
+    await application.save();
+    res.json(application);
+
+    notifyInBackground(JobPosting.findById(application.posting).select('title company').then(posting => notify(application.applicant, {
+      type: 'application-updated',
+      title: `Your application for ${posting ? posting.title : 'a job'} is now ${status}`,
+      body: note ? String(note).slice(0, 200) : undefined,
+      link: '/alumni/applications',
+      data: { applicationId: application._id, status }
+    })));
+  } catch (error) {
+    console.error('Error updating application:', error);
+    res.status(500).json({ message: 'Error updating application' });
+  }
+});
+
+router.put('/applications/:applicationId/withdraw', authenticateToken, authorize('student', sentApplication), async (req, res) => {
+  try {
+    const { application } = req;
+    if (['rejected', 'hired', 'withdrawn'].includes(application.status)) {
+      return res.status(409).json({ message: `This application is already ${application.status}` });
+    }
+    application.status = 'withdrawn';
+    application.history.push({ status: 'withdrawn', by: req.user.userId });
+    await application.save();
+    res.json(application);
+  } catch (error) {
+    console.error('Error withdrawing application:', error);
+    res.status(500).json({ message: 'Error withdrawing application' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,418 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const Enrollment = require('../models/Enrollment');
+const ClassSession = require('../models/ClassSession');
+const Attendance = require('../models/Attendance');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError, ownsSubject, enrolledInSubject } = require('../middleware/authorize');
+const {
+  alertPercent,
+  generateCheckInCode,
+  calendarDays,
+  calendarContext,
+  attendanceSummaries,
+  checkLowAttendance,
+} = require('../services/attendance');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_GENERATED_SESSIONS = 500;
+// Longest from-to range for generated sessions, about one term
+const MAX_GENERATION_DAYS = 183;
+
+// Load the session named by the route into req.classSession, and its subject into req.subject
+const loadSession = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    throw httpError(404, 'Session not found');
+  }
+  req.classSession = await ClassSession.findById(req.params.sessionId);
+  if (!req.classSession) {
+    throw httpError(404, 'Session not found');
+  }
+  req.subject = await Subject.findById(req.classSession.subject);
+  if (!req.subject) {
+    throw httpError(404, 'Subject not found');
+  }
+  return req.classSession;
+};
+
+const ownsSessionSubject = async (req) => {
+  await loadSession(req);
+  return String(req.subject.creator) === String(req.user.userId);
+};
+
+const activeStudentIds = (subjectId) => Enrollment.find({ subject: subjectId, status: 'active' }).distinct('student');
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+// Create a session. Sessions on a holiday are refused unless `force` is set.
+router.post('/subjects/:subjectId/sessions', authenticateToken, authorize('teacher', ownsSubject), permitFields('title', 'startsAt', 'endsAt', 'durationMinutes', 'lateAfterMinutes', 'force'), async (req, res) => {
+  try {
+    const { title, durationMinutes, lateAfterMinutes, force } = req.body;
+    const startsAt = parseDate(req.body.startsAt);
+    if (!startsAt) {
+      return res.status(400).json({ message: 'A valid start time is required' });
+    }
+    const endsAt = parseDate(req.body.endsAt) || new Date(startsAt.getTime() + (Number(durationMinutes) || 60) * 60 * 1000);
+
+    // Calendar entries are whole days starting at UTC midnight
+    const day = new Date(Date.UTC(startsAt.getUTCFullYear(), startsAt.getUTCMonth(), startsAt.getUTCDate()));
+    const days = await calendarDays(day, day);
+    const { holiday, entry } = calendarContext(days, day);
+    if (holiday && !force) {
+      return res.status(409).json({ message: `${holiday.description} is a holiday. Send force to schedule anyway` });
+    }
+
+    const session = new ClassSession({
+      subject: req.subject._id,
+      title,
+      startsAt,
+      endsAt,
+      lateAfterMinutes,
+      calendarEntry: (entry || holiday) && (entry || holiday)._id,
+      createdBy: req.user.userId
+    });
+    await session.save();
+    res.status(201).json(session);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating session:', error);
+    res.status(500).json({ message: 'Error creating session' });
+  }
+});
+
+/**
+ * Create weekly sessions between two dates on the given weekdays (0 = Sunday),
+ * skipping holidays on the academic calendar. startTime is "HH:MM" at utcOffsetMinutes
+ * from UTC (CLASS_UTC_OFFSET_MINUTES by default).
+ */
+router.post('/subjects/:subjectId/sessions/generate', authenticateToken, authorize('teacher', ownsSubject), permitFields('title', 'from', 'to', 'weekdays', 'startTime', 'durationMinutes', 'lateAfterMinutes', 'utcOffsetMinutes'), async (req, res) => {
+  try {
+    const { title, weekdays, startTime, lateAfterMinutes } = req.body;
+    const from = parseDate(req.body.from);
+    const to = parseDate(req.body.to);
+    const time = /^(\d{1,2}):(\d{2})$/.exec(startTime || '');
+    const durationMinutes = Number(req.body.durationMinutes) || 60;
+    const offset = req.body.utcOffsetMinutes !== undefined
+      ? Number(req.body.utcOffsetMinutes)
+      : Number(process.env.CLASS_UTC_OFFSET_MINUTES) || 0;
+
+    if (!from || !to || to < from) {
+      return res.status(400).json({ message: 'Valid from and to dates are required' });
+    }
+    // Checked before any calendar entries are expanded over the range
+    if (to.getTime() - from.getTime() > MAX_GENERATION_DAYS * DAY_MS) {
+      return res.status(400).json({ message: `Sessions can be generated for at most ${MAX_GENERATION_DAYS} days at a time` });
+    }
+    if (!Array.isArray(weekdays) || !weekdays.length || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return res.status(400).json({ message: 'Weekdays must be a list of numbers from 0 (Sunday) to 6' });
+    }
+    if (!time || Number(time[1]) > 23 || Number(time[2]) > 59 || isNaN(offset)) {
+      return res.status(400).json({ message: 'Start time must be HH:MM' });
+    }
+
+    const firstDay = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+    const lastDay = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+    const days = await calendarDays(new Date(firstDay), new Date(lastDay));
+
+    const sessions = [];
+    const skipped = [];
+    for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+      const date = new Date(day);
+      if (!weekdays.includes(date.getUTCDay())) continue;
+      const { holiday, entry } = calendarContext(days, date);
+      if (holiday) {
+        skipped.push({ date: date.toISOString().slice(0, 10), reason: holiday.description });
+        continue;
+      }
+      const startsAt = new Date(day + (Number(time[1]) * 60 + Number(time[2]) - offset) * 60 * 1000);
+      sessions.push({
+        subject: req.subject._id,
+        title,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + durationMinutes * 60 * 1000),
+        lateAfterMinutes,
+        calendarEntry: entry && entry._id,
+        createdBy: req.user.userId
+      });
+    }
+    if (sessions.length > MAX_GENERATED_SESSIONS) {
+      return res.status(400).json({ message: `At most ${MAX_GENERATED_SESSIONS} sessions can be created at once` });
+    }
+
+    const created = await ClassSession.insertMany(sessions);
+    res.status(201).json({ created, skipped });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error generating sessions:', error);
+    res.status(500).json({ message: 'Error generating sessions' });
+  }
+});
+
+// Sessions in ?from/?to. Students also get their own attendance status for each.
+router.get('/subjects/:subjectId/sessions', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    const filter = { subject: req.subject._id };
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from || to) {
+      filter.startsAt = {};
+      if (from) filter.startsAt.$gte = from;
+      if (to) filter.startsAt.$lte = to;
+    }
+    const sessions = await ClassSession.find(filter)
+      .populate('calendarEntry', 'description category')
+      .sort({ startsAt: 1 });
+
+    if (String(req.subject.creator) === String(req.user.userId)) {
+      return res.json(sessions);
+    }
+    const records = await Attendance.find({ session: { $in: sessions.map(session => session._id) }, student: req.user.userId });
+    const statuses = new Map(records.map(record => [String(record.session), record.status]));
+    res.json(sessions.map(session => ({ ...session.toObject(), attendance: statuses.get(String(session._id)) || null })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+// Reschedule, rename or cancel (status: 'cancelled') a session
+router.put('/sessions/:sessionId', authenticateToken, authorize('teacher', ownsSessionSubject), permitFields('title', 'startsAt', 'endsAt', 'lateAfterMinutes', 'status'), async (req, res) => {
+  try {
+    req.classSession.set(req.body);
+    await req.classSession.save();
+    res.json(req.classSession);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating session:', error);
+    res.status(500).json({ message: 'Error updating session' });
+  }
+});
+
+router.delete('/sessions/:sessionId', authenticateToken, authorize('teacher', ownsSessionSubject), async (req, res) => {
+  try {
+    if (await Attendance.exists({ session: req.classSession._id })) {
+      return res.status(409).json({ message: 'Sessions with attendance cannot be deleted; cancel them instead' });
+    }
+    await req.classSession.deleteOne();
+    res.json({ message: 'Session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ message: 'Error deleting session' });
+  }
+});
+
+// The roster for a session with each enrolled student's status (null when not marked)
+router.get('/sessions/:sessionId/attendance', authenticateToken, authorize('teacher', ownsSessionSubject), async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ subject: req.subject._id, status: 'active' })
+      .populate('student', 'name email');
+    const records = await Attendance.find({ session: req.classSession._id });
+    const byStudent = new Map(records.map(record => [String(record.student), record]));
+
+    res.json({
+      session: req.classSession,
+      students: enrollments.filter(enrollment => enrollment.student).map(enrollment => {
+        const record = byStudent.get(String(enrollment.student._id));
+        return {
+          student: enrollment.student,
+          status: record ? record.status : null,
+          method: record ? record.method : null,
+          note: record ? record.note : undefined,
+          markedAt: record ? record.markedAt : undefined
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({ message: 'Error fetching attendance' });
+  }
+});
+
+/**
+ * Mark attendance for a session: { records: [{ student, status, note }] }, and
+ * optionally { default: status } for every enrolled student not listed.
+ */
+router.put('/sessions/:sessionId/attendance', authenticateToken, authorize('teacher', ownsSessionSubject), permitFields('records', 'default'), async (req, res) => {
+  try {
+    const { classSession: session, subject } = req;
+    if (session.status === 'cancelled') {
+      return res.status(409).json({ message: 'Attendance cannot be taken for a cancelled session' });
+    }
+    const records = Array.isArray(req.body.records) ? req.body.records : [];
+    const fallback = req.body.default;
+    const statuses = Attendance.STATUSES;
+    if (fallback !== undefined && !statuses.includes(fallback)) {
+      return res.status(400).json({ message: `Default status must be one of ${statuses.join(', ')}` });
+    }
+
+    const enrolled = new Set((await activeStudentIds(subject._id)).map(String));
+    const errors = [];
+    const marks = new Map();
+    records.forEach((record, index) => {
+      const student = record && String(record.student);
+      if (!enrolled.has(student)) {
+        errors.push({ index, message: 'Student is not enrolled in this subject' });
+      } else if (!statuses.includes(record.status)) {
+        errors.push({ index, message: `Status must be one of ${statuses.join(', ')}` });
+      } else {
+        marks.set(student, { status: record.status, note: record.note });
+      }
+    });
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid attendance', errors });
+    }
+    if (fallback) {
+      enrolled.forEach(student => {
+        if (!marks.has(student)) marks.set(student, { status: fallback });
+      });
+    }
+
+    const now = new Date();
+    await Attendance.bulkWrite(Array.from(marks).map(([student, mark]) => ({
+      updateOne: {
+        filter: { session: session._id, student },
+        update: {
+          $set: { subject: subject._id, status: mark.status, note: mark.note, method: 'teacher', markedBy: req.user.userId, markedAt: now }
+        },
+        upsert: true
+      }
+    })));
+
+    await checkLowAttendance(subject, Array.from(enrolled));
+    res.json({ marked: marks.size });
+  } catch (error) {
+    console.error('Error marking attendance:', error);
+    res.status(500).json({ message: 'Error marking attendance' });
+  }
+});
+
+// Open check-in for a session with a new code valid for `validMinutes` (default 10)
+router.post('/sessions/:sessionId/check-in-code', authenticateToken, authorize('teacher', ownsSessionSubject), permitFields('validMinutes'), async (req, res) => {
+  try {
+    const validMinutes = Math.min(Math.max(Number(req.body.validMinutes) || 10, 1), 180);
+    if (req.classSession.status === 'cancelled') {
+      return res.status(409).json({ message: 'Check-in cannot be opened for a cancelled session' });
+    }
+    const code = generateCheckInCode();
+    const expiresAt = new Date(Date.now() + validMinutes * 60 * 1000);
+    req.classSession.checkIn = { code, expiresAt };
+    await req.classSession.save();
+    res.status(201).json({ code, expiresAt });
+  } catch (error) {
+    console.error('Error opening check-in:', error);
+    res.status(500).json({ message: 'Error opening check-in' });
+  }
+});
+
+// Close check-in early
+router.delete('/sessions/:sessionId/check-in-code', authenticateToken, authorize('teacher', ownsSessionSubject), async (req, res) => {
+  try {
+    await ClassSession.updateOne({ _id: req.classSession._id }, { $unset: { checkIn: 1 } });
+    res.json({ message: 'Check-in closed' });
+  } catch (error) {
+    console.error('Error closing check-in:', error);
+    res.status(500).json({ message: 'Error closing check-in' });
+  }
+});
+
+// Check in to whichever of the student's sessions has this open code
+router.post('/attendance/check-in', authenticateToken, authorize('student'), permitFields('code'), async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const now = new Date();
+    const subjectIds = await Enrollment.find({ student: req.user.userId, status: 'active' }).distinct('subject');
+    const session = code && await ClassSession.findOne({
+      subject: { $in: subjectIds },
+      status: 'scheduled',
+      'checkIn.code': code,
+      'checkIn.expiresAt': { $gt: now }
+    });
+    if (!session) {
+      return res.status(400).json({ message: 'Invalid or expired check-in code' });
+    }
+
+    const existing = await Attendance.findOne({ session: session._id, student: req.user.userId });
+    // Checking in only replaces an absent mark, so a teacher's late or excused mark stands
+    if (existing && existing.status !== 'absent') {
+      return res.json({ session: session._id, status: existing.status });
+    }
+    const status = now > new Date(session.startsAt.getTime() + session.lateAfterMinutes * 60 * 1000) ? 'late' : 'present';
+    await Attendance.updateOne(
+      { session: session._id, student: req.user.userId },
+      { $set: { subject: session.subject, status, method: 'check-in', markedBy: req.user.userId, markedAt: now } },
+      { upsert: true }
+    );
+
+    const subject = await Subject.findById(session.subject);
+    await checkLowAttendance(subject, [req.user.userId]);
+    res.json({ session: session._id, status });
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({ message: 'Error checking in' });
+  }
+});
+
+// Attendance percentage per enrolled student, flagging those below ?threshold
+router.get('/subjects/:subjectId/attendance/report', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : alertPercent();
+    if (isNaN(threshold)) {
+      return res.status(400).json({ message: 'Invalid threshold' });
+    }
+    const enrollments = await Enrollment.find({ subject: req.subject._id, status: 'active' })
+      .populate('student', 'name email');
+    const students = enrollments.map(enrollment => enrollment.student).filter(Boolean);
+    const summaries = await attendanceSummaries(req.subject._id, students.map(student => student._id));
+
+    res.json({
+      threshold,
+      students: students.map(student => {
+        const summary = summaries.get(String(student._id));
+        return {
+          student,
+          ...summary,
+          belowThreshold: summary.percentage !== null && summary.percentage < threshold
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error building attendance report:', error);
+    res.status(500).json({ message: 'Error building attendance report' });
+  }
+});
+
+// The current student's attendance in each of their subjects
+router.get('/attendance/summary', authenticateToken, authorize('student'), async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ student: req.user.userId, status: 'active' })
+      .populate('subject', 'title');
+    const threshold = alertPercent();
+    const summaries = [];
+    for (const enrollment of enrollments.filter(item => item.subject)) {
+      const summary = (await attendanceSummaries(enrollment.subject._id, [req.user.userId])).get(String(req.user.userId));
+      summaries.push({
+        subject: enrollment.subject,
+        ...summary,
+        belowThreshold: summary.percentage !== null && summary.percentage < threshold
+      });
+    }
+    res.json({ threshold, subjects: summaries });
+  } catch (error) {
+    console.error('Error fetching attendance summary:', error);
+    res.status(500).json({ message: 'Error fetching attendance summary' });
+  }
+});
+
+module.exports = router;
@@ -1,78 +1,341 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  hashToken,
+  signAccessToken,
+  rotateRefreshToken,
+  issueTokens,
+  authenticateUnverified,
+} = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { resolveCohort } = require('../services/institution');
+const { notifyMany, notifyInBackground } = require('../services/notifications');
+const { consumeToken, sendVerificationEmail, sendPasswordResetEmail } = require('../services/authTokens');
+const { lockedFor, recordFailure, recordSuccess } = require('../services/loginAttempts');
 
 const router = express.Router();
 
-router.post('/signup', async (req, res) => {
+const getDevice = (req) => String(req.body.device || req.headers['user-agent'] || 'unknown').slice(0, 200);
+
+// Signup route
+router.post('/signup', limits.signup, [
+  body('email').isEmail().withMessage('Please enter a valid email address'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+  body('role').isIn(['teacher', 'student', 'alumni']).withMessage('Role must be either teacher, student, or alumni'),
+  body('name').notEmpty().withMessage('Name is required'),
+  body('degree').notEmpty().withMessage('Degree is required'),
+  body('department').notEmpty().withMessage('Department is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { name, email, password, role, additionalInfo } = req.body;
+    const { email, password, role, name, additionalInfo, degree, department } = req.body;
 
-    let user = await User.findOne({ email });
-    if (user) {
-      return res.status(400).json({ message: 'User already exists' });
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    // Degree and department must name institution entries; store their canonical names
+    const cohort = await resolveCohort(degree, department);
+    if (cohort.errors) {
+      return res.status(400).json({ errors: cohort.errors });
+    }
 
-    user = new User({
-      name,
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = new User({
       email,
       password: hashedPassword,
       role,
+      name,
       additionalInfo,
+      degree: cohort.degree,
+      department: cohort.department,
+      // Teachers can sign in once an admin approves them
+      status: role === 'teacher' ? 'pending' : 'active',
     });
 
     await user.save();
+    notifyInBackground(sendVerificationEmail(user));
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role,
-      },
-    };
+    if (user.status === 'pending') {
+      notifyInBackground(User.find({ role: 'admin', status: 'active' }).distinct('_id').then(adminIds => notifyMany(adminIds, {
+        type: 'teacher-signup',
+        title: `${user.name} signed up as a teacher`,
+        body: `${user.department}, ${user.degree}. Approve the account to let them sign in.`,
+        link: `/admin/users/${user._id}`,
+        data: { userId: user._id }
+      })));
+      return res.status(201).json({ message: 'Your account is awaiting approval by an administrator', status: user.status, role: user.role, name: user.name });
+    }
 
-    jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }, (err, token) => {
-      if (err) throw err;
-      res.json({ token });
-    });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server error');
+    const { token, refreshToken } = await issueTokens(user, getDevice(req));
+    res.status(201).json({ token, refreshToken, role: user.role, name: user.name });
+  } catch (error) {
+    console.error('Error signing up:', error);
+    res.status(500).json({ message: 'Error signing up', error: 'An unexpected error occurred' });
   }
 });
 
-router.post('/login', async (req, res) => {
+// Login route
+router.post('/login', limits.login, [
+  body('email').isEmail().withMessage('Please enter a valid email address'),
+  body('password').exists().withMessage('Password is required'),
+  body('role').exists().withMessage('Role is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { email, password } = req.body;
+    const { email, password, role } = req.body;
 
-    let user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    const retryAfterMs = await lockedFor(email, req.ip);
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many failed login attempts, please try again later', retryAfter });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+    // Unknown email, wrong role and wrong password get the same answer
+    const user = await User.findOne({ email });
+    const isValid = Boolean(user) && user.role === role && await bcrypt.compare(password, user.password);
+    if (!isValid) {
+      await recordFailure(email, req.ip);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
+    await recordSuccess(email);
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role,
-      },
-    };
+    if (user.status === 'pending') {
+      return res.status(403).json({ message: 'Your account is awaiting approval by an administrator' });
+    }
+    if (user.status === 'deactivated') {
+      return res.status(403).json({ message: 'Your account has been deactivated' });
+    }
 
-    jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }, (err, token) => {
-      if (err) throw err;
-      res.json({ token });
-    });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server error');
+    const { token, refreshToken } = await issueTokens(user, getDevice(req));
+    res.json({ token, refreshToken, role: user.role, name: user.name });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Error logging in', error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token and a rotated refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().withMessage('Refresh token is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const [sessionId, secret] = req.body.refreshToken.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // A rotated-out token being presented again means it leaked: end the session
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      session.revokedAt = new Date();
+      await session.save();
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const refreshToken = rotateRefreshToken(session);
+    await session.save();
+
+    res.json({ token: signAccessToken(user, session), refreshToken, role: user.role, name: user.name });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Error refreshing token' });
+  }
+});
+
+// Revoke the current session, or every session of the user with { allDevices: true }
+router.post('/logout', authenticateUnverified, async (req, res) => {
+  try {
+    const now = new Date();
+    if (req.body.allDevices) {
+      await Session.updateMany({ user: req.user.userId, revokedAt: null }, { revokedAt: now });
+      req.app.get('io').in(`user:${req.user.userId}`).disconnectSockets(true);
+    } else if (req.user.sessionId) {
+      await Session.updateOne({ _id: req.user.sessionId, user: req.user.userId }, { revokedAt: now });
+      req.app.get('io').in(`session:${req.user.sessionId}`).disconnectSockets(true);
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+// List the active sessions (devices) of the current user
+router.get('/sessions', authenticateUnverified, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).select('device createdAt lastUsedAt expiresAt').sort('-lastUsedAt');
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: String(session._id) === String(req.user.sessionId),
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+// Revoke every session of a user and disconnect their sockets
+const endAllSessions = async (req, userId) => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  req.app.get('io').in(`user:${userId}`).disconnectSockets(true);
+};
+
+const passwordRule = (field) => body(field).isLength({ min: 6 }).withMessage('Password must be at least 6 characters long');
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', [
+  body('token').isString().withMessage('Token is required'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const userId = await consumeToken(req.body.token, 'verify-email');
+    if (!userId) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' });
+    }
+    await User.updateOne({ _id: userId, emailVerifiedAt: null }, { $set: { emailVerifiedAt: new Date() } });
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Error verifying email' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateUnverified, limits.accountEmail, limits.accountEmailRecipient, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('name email emailVerifiedAt');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({ message: 'Your email address is already verified' });
+    }
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500).json({ message: 'Error sending verification email' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the address is known.
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please enter a valid email address'),
+], limits.accountEmail, limits.accountEmailRecipient, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email }).select('name email status');
+    if (user && user.status !== 'deactivated') {
+      notifyInBackground(sendPasswordResetEmail(user));
+    }
+    res.json({ message: 'If an account exists for that address, a reset link has been sent' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ message: 'Error requesting password reset' });
+  }
+});
+
+// Set a new password with the token from the reset email, signing out every device
+router.post('/reset-password', [
+  body('token').isString().withMessage('Token is required'),
+  passwordRule('password'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const userId = await consumeToken(req.body.token, 'reset-password');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' });
+    }
+    const now = new Date();
+    user.password = await bcrypt.hash(req.body.password, 10);
+    user.passwordChangedAt = now;
+    // Receiving the reset email proves the address belongs to the user
+    if (!user.emailVerifiedAt) user.emailVerifiedAt = now;
+    await user.save();
+    await endAllSessions(req, user._id);
+    res.json({ message: 'Password reset. Sign in with your new password.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ message: 'Error resetting password' });
+  }
+});
+
+// Change the current user's password. Every session ends; this device gets new tokens.
+router.post('/change-password', authenticateUnverified, [
+  body('currentPassword').isString().withMessage('Current password is required'),
+  passwordRule('newPassword'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await bcrypt.compare(req.body.currentPassword, user.password))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    user.password = await bcrypt.hash(req.body.newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await endAllSessions(req, user._id);
+
+    const { token, refreshToken } = await issueTokens(user, getDevice(req));
+    res.json({ message: 'Password changed', token, refreshToken, role: user.role, name: user.name });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Error changing password' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
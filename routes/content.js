@@ -0,0 +1,357 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError, ownsSubject, enrolledInSubject } = require('../middleware/authorize');
+const ContentVersion = require('../models/ContentVersion');
+const { commitContent, unitsAt } = require('../services/content');
+const { sanitizeMarkdown } = require('../utils/markdown');
+const { diffUnits } = require('../utils/diff');
+const { pageLimit } = require('../utils/pagination');
+
+// Course content: units and their sections within a subject. Mounted at /api/subjects.
+// Every change must carry the content version it was based on, as `version` in the
+// body or an If-Match header, and is rejected with 409 if someone saved in between.
+const router = express.Router();
+
+const expectedVersion = (req) => {
+  const raw = req.body.version !== undefined ? req.body.version : (req.query.version || req.get('If-Match'));
+  if (raw === undefined || raw === null || raw === '') return null;
+  const version = Number(String(raw).replace(/"/g, ''));
+  return Number.isInteger(version) ? version : NaN;
+};
+
+// Attachment ids must be file records the current user uploaded to this subject, so
+// that everyone who can read the section can also download them
+const resolveAttachments = async (attachments, userId, subjectId) => {
+  if (attachments === undefined) return undefined;
+  if (!Array.isArray(attachments) || attachments.some(id => !mongoose.Types.ObjectId.isValid((id && id._id) || id))) {
+    throw httpError(400, 'Attachments must be a list of file ids');
+  }
+  // Populated attachments from GET /units are sent back as objects
+  const ids = Array.from(new Set(attachments.map(id => String((id && id._id) || id))));
+  const count = await File.countDocuments({ _id: { $in: ids }, owner: userId, subject: subjectId, access: 'subject' });
+  if (count !== ids.length) {
+    throw httpError(400, 'Attachments must be files you uploaded to this subject');
+  }
+  return ids;
+};
+
+const sectionInput = async (body, userId, subjectId) => {
+  const section = {};
+  if (body.title !== undefined) section.title = String(body.title).trim();
+  if (body.content !== undefined) section.content = sanitizeMarkdown(body.content);
+  const attachments = await resolveAttachments(body.attachments, userId, subjectId);
+  if (attachments !== undefined) section.attachments = attachments;
+  return section;
+};
+
+/**
+ * Publication fields for a section from `status` and `publishAt`. A future publishAt
+ * keeps the section as a draft until the scheduler publishes it; a past one
+ * publishes it now. `fallback` is the status used when neither is given.
+ */
+const publicationInput = (body, fallback) => {
+  const now = new Date();
+  if (body.publishAt !== undefined && body.publishAt !== null && body.publishAt !== '') {
+    const publishAt = new Date(body.publishAt);
+    if (isNaN(publishAt.getTime())) throw httpError(400, 'Invalid publish time');
+    return publishAt > now
+      ? { status: 'draft', publishAt, publishedAt: undefined }
+      : { status: 'published', publishAt: undefined, publishedAt: now };
+  }
+  const status = body.status === undefined ? fallback : body.status;
+  if (!['draft', 'published'].includes(status)) throw httpError(400, 'Status must be draft or published');
+  const publishedAt = body.publishedAt ? new Date(body.publishedAt) : now;
+  return status === 'published'
+    ? { status, publishAt: undefined, publishedAt: isNaN(publishedAt.getTime()) ? now : publishedAt }
+    : { status, publishAt: undefined, publishedAt: undefined };
+};
+
+const findUnit = (subject, unitId) => {
+  const unit = mongoose.Types.ObjectId.isValid(unitId) && subject.units.id(unitId);
+  if (!unit) throw httpError(404, 'Unit not found');
+  return unit;
+};
+
+const findSection = (unit, sectionId) => {
+  const section = mongoose.Types.ObjectId.isValid(sectionId) && unit.sections.id(sectionId);
+  if (!section) throw httpError(404, 'Section not found');
+  return section;
+};
+
+// Reorder a subdocument array to match a complete list of its ids
+const reorder = (items, orderedIds) => {
+  const ids = (orderedIds || []).map(String);
+  const current = items.map(item => String(item._id));
+  if (ids.length !== current.length || new Set(ids).size !== ids.length || ids.some(id => !current.includes(id))) {
+    throw httpError(400, 'Provide every id exactly once in the new order');
+  }
+  const byId = new Map(items.map(item => [String(item._id), item.toObject()]));
+  return ids.map(id => byId.get(id));
+};
+
+const insertAt = (items, item, position) => {
+  const index = position === undefined ? items.length : Math.max(0, Math.min(Number(position) || 0, items.length));
+  items.splice(index, 0, item);
+  return items[index];
+};
+
+/**
+ * Run a content change for the route's subject at the version the client edited and
+ * respond with the new version. `change` is the history action name, or an object
+ * with `action` and extra history fields. `mutate` returns the fields to send back
+ * alongside the version, or a function building the whole response from the saved subject.
+ */
+const commitUnits = async (req, res, change, mutate, status = 200) => {
+  try {
+    const expected = expectedVersion(req);
+    if (expected === null) {
+      return res.status(428).json({ message: 'Send the content version you edited as version or If-Match' });
+    }
+    const { result, version } = await commitContent(
+      req.subject,
+      expected,
+      { ...(typeof change === 'string' ? { action: change } : change), author: req.user.userId },
+      mutate
+    );
+    res.set('ETag', `"${version}"`);
+    res.status(status).json(typeof result === 'function' ? result(req.subject) : { version, ...result });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message, currentVersion: error.currentVersion });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating subject content:', error);
+    res.status(500).json({ message: 'Error updating subject content' });
+  }
+};
+
+const teacherOwner = [authenticateToken, authorize('teacher', ownsSubject)];
+
+// Read the units with attachment details. Only the teacher sees draft sections.
+router.get('/:subjectId/units', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    const { subject } = req;
+    await subject.populate('units.sections.attachments', 'originalName mimeType size url');
+    const isOwner = String(subject.creator) === String(req.user.userId);
+    res.set('ETag', `"${subject.contentVersion}"`);
+    res.json({ version: subject.contentVersion, units: isOwner ? subject.units : subject.studentView().units });
+  } catch (error) {
+    console.error('Error fetching units:', error);
+    res.status(500).json({ message: 'Error fetching units' });
+  }
+});
+
+// Replace all units at once and return the subject. Kept for older clients; the
+// version check applies only when a version is sent.
+router.put('/:subjectId/units', ...teacherOwner, permitFields('units', 'version'), (req, res) => {
+  if (expectedVersion(req) === null) {
+    req.body.version = req.subject.contentVersion;
+  }
+  commitUnits(req, res, 'replace-units', async (subject) => {
+    const units = Array.isArray(req.body.units) ? req.body.units : [];
+    // Clients unaware of drafts send sections without a status; keep the stored one
+    const existing = new Map(subject.units.flatMap(unit => unit.sections.map(section => [String(section._id), section])));
+    const sanitized = [];
+    for (const unit of units) {
+      const sections = [];
+      for (const section of unit.sections || []) {
+        sections.push({
+          ...(section._id && mongoose.Types.ObjectId.isValid(section._id) ? { _id: section._id } : {}),
+          ...(await sectionInput({ attachments: [], ...section }, req.user.userId, subject._id)),
+          ...publicationInput(
+            existing.has(String(section._id)) && section.status === undefined ? existing.get(String(section._id)) : section,
+            'published'
+          ),
+          files: Array.isArray(section.files) ? section.files : []
+        });
+      }
+      sanitized.push({
+        ...(unit._id && mongoose.Types.ObjectId.isValid(unit._id) ? { _id: unit._id } : {}),
+        title: unit.title,
+        sections
+      });
+    }
+    subject.units = sanitized;
+    return (saved) => saved;
+  });
+});
+
+router.post('/:subjectId/units', ...teacherOwner, permitFields('title', 'position', 'version'), (req, res) => {
+  commitUnits(req, res, 'add-unit', async (subject) => {
+    if (!req.body.title) throw httpError(400, 'Unit title is required');
+    const unit = insertAt(subject.units, { title: String(req.body.title).trim(), sections: [] }, req.body.position);
+    return { unit };
+  }, 201);
+});
+
+// Declared before /:unitId so "order" is not taken for a unit id
+router.put('/:subjectId/units/order', ...teacherOwner, permitFields('unitIds', 'version'), (req, res) => {
+  commitUnits(req, res, 'reorder-units', async (subject) => {
+    subject.units = reorder(subject.units, req.body.unitIds);
+    return { units: subject.units };
+  });
+});
+
+router.put('/:subjectId/units/:unitId', ...teacherOwner, permitFields('title', 'version'), (req, res) => {
+  commitUnits(req, res, 'update-unit', async (subject) => {
+    const unit = findUnit(subject, req.params.unitId);
+    if (!req.body.title) throw httpError(400, 'Unit title is required');
+    unit.title = String(req.body.title).trim();
+    return { unit };
+  });
+});
+
+router.delete('/:subjectId/units/:unitId', ...teacherOwner, (req, res) => {
+  commitUnits(req, res, 'delete-unit', async (subject) => {
+    findUnit(subject, req.params.unitId);
+    subject.units.pull(req.params.unitId);
+    return { message: 'Unit deleted successfully' };
+  });
+});
+
+router.post('/:subjectId/units/:unitId/sections', ...teacherOwner, permitFields('title', 'content', 'attachments', 'status', 'publishAt', 'position', 'version'), (req, res) => {
+  commitUnits(req, res, 'add-section', async (subject) => {
+    const unit = findUnit(subject, req.params.unitId);
+    const input = await sectionInput(req.body, req.user.userId, subject._id);
+    if (!input.title) throw httpError(400, 'Section title is required');
+    // New sections stay hidden from students until published
+    const section = insertAt(unit.sections, {
+      content: '',
+      attachments: [],
+      ...input,
+      ...publicationInput(req.body, 'draft')
+    }, req.body.position);
+    return { section };
+  }, 201);
+});
+
+router.put('/:subjectId/units/:unitId/sections/order', ...teacherOwner, permitFields('sectionIds', 'version'), (req, res) => {
+  commitUnits(req, res, 'reorder-sections', async (subject) => {
+    const unit = findUnit(subject, req.params.unitId);
+    unit.sections = reorder(unit.sections, req.body.sectionIds);
+    return { sections: unit.sections };
+  });
+});
+
+router.put('/:subjectId/units/:unitId/sections/:sectionId', ...teacherOwner, permitFields('title', 'content', 'attachments', 'version'), (req, res) => {
+  commitUnits(req, res, 'update-section', async (subject) => {
+    const section = findSection(findUnit(subject, req.params.unitId), req.params.sectionId);
+    const input = await sectionInput(req.body, req.user.userId, subject._id);
+    if (input.title === '') throw httpError(400, 'Section title is required');
+    section.set(input);
+    return { section };
+  });
+});
+
+// Publish a section now, or at publishAt when that is in the future
+router.put('/:subjectId/units/:unitId/sections/:sectionId/publish', ...teacherOwner, permitFields('publishAt', 'version'), (req, res) => {
+  commitUnits(req, res, 'publish-section', async (subject) => {
+    const section = findSection(findUnit(subject, req.params.unitId), req.params.sectionId);
+    section.set(publicationInput({ status: 'published', publishAt: req.body.publishAt, publishedAt: section.publishedAt }));
+    return { section };
+  });
+});
+
+// Return a section to draft, cancelling any scheduled publish
+router.put('/:subjectId/units/:unitId/sections/:sectionId/unpublish', ...teacherOwner, permitFields('version'), (req, res) => {
+  commitUnits(req, res, 'unpublish-section', async (subject) => {
+    const section = findSection(findUnit(subject, req.params.unitId), req.params.sectionId);
+    section.set(publicationInput({ status: 'draft' }));
+    return { section };
+  });
+});
+
+router.delete('/:subjectId/units/:unitId/sections/:sectionId', ...teacherOwner, (req, res) => {
+  commitUnits(req, res, 'delete-section', async (subject) => {
+    const unit = findUnit(subject, req.params.unitId);
+    findSection(unit, req.params.sectionId);
+    unit.sections.pull(req.params.sectionId);
+    return { message: 'Section deleted successfully' };
+  });
+});
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) throw httpError(400, 'Invalid version');
+  return version;
+};
+
+// Change history: who changed what, newest first
+router.get('/:subjectId/content/history', ...teacherOwner, async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 50, 200);
+    const filter = { subject: req.subject._id };
+    if (req.query.before) filter.version = { $lt: parseVersion(req.query.before) };
+    const versions = await ContentVersion.find(filter)
+      .select('-units')
+      .sort({ version: -1 })
+      .limit(limit)
+      .populate('author', 'name email');
+    res.json({ currentVersion: req.subject.contentVersion, versions });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching content history:', error);
+    res.status(500).json({ message: 'Error fetching content history' });
+  }
+});
+
+router.get('/:subjectId/content/versions/:version', ...teacherOwner, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const units = await unitsAt(req.subject, version);
+    if (!units) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    res.json({ version, units });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error fetching content version:', error);
+    res.status(500).json({ message: 'Error fetching content version' });
+  }
+});
+
+// Differences between two versions; `to` defaults to the current version
+router.get('/:subjectId/content/diff', ...teacherOwner, async (req, res) => {
+  try {
+    if (req.query.from === undefined) {
+      return res.status(400).json({ message: 'from version is required' });
+    }
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? req.subject.contentVersion : parseVersion(req.query.to);
+    const [before, after] = await Promise.all([unitsAt(req.subject, from), unitsAt(req.subject, to)]);
+    if (!before || !after) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    res.json({ from, to, diff: diffUnits(before, after) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error comparing content versions:', error);
+    res.status(500).json({ message: 'Error comparing content versions' });
+  }
+});
+
+// Restore the units of an earlier version as a new version
+router.post('/:subjectId/content/versions/:version/restore', ...teacherOwner, permitFields('version'), (req, res) => {
+  const restoredFrom = Number(req.params.version);
+  if (!Number.isInteger(restoredFrom) || restoredFrom < 0) {
+    return res.status(400).json({ message: 'Invalid version' });
+  }
+  commitUnits(req, res, { action: 'restore', restoredFrom }, async (subject) => {
+    const units = await unitsAt(subject, restoredFrom);
+    if (!units) throw httpError(404, 'Version not found');
+    subject.units = units;
+    return { restoredFrom, units: subject.units };
+  });
+});
+
+module.exports = router;
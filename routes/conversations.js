@@ -0,0 +1,398 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const File = require('../models/File');
+const Conversation = require('../models/Conversation');
+const DirectMessage = require('../models/DirectMessage');
+const UserBlock = require('../models/UserBlock');
+const ConversationReport = require('../models/ConversationReport');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError } = require('../middleware/authorize');
+const { limits } = require('../middleware/rateLimit');
+const { maxParticipants, canMessage, isBlocked, isBlockedWithAny, unreadCount, messageView, emitToParticipants } = require('../services/conversations');
+const { pageLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MAX_ATTACHMENTS = 5;
+
+const participantFields = 'name role';
+
+// Load the conversation named by the route into req.conversation; only participants may see it
+const loadConversation = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.conversationId)) {
+    throw httpError(404, 'Conversation not found');
+  }
+  req.conversation = await Conversation.findOne({ _id: req.params.conversationId, 'participants.user': req.user.userId });
+  if (!req.conversation) {
+    throw httpError(404, 'Conversation not found');
+  }
+  return true;
+};
+
+// Users that `user` may add to a conversation, or a 403/404 naming the first that fails.
+// `members` are the other people, besides `user`, the recipients would be talking with.
+const checkRecipients = async (user, ids, members = ids) => {
+  const recipients = await User.find({ _id: { $in: ids } }).select('name role degree department status');
+  if (recipients.length !== ids.length) {
+    throw httpError(404, 'User not found');
+  }
+  for (const recipient of recipients) {
+    if (await isBlocked(user._id, recipient._id)) {
+      throw httpError(403, `You cannot message ${recipient.name}`);
+    }
+    if (!(await canMessage(user, recipient))) {
+      throw httpError(403, `You are not allowed to message ${recipient.name}`);
+    }
+    // Everyone in a conversation sees everyone else, so others must not have blocked each other either
+    const others = members.filter(id => String(id) !== String(recipient._id));
+    if (others.length && await isBlockedWithAny(recipient._id, others)) {
+      throw httpError(403, `${recipient.name} cannot be added to this conversation`);
+    }
+  }
+  return recipients;
+};
+
+const sendError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ message: `Error ${action}` });
+};
+
+// The current user's conversations, most recently active first, with unread counts
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ 'participants.user': req.user.userId })
+      .populate('participants.user', participantFields)
+      .sort({ lastMessageAt: -1, createdAt: -1 });
+    const result = [];
+    for (const conversation of conversations) {
+      const lastMessage = await DirectMessage.findOne({ conversation: conversation._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .populate('sender', 'name');
+      result.push({
+        ...conversation.toObject(),
+        lastMessage,
+        unreadCount: await unreadCount(conversation, req.user.userId)
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ message: 'Error fetching conversations' });
+  }
+});
+
+// Unread messages across all of the current user's conversations
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ 'participants.user': req.user.userId });
+    let count = 0;
+    for (const conversation of conversations) {
+      count += await unreadCount(conversation, req.user.userId);
+    }
+    res.json({ count });
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    res.status(500).json({ message: 'Error counting unread messages' });
+  }
+});
+
+router.get('/blocks', authenticateToken, async (req, res) => {
+  try {
+    const blocks = await UserBlock.find({ blocker: req.user.userId }).populate('blocked', 'name role');
+    res.json(blocks);
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ message: 'Error fetching blocked users' });
+  }
+});
+
+// Block a user: neither side can start or continue a direct conversation, or add the other to a group
+router.put('/blocks/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (String(userId) === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+    await UserBlock.updateOne(
+      { blocker: req.user.userId, blocked: userId },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ message: 'Error blocking user' });
+  }
+});
+
+router.delete('/blocks/:userId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await UserBlock.deleteOne({ blocker: req.user.userId, blocked: req.params.userId });
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ message: 'Error unblocking user' });
+  }
+});
+
+/**
+ * Start a conversation with { participants: [userId], title }. One other participant
+ * makes a direct conversation, reusing the existing one with that user; more make a
+ * group of at most CONVERSATION_MAX_PARTICIPANTS including the creator.
+ */
+router.post('/', authenticateToken, permitFields('participants', 'title'), async (req, res) => {
+  try {
+    const ids = Array.from(new Set([].concat(req.body.participants || []).map(String)))
+      .filter(id => id !== String(req.user.userId));
+    if (!ids.length || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Choose who to message' });
+    }
+    if (ids.length + 1 > maxParticipants()) {
+      return res.status(400).json({ message: `Conversations can have at most ${maxParticipants()} participants` });
+    }
+
+    const user = await User.findById(req.user.userId).select('name role degree department status');
+    await checkRecipients(user, ids);
+
+    let conversation;
+    if (ids.length === 1) {
+      const directKey = Conversation.directKeyFor(user._id, ids[0]);
+      conversation = await Conversation.findOneAndUpdate(
+        { directKey },
+        {
+          $setOnInsert: {
+            type: 'direct',
+            directKey,
+            createdBy: user._id,
+            participants: [{ user: user._id }, { user: ids[0] }]
+          }
+        },
+        { upsert: true, new: true }
+      );
+    } else {
+      conversation = await Conversation.create({
+        type: 'group',
+        title: req.body.title,
+        createdBy: user._id,
+        participants: [user._id, ...ids].map(id => ({ user: id }))
+      });
+    }
+    await conversation.populate('participants.user', participantFields);
+    res.status(201).json(conversation);
+  } catch (error) {
+    sendError(res, error, 'starting conversation');
+  }
+});
+
+router.get('/:conversationId', authenticateToken, authorize(loadConversation), async (req, res) => {
+  try {
+    await req.conversation.populate('participants.user', participantFields);
+    res.json({ ...req.conversation.toObject(), unreadCount: await unreadCount(req.conversation, req.user.userId) });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ message: 'Error fetching conversation' });
+  }
+});
+
+// Messages newest first. Paginate with ?before=<messageId>; ?limit is at most 100.
+router.get('/:conversationId/messages', authenticateToken, authorize(loadConversation), async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 30, 100);
+    const filter = { conversation: req.conversation._id };
+    if (req.query.before) {
+      const cursor = mongoose.Types.ObjectId.isValid(req.query.before)
+        && await DirectMessage.findOne({ _id: req.query.before, conversation: req.conversation._id });
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    const messages = await DirectMessage.find(filter)
+      .populate('sender', 'name role')
+      .populate('attachments', 'originalName url mimeType size')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    res.json({
+      messages: page.map(message => messageView(message, req.conversation)),
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Error fetching conversation messages:', error);
+    res.status(500).json({ message: 'Error fetching conversation messages' });
+  }
+});
+
+// Send { text, attachments: [fileId] }; attachments are the sender's own uploads from /api/upload
+router.post('/:conversationId/messages', authenticateToken, limits.message, authorize(loadConversation), permitFields('text', 'attachments'), async (req, res) => {
+  try {
+    const { conversation } = req;
+    const text = req.body.text ? String(req.body.text).trim() : '';
+    const attachments = Array.from(new Set([].concat(req.body.attachments || []).map(String)));
+    if (!text && !attachments.length) {
+      return res.status(400).json({ message: 'Write a message or attach a file' });
+    }
+    if (attachments.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ message: `At most ${MAX_ATTACHMENTS} files can be attached` });
+    }
+    if (attachments.length) {
+      const owned = attachments.every(id => mongoose.Types.ObjectId.isValid(id))
+        && await File.countDocuments({ _id: { $in: attachments }, owner: req.user.userId });
+      if (owned !== attachments.length) {
+        return res.status(400).json({ message: 'Attachments must be files you uploaded' });
+      }
+    }
+    if (conversation.type === 'direct') {
+      const other = conversation.participants.find(item => String(item.user) !== String(req.user.userId));
+      if (other && (await isBlocked(req.user.userId, other.user)
+        || !(await User.exists({ _id: other.user, status: { $nin: ['pending', 'deactivated'] } })))) {
+        return res.status(403).json({ message: 'You cannot message this user' });
+      }
+    }
+
+    const now = new Date();
+    const message = await DirectMessage.create({
+      conversation: conversation._id,
+      sender: req.user.userId,
+      text,
+      attachments,
+      createdAt: now
+    });
+    // Sending a message also marks everything before it as read by the sender
+    await Conversation.updateOne(
+      { _id: conversation._id, 'participants.user': req.user.userId },
+      { $set: { lastMessageAt: now, 'participants.$.lastReadAt': now } }
+    );
+    conversation.participant(req.user.userId).lastReadAt = now;
+
+    await message.populate('sender', 'name role');
+    await message.populate('attachments', 'originalName url mimeType size');
+    const view = messageView(message, conversation);
+    emitToParticipants(req.app.get('io'), conversation, 'direct-message', view);
+    res.status(201).json(view);
+  } catch (error) {
+    sendError(res, error, 'sending message');
+  }
+});
+
+// Read receipt: mark messages up to { messageId } (default: all) as read
+router.put('/:conversationId/read', authenticateToken, authorize(loadConversation), permitFields('messageId'), async (req, res) => {
+  try {
+    const { conversation } = req;
+    let readAt = new Date();
+    if (req.body.messageId) {
+      const message = mongoose.Types.ObjectId.isValid(req.body.messageId)
+        && await DirectMessage.findOne({ _id: req.body.messageId, conversation: conversation._id });
+      if (!message) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      readAt = message.createdAt;
+    }
+    // Receipts only move forward
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $max: { 'participants.$[me].lastReadAt': readAt } },
+      { arrayFilters: [{ 'me.user': new mongoose.Types.ObjectId(String(req.user.userId)) }] }
+    );
+    emitToParticipants(req.app.get('io'), conversation, 'conversation-read', {
+      conversationId: conversation._id,
+      userId: req.user.userId,
+      readAt
+    });
+    res.json({ readAt, unreadCount: await unreadCount(await Conversation.findById(conversation._id), req.user.userId) });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ message: 'Error marking conversation read' });
+  }
+});
+
+// Add someone to a group conversation the current user is in
+router.post('/:conversationId/participants', authenticateToken, authorize(loadConversation), permitFields('userId'), async (req, res) => {
+  try {
+    const { conversation } = req;
+    const { userId } = req.body;
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'People can only be added to group conversations' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (conversation.participant(userId)) {
+      return res.status(409).json({ message: 'Already in this conversation' });
+    }
+    if (conversation.participants.length >= maxParticipants()) {
+      return res.status(400).json({ message: `Conversations can have at most ${maxParticipants()} participants` });
+    }
+    const user = await User.findById(req.user.userId).select('name role degree department status');
+    const members = conversation.participants.map(item => item.user).filter(id => String(id) !== String(user._id));
+    await checkRecipients(user, [String(userId)], [String(userId), ...members]);
+
+    conversation.participants.push({ user: userId });
+    await conversation.save();
+    await conversation.populate('participants.user', participantFields);
+    res.json(conversation);
+  } catch (error) {
+    sendError(res, error, 'adding participant');
+  }
+});
+
+// Leave a group conversation; its messages stay for the others
+router.put('/:conversationId/leave', authenticateToken, authorize(loadConversation), async (req, res) => {
+  try {
+    if (req.conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Only group conversations can be left' });
+    }
+    await Conversation.updateOne({ _id: req.conversation._id }, { $pull: { participants: { user: req.user.userId } } });
+    res.json({ message: 'Left the conversation' });
+  } catch (error) {
+    console.error('Error leaving conversation:', error);
+    res.status(500).json({ message: 'Error leaving conversation' });
+  }
+});
+
+// Report a conversation, or one message in it with { messageId }
+router.post('/:conversationId/report', authenticateToken, authorize(loadConversation), permitFields('messageId', 'reason'), async (req, res) => {
+  try {
+    const { conversation } = req;
+    let message;
+    if (req.body.messageId) {
+      message = mongoose.Types.ObjectId.isValid(req.body.messageId)
+        && await DirectMessage.findOne({ _id: req.body.messageId, conversation: conversation._id });
+      if (!message) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+    }
+    const other = conversation.type === 'direct'
+      && conversation.participants.find(item => String(item.user) !== String(req.user.userId));
+    const report = await ConversationReport.create({
+      reporter: req.user.userId,
+      conversation: conversation._id,
+      message: message && message._id,
+      reported: message ? message.sender : other && other.user,
+      reason: req.body.reason
+    });
+    res.status(201).json({ message: 'Conversation reported', reportId: report._id });
+  } catch (error) {
+    sendError(res, error, 'reporting conversation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Enrollment = require('../models/Enrollment');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError, ownsSubject } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Load the enrollment named by the route into req.enrollment, and its subject into req.subject
+const loadEnrollment = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.enrollmentId)) {
+    throw httpError(404, 'Enrollment not found');
+  }
+  req.enrollment = await Enrollment.findById(req.params.enrollmentId);
+  if (!req.enrollment) {
+    throw httpError(404, 'Enrollment not found');
+  }
+  req.subject = await Subject.findById(req.enrollment.subject);
+  if (!req.subject) {
+    throw httpError(404, 'Subject not found');
+  }
+  return req.enrollment;
+};
+
+const ownsEnrollmentSubject = async (req) => {
+  await loadEnrollment(req);
+  return String(req.subject.creator) === String(req.user.userId);
+};
+
+const ownsEnrollment = async (req) => {
+  const enrollment = await loadEnrollment(req);
+  return String(enrollment.student) === String(req.user.userId);
+};
+
+// Create or reopen a student's enrollment in a subject
+const requestEnrollment = async (subject, studentId, source, { approvedBy } = {}) => {
+  let enrollment = await Enrollment.findOne({ subject: subject._id, student: studentId });
+  if (enrollment && ['pending', 'active'].includes(enrollment.status)) {
+    return { enrollment, created: false };
+  }
+  if (!enrollment) {
+    enrollment = new Enrollment({ subject: subject._id, student: studentId, source });
+  }
+
+  const autoApprove = Boolean(approvedBy) || !subject.requiresApproval;
+  enrollment.set({
+    source,
+    status: autoApprove ? 'active' : 'pending',
+    requestedAt: new Date(),
+    approvedAt: autoApprove ? new Date() : undefined,
+    approvedBy: approvedBy || undefined,
+    droppedAt: undefined,
+    withdrawnAt: undefined,
+    reason: undefined,
+  });
+  await enrollment.save();
+  return { enrollment, created: true };
+};
+
+// List the current student's enrollments
+router.get('/enrollments', authenticateToken, authorize('student'), async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ student: req.user.userId })
+      .populate('subject', 'title degree department elective')
+      .sort('-requestedAt');
+    res.json(enrollments);
+  } catch (error) {
+    console.error('Error fetching enrollments:', error);
+    res.status(500).json({ message: 'Error fetching enrollments' });
+  }
+});
+
+// Join a subject with the code shared by its teacher, from any degree or department
+router.post('/enrollments/join', authenticateToken, authorize('student'), permitFields('joinCode'), async (req, res) => {
+  try {
+    const joinCode = String(req.body.joinCode || '').trim().toUpperCase();
+    if (!joinCode) {
+      return res.status(400).json({ message: 'Join code is required' });
+    }
+
+    const subject = await Subject.findOne({ joinCode });
+    if (!subject) {
+      return res.status(404).json({ message: 'Invalid join code' });
+    }
+
+    const { enrollment, created } = await requestEnrollment(subject, req.user.userId, 'joinCode');
+    if (!created) {
+      return res.status(400).json({ message: 'Already enrolled or awaiting approval' });
+    }
+    res.status(201).json(enrollment);
+  } catch (error) {
+    console.error('Error joining subject:', error);
+    res.status(500).json({ message: 'Error joining subject' });
+  }
+});
+
+// Request enrollment in a subject of the student's own cohort, or in any elective
+router.post('/subjects/:subjectId/enroll', authenticateToken, authorize('student'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.subjectId)) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    const subject = await Subject.findById(req.params.subjectId);
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const student = await User.findById(req.user.userId);
+    const sameCohort = student.degree === subject.degree && student.department === subject.department;
+    if (!subject.elective && !sameCohort) {
+      return res.status(403).json({ message: 'This subject is not open to your degree and department. Ask the teacher for a join code.' });
+    }
+
+    const { enrollment, created } = await requestEnrollment(subject, student._id, 'request');
+    if (!created) {
+      return res.status(400).json({ message: 'Already enrolled or awaiting approval' });
+    }
+    res.status(201).json(enrollment);
+  } catch (error) {
+    console.error('Error requesting enrollment:', error);
+    res.status(500).json({ message: 'Error requesting enrollment' });
+  }
+});
+
+// List a subject's enrollments, optionally filtered by ?status=
+router.get('/subjects/:subjectId/enrollments', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    const filter = { subject: req.subject._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    const enrollments = await Enrollment.find(filter)
+      .populate('student', 'name email degree department')
+      .sort('-requestedAt');
+    res.json(enrollments);
+  } catch (error) {
+    console.error('Error fetching enrollments:', error);
+    res.status(500).json({ message: 'Error fetching enrollments' });
+  }
+});
+
+// Enroll students directly: { students: [ids] }, or { cohort: true } for every
+// student of the subject's degree and department
+router.post('/subjects/:subjectId/enrollments', authenticateToken, authorize('teacher', ownsSubject), permitFields('students', 'cohort'), async (req, res) => {
+  try {
+    const { subject } = req;
+    let studentIds = Array.isArray(req.body.students) ? req.body.students : [];
+
+    if (studentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid student id' });
+    }
+
+    const studentFilter = req.body.cohort
+      ? { role: 'student', degree: subject.degree, department: subject.department }
+      : { role: 'student', _id: { $in: studentIds } };
+    const students = await User.find(studentFilter).select('_id');
+    studentIds = students.map(student => student._id);
+
+    if (!studentIds.length) {
+      return res.status(400).json({ message: 'No students to enroll' });
+    }
+
+    const enrollments = [];
+    for (const studentId of studentIds) {
+      const { enrollment } = await requestEnrollment(subject, studentId, 'teacher', { approvedBy: req.user.userId });
+      if (enrollment.status === 'pending') {
+        enrollment.set({ status: 'active', approvedAt: new Date(), approvedBy: req.user.userId });
+        await enrollment.save();
+      }
+      enrollments.push(enrollment);
+    }
+    res.status(201).json(enrollments);
+  } catch (error) {
+    console.error('Error enrolling students:', error);
+    res.status(500).json({ message: 'Error enrolling students' });
+  }
+});
+
+// Issue a new join code, invalidating the old one
+router.post('/subjects/:subjectId/join-code', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    req.subject.joinCode = Subject.generateJoinCode();
+    await req.subject.save();
+    res.json({ joinCode: req.subject.joinCode });
+  } catch (error) {
+    console.error('Error generating join code:', error);
+    res.status(500).json({ message: 'Error generating join code' });
+  }
+});
+
+router.put('/enrollments/:enrollmentId/approve', authenticateToken, authorize('teacher', ownsEnrollmentSubject), async (req, res) => {
+  try {
+    const { enrollment } = req;
+    if (enrollment.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending enrollments can be approved' });
+    }
+    enrollment.set({ status: 'active', approvedAt: new Date(), approvedBy: req.user.userId });
+    await enrollment.save();
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error approving enrollment:', error);
+    res.status(500).json({ message: 'Error approving enrollment' });
+  }
+});
+
+router.put('/enrollments/:enrollmentId/reject', authenticateToken, authorize('teacher', ownsEnrollmentSubject), permitFields('reason'), async (req, res) => {
+  try {
+    const { enrollment } = req;
+    if (enrollment.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending enrollments can be rejected' });
+    }
+    enrollment.set({ status: 'rejected', reason: req.body.reason });
+    await enrollment.save();
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error rejecting enrollment:', error);
+    res.status(500).json({ message: 'Error rejecting enrollment' });
+  }
+});
+
+// Teacher removes a student from the subject
+router.put('/enrollments/:enrollmentId/drop', authenticateToken, authorize('teacher', ownsEnrollmentSubject), permitFields('reason'), async (req, res) => {
+  try {
+    const { enrollment } = req;
+    if (enrollment.status !== 'active') {
+      return res.status(400).json({ message: 'Only active enrollments can be dropped' });
+    }
+    enrollment.set({ status: 'dropped', droppedAt: new Date(), reason: req.body.reason });
+    await enrollment.save();
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error dropping enrollment:', error);
+    res.status(500).json({ message: 'Error dropping enrollment' });
+  }
+});
+
+// Student withdraws from the subject, or cancels a pending request
+router.put('/enrollments/:enrollmentId/withdraw', authenticateToken, authorize('student', ownsEnrollment), permitFields('reason'), async (req, res) => {
+  try {
+    const { enrollment } = req;
+    if (!['pending', 'active'].includes(enrollment.status)) {
+      return res.status(400).json({ message: 'Enrollment is not active' });
+    }
+    enrollment.set({ status: 'withdrawn', withdrawnAt: new Date(), reason: req.body.reason });
+    await enrollment.save();
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error withdrawing enrollment:', error);
+    res.status(500).json({ message: 'Error withdrawing enrollment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Subject = require('../models/Subject');
+const { authenticateToken } = require('../middleware/auth');
+const { canAccessSubject } = require('../middleware/authorize');
+const { limits } = require('../middleware/rateLimit');
+const { acceptUpload, storeUpload, findLegacyFile, canReadFile, openFile } = require('../services/files');
+
+const router = express.Router();
+
+// Upload a file, optionally for a subject (?subjectId or a subjectId form field). Files a
+// teacher uploads to their own subject are readable by the subject; others stay private.
+router.post('/upload', authenticateToken, limits.upload, acceptUpload('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const subjectId = req.body.subjectId || req.query.subjectId;
+    let subject;
+    if (subjectId) {
+      subject = mongoose.Types.ObjectId.isValid(subjectId) && await Subject.findById(subjectId);
+      if (!subject) {
+        return res.status(404).json({ message: 'Subject not found' });
+      }
+      if (!(await canAccessSubject(req.user, subject))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    const file = await storeUpload(req.file, {
+      owner: req.user.userId,
+      subject: subject && subject._id,
+      access: subject && String(subject.creator) === String(req.user.userId) ? 'subject' : 'private'
+    });
+    res.json({
+      message: 'File uploaded successfully',
+      url: file.url,
+      name: file.originalName,
+      fileId: file._id
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ message: 'Error uploading file' });
+  }
+});
+
+// Download a file. The name is only ever looked up, never used to build a path.
+router.get('/files/:filename', authenticateToken, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const file = await File.findOne({ storedName: filename }) || await findLegacyFile(filename);
+    if (!file || !(await canReadFile(req.user, file))) {
+      // Same response either way so file names cannot be probed
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    let stream;
+    try {
+      stream = await openFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.name === 'NoSuchKey' || /Invalid storage key/.test(error.message)) {
+        return res.status(404).json({ message: 'File not found' });
+      }
+      throw error;
+    }
+
+    res.attachment(file.originalName);
+    res.type(file.mimeType || 'application/octet-stream');
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (file.size) res.set('Content-Length', String(file.size));
+    if (file.checksum) res.set('ETag', `"${file.checksum}"`);
+    stream.on('error', (error) => {
+      console.error('Error reading file:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({ message: 'Error downloading file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const Degree = require('../models/Degree');
+const Department = require('../models/Department');
+
+const router = express.Router();
+
+// Active degrees and departments, public so the signup form can offer them
+router.get('/degrees', async (req, res) => {
+  try {
+    const degrees = await Degree.find({ active: true }).select('name code').sort('name');
+    res.json(degrees);
+  } catch (error) {
+    console.error('Error fetching degrees:', error);
+    res.status(500).json({ message: 'Error fetching degrees' });
+  }
+});
+
+router.get('/departments', async (req, res) => {
+  try {
+    const departments = await Department.find({ active: true }).select('name code').sort('name');
+    res.json(departments);
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    res.status(500).json({ message: 'Error fetching departments' });
+  }
+});
+
+module.exports = router;
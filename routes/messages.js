@@ -0,0 +1,461 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Enrollment = require('../models/Enrollment');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError, ownsSubject, enrolledInSubject } = require('../middleware/authorize');
+const { limits } = require('../middleware/rateLimit');
+const { notifyMany, notifyInBackground } = require('../services/notifications');
+const { resolveMentions, activeMute, broadcastMessage, notifyParticipants } = require('../services/discussions');
+const { pageLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+// A reaction is one emoji: pictographs with their skin tone, joiner and variation
+// marks, flags, or keycaps
+const MAX_EMOJI_LENGTH = 32;
+const EMOJI_PATTERN = /^(?:[\p{Extended_Pictographic}\p{Regional_Indicator}\u{1F3FB}-\u{1F3FF}\u200D\uFE0F\u20E3#*0-9])+$/u;
+const EMOJI_REQUIRED = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20E3]/u;
+const MAX_REACTIONS_PER_USER = 10;
+
+const graphemes = new Intl.Segmenter();
+
+const isEmoji = (text) => text.length <= MAX_EMOJI_LENGTH
+  && EMOJI_PATTERN.test(text)
+  && EMOJI_REQUIRED.test(text)
+  && Array.from(graphemes.segment(text)).length === 1;
+
+const isTeacherOf = (req) => String(req.subject.creator) === String(req.user.userId);
+
+// Load the message named by the route into req.message; it must belong to req.subject
+const loadMessage = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+    throw httpError(404, 'Message not found');
+  }
+  req.message = await Message.findOne({ _id: req.params.messageId, subject: req.subject._id });
+  if (!req.message) {
+    throw httpError(404, 'Message not found');
+  }
+  return true;
+};
+
+const ownsMessage = async (req) => String(req.message.sender) === String(req.user.userId);
+
+const ownsMessageOrSubject = async (req) => (await ownsMessage(req)) || isTeacherOf(req);
+
+// Muted students may read but not post, edit or react
+const notMuted = async (req) => {
+  const muted = await activeMute(req.subject._id, req.user.userId);
+  if (muted) {
+    throw httpError(403, muted.mutedUntil
+      ? `You are muted in this subject until ${muted.mutedUntil.toUTCString()}`
+      : 'You are muted in this subject');
+  }
+  return true;
+};
+
+// Removed messages can still be moderated but not edited or reacted to
+const messageIsLive = async (req) => {
+  if (req.message.deletedAt || req.message.hiddenAt) {
+    throw httpError(409, 'This message has been removed');
+  }
+  return true;
+};
+
+/**
+ * One page of messages, newest first. Paginate with ?before=<messageId>; ?limit is at
+ * most 100. Responds with { messages, nextCursor }.
+ */
+const sendPage = async (req, res, filter) => {
+  const limit = pageLimit(req.query.limit, 30, 100);
+  if (req.query.before) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.before)) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    const cursor = await Message.findOne({ _id: req.query.before, subject: req.subject._id });
+    if (!cursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    filter.$or = [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+    ];
+  }
+
+  const messages = await Message.find(filter)
+    .populate('sender', 'name role')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  const teacher = isTeacherOf(req);
+  res.json({
+    messages: page.map(message => message.viewFor(req.user.userId, teacher)),
+    nextCursor: hasMore ? page[page.length - 1]._id : null
+  });
+};
+
+// Top-level messages of a subject's discussion
+router.get('/:subjectId', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    await sendPage(req, res, { subject: req.subject._id, parent: null });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ message: 'Error fetching messages' });
+  }
+});
+
+router.get('/:subjectId/pinned', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    const messages = await Message.find({ subject: req.subject._id, pinnedAt: { $ne: null }, deletedAt: null })
+      .populate('sender', 'name role')
+      .sort({ pinnedAt: -1 });
+    const teacher = isTeacherOf(req);
+    res.json(messages
+      .filter(message => teacher || !message.hiddenAt)
+      .map(message => message.viewFor(req.user.userId, teacher)));
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ message: 'Error fetching pinned messages' });
+  }
+});
+
+// Messages students have reported, most reported first
+router.get('/:subjectId/reports', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    const messages = await Message.find({ subject: req.subject._id, 'reports.0': { $exists: true } })
+      .populate('sender', 'name role')
+      .populate('reports.reporter', 'name');
+    messages.sort((a, b) => b.reports.length - a.reports.length);
+    res.json(messages.map(message => ({ ...message.viewFor(req.user.userId, true), reports: message.reports })));
+  } catch (error) {
+    console.error('Error fetching reported messages:', error);
+    res.status(500).json({ message: 'Error fetching reported messages' });
+  }
+});
+
+// Students currently muted in the subject
+router.get('/:subjectId/mutes', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    const now = new Date();
+    const mutes = await Enrollment.find({
+      subject: req.subject._id,
+      mutedAt: { $ne: null },
+      $or: [{ mutedUntil: null }, { mutedUntil: { $gt: now } }]
+    }).populate('student', 'name email');
+    res.json(mutes.map(enrollment => ({
+      student: enrollment.student,
+      mutedAt: enrollment.mutedAt,
+      mutedUntil: enrollment.mutedUntil,
+      reason: enrollment.muteReason
+    })));
+  } catch (error) {
+    console.error('Error fetching muted students:', error);
+    res.status(500).json({ message: 'Error fetching muted students' });
+  }
+});
+
+// Mute a student in the subject for `minutes`, or until unmuted when omitted
+router.put('/:subjectId/mutes/:studentId', authenticateToken, authorize('teacher', ownsSubject), permitFields('minutes', 'reason'), async (req, res) => {
+  try {
+    const { minutes, reason } = req.body;
+    if (minutes !== undefined && !(Number(minutes) > 0)) {
+      return res.status(400).json({ message: 'Minutes must be a positive number' });
+    }
+    const enrollment = mongoose.Types.ObjectId.isValid(req.params.studentId)
+      && await Enrollment.findOne({ subject: req.subject._id, student: req.params.studentId, status: 'active' });
+    if (!enrollment) {
+      return res.status(404).json({ message: 'Student is not enrolled in this subject' });
+    }
+    const now = new Date();
+    enrollment.set({
+      mutedAt: now,
+      mutedUntil: minutes !== undefined ? new Date(now.getTime() + Number(minutes) * 60 * 1000) : null,
+      mutedBy: req.user.userId,
+      muteReason: reason
+    });
+    await enrollment.save();
+    res.json({ student: enrollment.student, mutedAt: enrollment.mutedAt, mutedUntil: enrollment.mutedUntil, reason });
+  } catch (error) {
+    console.error('Error muting student:', error);
+    res.status(500).json({ message: 'Error muting student' });
+  }
+});
+
+router.delete('/:subjectId/mutes/:studentId', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+      return res.status(404).json({ message: 'Student is not enrolled in this subject' });
+    }
+    await Enrollment.updateOne(
+      { subject: req.subject._id, student: req.params.studentId },
+      { $unset: { mutedAt: 1, mutedUntil: 1, mutedBy: 1, muteReason: 1 } }
+    );
+    res.json({ message: 'Student unmuted' });
+  } catch (error) {
+    console.error('Error unmuting student:', error);
+    res.status(500).json({ message: 'Error unmuting student' });
+  }
+});
+
+// Replies in a message's thread
+router.get('/:subjectId/:messageId/replies', authenticateToken, authorize(enrolledInSubject, loadMessage), async (req, res) => {
+  try {
+    await sendPage(req, res, { subject: req.subject._id, parent: req.message._id });
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    res.status(500).json({ message: 'Error fetching replies' });
+  }
+});
+
+// Post a message, or a reply when `parent` names a top-level message of the subject
+router.post('/', authenticateToken, limits.message, permitFields('text', 'subjectId', 'parent'), authorize(enrolledInSubject, notMuted), async (req, res) => {
+  try {
+    const { text, subjectId } = req.body;
+    let parent = null;
+    if (req.body.parent) {
+      parent = mongoose.Types.ObjectId.isValid(req.body.parent)
+        && await Message.findOne({ _id: req.body.parent, subject: req.subject._id });
+      if (!parent) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      // Threads are one level deep: replying to a reply continues its thread
+      if (parent.parent) {
+        parent = await Message.findById(parent.parent);
+      }
+      if (parent.deletedAt || parent.hiddenAt) {
+        return res.status(409).json({ message: 'This message has been removed' });
+      }
+    }
+
+    const mentions = await resolveMentions(req.subject, text);
+    const message = new Message({
+      text,
+      sender: req.user.userId,
+      subject: subjectId,
+      parent: parent ? parent._id : null,
+      mentions
+    });
+    await message.save();
+    if (parent) {
+      await Message.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 }, $set: { lastReplyAt: message.createdAt } });
+    }
+    await message.populate('sender', 'name role');
+    broadcastMessage(req.app.get('io'), 'message', message);
+    res.status(201).json(message.viewFor(req.user.userId, isTeacherOf(req)));
+
+    notifyInBackground(notifyParticipants(req.subject, message, { mentions, parent }));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error posting message:', error);
+    res.status(500).json({ message: 'Error posting message' });
+  }
+});
+
+// Edit your own message, keeping the previous text in its history
+router.put('/:subjectId/:messageId', authenticateToken, permitFields('text'), authorize(enrolledInSubject, loadMessage, ownsMessage, messageIsLive, notMuted), async (req, res) => {
+  try {
+    const { message } = req;
+    const text = req.body.text;
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ message: 'Text is required' });
+    }
+    if (text === message.text) {
+      await message.populate('sender', 'name role');
+      return res.json(message.viewFor(req.user.userId, isTeacherOf(req)));
+    }
+
+    const previous = new Set(message.mentions.map(String));
+    const mentions = await resolveMentions(req.subject, text);
+    message.edits.push({ text: message.text, editedAt: new Date() });
+    message.set({ text, editedAt: new Date(), mentions });
+    await message.save();
+    await message.populate('sender', 'name role');
+    broadcastMessage(req.app.get('io'), 'message-updated', message);
+    res.json(message.viewFor(req.user.userId, isTeacherOf(req)));
+
+    const added = mentions.filter(id => !previous.has(String(id)));
+    if (added.length) {
+      notifyInBackground(notifyParticipants(req.subject, message, { mentions: added }));
+    }
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error editing message:', error);
+    res.status(500).json({ message: 'Error editing message' });
+  }
+});
+
+// Delete your own message, or any message as the subject's teacher
+router.delete('/:subjectId/:messageId', authenticateToken, authorize(enrolledInSubject, loadMessage, ownsMessageOrSubject), async (req, res) => {
+  try {
+    const { message } = req;
+    if (!message.deletedAt) {
+      message.set({ deletedAt: new Date(), deletedBy: req.user.userId, pinnedAt: undefined, pinnedBy: undefined });
+      await message.save();
+      broadcastMessage(req.app.get('io'), 'message-updated', message);
+    }
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({ message: 'Error deleting message' });
+  }
+});
+
+// Earlier versions of a message, for its sender and the subject's teacher
+router.get('/:subjectId/:messageId/history', authenticateToken, authorize(enrolledInSubject, loadMessage, ownsMessageOrSubject), async (req, res) => {
+  try {
+    const { message } = req;
+    if (message.deletedAt) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    res.json({
+      current: { text: message.text, editedAt: message.editedAt || message.createdAt },
+      edits: message.edits.slice().reverse()
+    });
+  } catch (error) {
+    console.error('Error fetching message history:', error);
+    res.status(500).json({ message: 'Error fetching message history' });
+  }
+});
+
+// Hide or unhide a message ({ hidden, reason }); hiding clears its reports
+router.put('/:subjectId/:messageId/hide', authenticateToken, authorize('teacher', ownsSubject, loadMessage), permitFields('hidden', 'reason'), async (req, res) => {
+  try {
+    const { message } = req;
+    if (req.body.hidden === false) {
+      message.set({ hiddenAt: undefined, hiddenBy: undefined, hiddenReason: undefined });
+    } else {
+      message.set({ hiddenAt: new Date(), hiddenBy: req.user.userId, hiddenReason: req.body.reason, reports: [] });
+    }
+    await message.save();
+    await message.populate('sender', 'name role');
+    broadcastMessage(req.app.get('io'), 'message-updated', message);
+    res.json(message.viewFor(req.user.userId, true));
+  } catch (error) {
+    console.error('Error hiding message:', error);
+    res.status(500).json({ message: 'Error hiding message' });
+  }
+});
+
+// Pin or unpin a top-level message ({ pinned }), e.g. for announcements
+router.put('/:subjectId/:messageId/pin', authenticateToken, authorize('teacher', ownsSubject, loadMessage, messageIsLive), permitFields('pinned'), async (req, res) => {
+  try {
+    const { message } = req;
+    if (message.parent) {
+      return res.status(400).json({ message: 'Only top-level messages can be pinned' });
+    }
+    if (req.body.pinned === false) {
+      message.set({ pinnedAt: undefined, pinnedBy: undefined });
+    } else {
+      message.set({ pinnedAt: new Date(), pinnedBy: req.user.userId });
+    }
+    await message.save();
+    await message.populate('sender', 'name role');
+    broadcastMessage(req.app.get('io'), 'message-updated', message);
+    res.json(message.viewFor(req.user.userId, true));
+  } catch (error) {
+    console.error('Error pinning message:', error);
+    res.status(500).json({ message: 'Error pinning message' });
+  }
+});
+
+// Dismiss reports without hiding the message
+router.delete('/:subjectId/:messageId/reports', authenticateToken, authorize('teacher', ownsSubject, loadMessage), async (req, res) => {
+  try {
+    await Message.updateOne({ _id: req.message._id }, { $set: { reports: [] } });
+    res.json({ message: 'Reports dismissed' });
+  } catch (error) {
+    console.error('Error dismissing reports:', error);
+    res.status(500).json({ message: 'Error dismissing reports' });
+  }
+});
+
+// Report a message to the subject's teacher
+router.post('/:subjectId/:messageId/report', authenticateToken, authorize(enrolledInSubject, loadMessage, messageIsLive), permitFields('reason'), async (req, res) => {
+  try {
+    const { message } = req;
+    if (String(message.sender) === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot report your own message' });
+    }
+    const result = await Message.updateOne(
+      { _id: message._id, 'reports.reporter': { $ne: req.user.userId } },
+      { $push: { reports: { reporter: req.user.userId, reason: req.body.reason } } }
+    );
+    res.status(201).json({ message: 'Message reported' });
+
+    if (result.modifiedCount) {
+      notifyInBackground(notifyMany([req.subject.creator], {
+        type: 'message-reported',
+        title: `A message in ${req.subject.title} was reported`,
+        body: req.body.reason ? String(req.body.reason).slice(0, 200) : message.text.slice(0, 200),
+        link: `/subjects/${req.subject._id}/chat`,
+        data: { subjectId: req.subject._id, messageId: message._id }
+      }, { exclude: req.user.userId }));
+    }
+  } catch (error) {
+    console.error('Error reporting message:', error);
+    res.status(500).json({ message: 'Error reporting message' });
+  }
+});
+
+// Add the current user's reaction; each user reacts once per emoji and with at most
+// MAX_REACTIONS_PER_USER different ones per message
+router.put('/:subjectId/:messageId/reactions/:emoji', authenticateToken, authorize(enrolledInSubject, loadMessage, messageIsLive, notMuted), async (req, res) => {
+  try {
+    const emoji = req.params.emoji.trim();
+    if (!isEmoji(emoji)) {
+      return res.status(400).json({ message: 'Invalid reaction' });
+    }
+    const user = new mongoose.Types.ObjectId(req.user.userId);
+    // The cap is checked in the update itself so concurrent requests cannot pass it
+    const message = await Message.findOneAndUpdate(
+      {
+        _id: req.message._id,
+        $or: [
+          { reactions: { $elemMatch: { emoji, user } } },
+          { $expr: { $lt: [
+            { $size: { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $eq: ['$$this.user', user] } } } },
+            MAX_REACTIONS_PER_USER,
+          ] } },
+        ],
+      },
+      { $addToSet: { reactions: { emoji, user } } },
+      { new: true }
+    ).populate('sender', 'name role');
+    if (!message) {
+      if (!(await Message.exists({ _id: req.message._id }))) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      return res.status(400).json({ message: `You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message` });
+    }
+    broadcastMessage(req.app.get('io'), 'message-updated', message);
+    res.json(message.viewFor(req.user.userId, isTeacherOf(req)));
+  } catch (error) {
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ message: 'Error adding reaction' });
+  }
+});
+
+router.delete('/:subjectId/:messageId/reactions/:emoji', authenticateToken, authorize(enrolledInSubject, loadMessage), async (req, res) => {
+  try {
+    const message = await Message.findOneAndUpdate(
+      { _id: req.message._id },
+      { $pull: { reactions: { emoji: req.params.emoji.trim(), user: req.user.userId } } },
+      { new: true }
+    ).populate('sender', 'name role');
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    broadcastMessage(req.app.get('io'), 'message-updated', message);
+    res.json(message.viewFor(req.user.userId, isTeacherOf(req)));
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ message: 'Error removing reaction' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+const { permitFields } = require('../middleware/authorize');
+const { NOTIFICATION_TYPES, preferenceFor } = require('../services/notifications');
+const { pageLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+// List notifications, newest first. Paginate with ?before=<notificationId>; ?unread=true
+// returns only unread ones.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = pageLimit(req.query.limit, 20, 100);
+    const filter = { user: req.user.userId };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+    if (req.query.before) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.before)) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      const cursor = await Notification.findOne({ _id: req.query.before, user: req.user.userId });
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+    res.json({
+      notifications: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Error fetching notifications' });
+  }
+});
+
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+    res.json({ count });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ message: 'Error counting notifications' });
+  }
+});
+
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { readAt: new Date() }
+    );
+    res.json({ message: 'All notifications marked as read', count: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Error marking notifications as read' });
+  }
+});
+
+// Preferences for every notification type, with defaults filled in
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const preferences = {};
+    Object.keys(NOTIFICATION_TYPES).forEach(type => {
+      preferences[type] = preferenceFor(user, type);
+    });
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Error fetching notification preferences' });
+  }
+});
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Update preferences: { preferences: { "<type>": { enabled, email } } }
+router.put('/preferences', authenticateToken, permitFields('preferences'), async (req, res) => {
+  try {
+    const updates = req.body.preferences;
+    if (!isPlainObject(updates)) {
+      return res.status(400).json({ message: 'Preferences are required' });
+    }
+    for (const [type, value] of Object.entries(updates)) {
+      if (!Object.keys(NOTIFICATION_TYPES).includes(type)) {
+        return res.status(400).json({ message: `Unknown notification type: ${type}` });
+      }
+      if (!isPlainObject(value)) {
+        return res.status(400).json({ message: `Preference for ${type} must be an object` });
+      }
+    }
+
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    for (const [type, value] of Object.entries(updates)) {
+      const current = preferenceFor(user, type);
+      user.notificationPreferences.set(type, {
+        enabled: typeof value.enabled === 'boolean' ? value.enabled : current.enabled,
+        email: typeof value.email === 'boolean' ? value.email : current.email,
+      });
+    }
+    await user.save();
+
+    const preferences = {};
+    Object.keys(NOTIFICATION_TYPES).forEach(type => {
+      preferences[type] = preferenceFor(user, type);
+    });
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ message: 'Error updating notification preferences' });
+  }
+});
+
+router.put('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.notificationId)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.user.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ message: 'Error marking notification as read' });
+  }
+});
+
+module.exports = router;
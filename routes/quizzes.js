@@ -0,0 +1,313 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const GradingScheme = require('../models/GradingScheme');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError, canAccessSubject, ownsSubject, enrolledInSubject } = require('../middleware/authorize');
+const { GRACE_MS, startAttempt, attemptView, saveAnswers, finalizeAttempt, syncQuizGrade } = require('../services/quizzes');
+
+const router = express.Router();
+
+// Load the quiz named by the route into req.quiz, and its subject into req.subject
+const loadQuiz = async (req) => {
+  if (req.quiz) return req.quiz;
+  if (!mongoose.Types.ObjectId.isValid(req.params.quizId)) {
+    throw httpError(404, 'Quiz not found');
+  }
+  req.quiz = await Quiz.findById(req.params.quizId);
+  if (!req.quiz) {
+    throw httpError(404, 'Quiz not found');
+  }
+  req.subject = await Subject.findById(req.quiz.subject);
+  if (!req.subject) {
+    throw httpError(404, 'Subject not found');
+  }
+  return req.quiz;
+};
+
+const ownsQuizSubject = async (req) => {
+  await loadQuiz(req);
+  return String(req.subject.creator) === String(req.user.userId);
+};
+
+// Enrolled students can see published quizzes; drafts are hidden as if missing
+const canTakeQuiz = async (req) => {
+  const quiz = await loadQuiz(req);
+  if (!(await canAccessSubject(req.user, req.subject))) return false;
+  if (quiz.status !== 'published') throw httpError(404, 'Quiz not found');
+  return true;
+};
+
+// Load the attempt named by the route with its quiz; the student or the subject's teacher may see it
+const canSeeAttempt = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attemptId)) {
+    throw httpError(404, 'Attempt not found');
+  }
+  req.attempt = await QuizAttempt.findById(req.params.attemptId);
+  if (!req.attempt) {
+    throw httpError(404, 'Attempt not found');
+  }
+  req.params.quizId = String(req.attempt.quiz);
+  await loadQuiz(req);
+  return String(req.attempt.student) === String(req.user.userId)
+    || String(req.subject.creator) === String(req.user.userId);
+};
+
+const ownsAttempt = async (req) => (await canSeeAttempt(req)) && String(req.attempt.student) === String(req.user.userId);
+
+const QUIZ_FIELDS = [
+  'title', 'description', 'questions', 'opensAt', 'closesAt', 'timeLimitMinutes', 'maxAttempts',
+  'shuffleQuestions', 'shuffleOptions', 'gradeComponent', 'scoringPolicy'
+];
+
+/**
+ * Convert a question from a request. Options are given as { text, correct } (or
+ * plain strings) since their ids only exist once saved.
+ */
+const questionFromInput = (input = {}) => {
+  const question = {
+    _id: new mongoose.Types.ObjectId(),
+    type: input.type,
+    prompt: input.prompt,
+    points: input.points === undefined ? 1 : Number(input.points),
+  };
+  if (['mcq', 'multi-select'].includes(input.type)) {
+    question.options = [];
+    question.correctOptions = [];
+    (input.options || []).forEach(option => {
+      const _id = new mongoose.Types.ObjectId();
+      question.options.push({ _id, text: typeof option === 'string' ? option : option.text });
+      if (option && option.correct) question.correctOptions.push(_id);
+    });
+    question.partialCredit = Boolean(input.partialCredit);
+  } else if (input.type === 'numeric') {
+    question.correctNumber = input.correctNumber === undefined ? undefined : Number(input.correctNumber);
+    question.tolerance = input.tolerance === undefined ? 0 : Number(input.tolerance);
+  } else if (input.type === 'short-answer') {
+    question.acceptedAnswers = [].concat(input.acceptedAnswers || []).map(String);
+    question.caseSensitive = Boolean(input.caseSensitive);
+  }
+  return question;
+};
+
+// Apply request fields to a quiz and return a list of problems with the result
+const applyQuizInput = async (quiz, body) => {
+  const { questions, ...fields } = body;
+  quiz.set(fields);
+  if (questions !== undefined) {
+    if (!Array.isArray(questions)) return ['Questions must be a list'];
+    quiz.questions = questions.map(questionFromInput);
+  }
+
+  const problems = [];
+  const validationError = quiz.validateSync();
+  if (validationError) {
+    Object.values(validationError.errors).forEach(error => problems.push(error.message));
+  }
+  if (quiz.gradeComponent) {
+    const scheme = await GradingScheme.forSubject(quiz.subject);
+    if (!scheme.components.some(component => component.key === quiz.gradeComponent)) {
+      problems.push(`Grade component must be one of ${scheme.components.map(component => component.key).join(', ')}`);
+    }
+  }
+  return problems;
+};
+
+// Create a draft quiz
+router.post('/subjects/:subjectId/quizzes', authenticateToken, authorize('teacher', ownsSubject), permitFields(...QUIZ_FIELDS), async (req, res) => {
+  try {
+    const quiz = new Quiz({ subject: req.subject._id, creator: req.user.userId });
+    const problems = await applyQuizInput(quiz, req.body);
+    if (problems.length) {
+      return res.status(400).json({ message: 'Invalid quiz', errors: problems });
+    }
+    await quiz.save();
+    res.status(201).json(quiz);
+  } catch (error) {
+    console.error('Error creating quiz:', error);
+    res.status(500).json({ message: 'Error creating quiz' });
+  }
+});
+
+// The subject's quizzes. Students see published ones without answer keys, with their attempts.
+router.get('/subjects/:subjectId/quizzes', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    if (String(req.subject.creator) === String(req.user.userId)) {
+      const quizzes = await Quiz.find({ subject: req.subject._id }).sort({ createdAt: -1 });
+      return res.json(quizzes);
+    }
+
+    const quizzes = await Quiz.find({ subject: req.subject._id, status: 'published' }).sort({ createdAt: -1 });
+    const attempts = await QuizAttempt.find({ quiz: { $in: quizzes.map(quiz => quiz._id) }, student: req.user.userId })
+      .select('quiz number status startedAt deadline submittedAt score maxScore')
+      .sort({ number: 1 });
+    res.json(quizzes.map(quiz => ({
+      ...quiz.studentView(),
+      attempts: attempts.filter(attempt => String(attempt.quiz) === String(quiz._id))
+    })));
+  } catch (error) {
+    console.error('Error fetching quizzes:', error);
+    res.status(500).json({ message: 'Error fetching quizzes' });
+  }
+});
+
+router.get('/quizzes/:quizId', authenticateToken, authorize(ownsQuizSubject), async (req, res) => {
+  res.json(req.quiz);
+});
+
+// Update a quiz. Questions cannot change once students have attempted it.
+router.put('/quizzes/:quizId', authenticateToken, authorize('teacher', ownsQuizSubject), permitFields(...QUIZ_FIELDS), async (req, res) => {
+  try {
+    const { quiz } = req;
+    if (req.body.questions !== undefined && await QuizAttempt.exists({ quiz: quiz._id })) {
+      return res.status(409).json({ message: 'Questions cannot be changed after students have attempted the quiz' });
+    }
+    const problems = await applyQuizInput(quiz, req.body);
+    if (quiz.status === 'published') {
+      problems.push(...quiz.validateQuestions());
+    }
+    if (problems.length) {
+      return res.status(400).json({ message: 'Invalid quiz', errors: problems });
+    }
+    await quiz.save();
+    res.json(quiz);
+  } catch (error) {
+    console.error('Error updating quiz:', error);
+    res.status(500).json({ message: 'Error updating quiz' });
+  }
+});
+
+// Make a quiz available to students
+router.put('/quizzes/:quizId/publish', authenticateToken, authorize('teacher', ownsQuizSubject), async (req, res) => {
+  try {
+    const { quiz } = req;
+    const problems = quiz.validateQuestions();
+    if (problems.length) {
+      return res.status(400).json({ message: 'The quiz cannot be published yet', errors: problems });
+    }
+    quiz.status = 'published';
+    await quiz.save();
+    res.json(quiz);
+  } catch (error) {
+    console.error('Error publishing quiz:', error);
+    res.status(500).json({ message: 'Error publishing quiz' });
+  }
+});
+
+router.delete('/quizzes/:quizId', authenticateToken, authorize('teacher', ownsQuizSubject), async (req, res) => {
+  try {
+    if (await QuizAttempt.exists({ quiz: req.quiz._id })) {
+      return res.status(409).json({ message: 'Quizzes with attempts cannot be deleted' });
+    }
+    await req.quiz.deleteOne();
+    res.json({ message: 'Quiz deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting quiz:', error);
+    res.status(500).json({ message: 'Error deleting quiz' });
+  }
+});
+
+// Every attempt at a quiz with its score, for the teacher
+router.get('/quizzes/:quizId/attempts', authenticateToken, authorize('teacher', ownsQuizSubject), async (req, res) => {
+  try {
+    const attempts = await QuizAttempt.find({ quiz: req.quiz._id })
+      .populate('student', 'name email')
+      .sort({ student: 1, number: 1 });
+    res.json(attempts);
+  } catch (error) {
+    console.error('Error fetching quiz attempts:', error);
+    res.status(500).json({ message: 'Error fetching quiz attempts' });
+  }
+});
+
+// Recalculate the quiz's grade component for every student who attempted it, e.g. after
+// the grading scheme changed
+router.post('/quizzes/:quizId/sync-grades', authenticateToken, authorize('teacher', ownsQuizSubject), async (req, res) => {
+  try {
+    const students = await QuizAttempt.find({ quiz: req.quiz._id, status: 'submitted' }).distinct('student');
+    let updated = 0;
+    for (const student of students) {
+      if (await syncQuizGrade(req.quiz, student)) updated++;
+    }
+    res.json({ students: students.length, updated });
+  } catch (error) {
+    console.error('Error updating grades from quiz:', error);
+    res.status(500).json({ message: 'Error updating grades from quiz' });
+  }
+});
+
+// Start an attempt, or resume the one in progress
+router.post('/quizzes/:quizId/attempts', authenticateToken, authorize('student', canTakeQuiz), async (req, res) => {
+  try {
+    const { attempt, created } = await startAttempt(req.quiz, req.user.userId);
+    res.status(created ? 201 : 200).json(attemptView(attempt, req.quiz));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An attempt was just started; reload to continue it' });
+    }
+    console.error('Error starting quiz attempt:', error);
+    res.status(500).json({ message: 'Error starting quiz attempt' });
+  }
+});
+
+router.get('/quiz-attempts/:attemptId', authenticateToken, authorize(canSeeAttempt), async (req, res) => {
+  try {
+    const { attempt, quiz } = req;
+    // Attempts left open past their deadline are closed before being shown
+    if (attempt.status === 'in-progress' && !attempt.isOpenAt(new Date(), GRACE_MS)) {
+      await finalizeAttempt(attempt, quiz, { expired: true });
+    }
+    if (String(attempt.student) === String(req.user.userId)) {
+      return res.json(attemptView(attempt, quiz));
+    }
+    res.json(attempt);
+  } catch (error) {
+    console.error('Error fetching quiz attempt:', error);
+    res.status(500).json({ message: 'Error fetching quiz attempt' });
+  }
+});
+
+// Save answers as the student goes: { answers: [{ question, selectedOptions | number | text }] }
+router.put('/quiz-attempts/:attemptId/answers', authenticateToken, authorize('student', ownsAttempt), permitFields('answers'), async (req, res) => {
+  try {
+    await saveAnswers(req.attempt, req.quiz, req.body.answers || []);
+    res.json(attemptView(req.attempt, req.quiz));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error saving quiz answers:', error);
+    res.status(500).json({ message: 'Error saving quiz answers' });
+  }
+});
+
+// Submit the attempt, optionally with final answers, and get the score
+router.post('/quiz-attempts/:attemptId/submit', authenticateToken, authorize('student', ownsAttempt), permitFields('answers'), async (req, res) => {
+  try {
+    const { attempt, quiz } = req;
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ message: 'This attempt has already been submitted' });
+    }
+    // Answers sent after the deadline are ignored; the ones saved in time are graded
+    if (req.body.answers && attempt.isOpenAt(new Date(), GRACE_MS)) {
+      await saveAnswers(attempt, quiz, req.body.answers);
+    }
+    if (!(await finalizeAttempt(attempt, quiz))) {
+      return res.status(409).json({ message: 'This attempt has already been submitted' });
+    }
+    res.json(attemptView(attempt, quiz));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error submitting quiz attempt:', error);
+    res.status(500).json({ message: 'Error submitting quiz attempt' });
+  }
+});
+
+module.exports = router;
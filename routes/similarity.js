@@ -0,0 +1,89 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SimilarityReport = require('../models/SimilarityReport');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, ownsAssignmentSubject } = require('../middleware/authorize');
+const { startSimilarityCheck, pairTexts } = require('../services/similarity');
+
+// Similarity checks between an assignment's submissions. Mounted at /api/assignments.
+const router = express.Router();
+
+const teacherOwner = [authenticateToken, authorize('teacher', ownsAssignmentSubject)];
+
+// Start a new check; the report is filled in the background, poll GET for its status.
+// `threshold` (0-1, default 0.3) is the lowest similarity to report.
+router.post('/:assignmentId/similarity', ...teacherOwner, permitFields('threshold'), async (req, res) => {
+  try {
+    let { threshold } = req.body;
+    if (threshold !== undefined) {
+      threshold = Number(threshold);
+      if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+        return res.status(400).json({ message: 'Threshold must be between 0 and 1' });
+      }
+    }
+
+    const report = await startSimilarityCheck(req.assignment, { requestedBy: req.user.userId, threshold });
+    if (!report) {
+      return res.status(409).json({ message: 'A similarity check is already running for this assignment' });
+    }
+    res.status(202).json(report);
+  } catch (error) {
+    console.error('Error starting similarity check:', error);
+    res.status(500).json({ message: 'Error starting similarity check' });
+  }
+});
+
+// The latest report, most similar pairs first. ?min= hides pairs below a similarity.
+router.get('/:assignmentId/similarity', ...teacherOwner, async (req, res) => {
+  try {
+    const report = await SimilarityReport.findOne({ assignment: req.assignment._id })
+      .populate('pairs.studentA pairs.studentB skipped.student', 'name email');
+    if (!report) {
+      return res.status(404).json({ message: 'No similarity check has been run for this assignment' });
+    }
+
+    const view = report.toObject();
+    const min = Number(req.query.min);
+    if (!isNaN(min)) {
+      view.pairs = view.pairs.filter(pair => pair.similarity >= min);
+    }
+    res.json(view);
+  } catch (error) {
+    console.error('Error fetching similarity report:', error);
+    res.status(500).json({ message: 'Error fetching similarity report' });
+  }
+});
+
+// Both submissions' full text with the matching passages as ranges to highlight
+router.get('/:assignmentId/similarity/pairs/:pairId', ...teacherOwner, async (req, res) => {
+  try {
+    const report = await SimilarityReport.findOne({ assignment: req.assignment._id })
+      .populate('pairs.studentA pairs.studentB', 'name email');
+    const pair = report && mongoose.Types.ObjectId.isValid(req.params.pairId) && report.pairs.id(req.params.pairId);
+    if (!pair) {
+      return res.status(404).json({ message: 'Pair not found' });
+    }
+
+    const texts = await pairTexts(req.assignment, pair);
+    res.json({
+      similarity: pair.similarity,
+      a: {
+        student: pair.studentA,
+        submission: pair.submissionA,
+        text: texts.a,
+        highlights: pair.passages.map(passage => ({ start: passage.a.start, end: passage.a.end }))
+      },
+      b: {
+        student: pair.studentB,
+        submission: pair.submissionB,
+        text: texts.b,
+        highlights: pair.passages.map(passage => ({ start: passage.b.start, end: passage.b.end }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching similarity pair:', error);
+    res.status(500).json({ message: 'Error fetching similarity pair' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+const TimetableSlot = require('../models/TimetableSlot');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, permitFields, httpError, ownsSubject, enrolledInSubject } = require('../middleware/authorize');
+const { findClashes, weekSchedule } = require('../services/timetable');
+
+const router = express.Router();
+
+const SLOT_FIELDS = ['weekday', 'startTime', 'endTime', 'room', 'teacher', 'validFrom', 'validUntil'];
+
+// Load the slot named by the route into req.slot, and its subject into req.subject
+const loadSlot = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.slotId)) {
+    throw httpError(404, 'Timetable slot not found');
+  }
+  req.slot = await TimetableSlot.findById(req.params.slotId);
+  if (!req.slot) {
+    throw httpError(404, 'Timetable slot not found');
+  }
+  req.subject = await Subject.findById(req.slot.subject);
+  if (!req.subject) {
+    throw httpError(404, 'Subject not found');
+  }
+  return req.slot;
+};
+
+const ownsSlotSubject = async (req) => {
+  await loadSlot(req);
+  return String(req.subject.creator) === String(req.user.userId);
+};
+
+// Weekdays may be given as 0-6 (0 = Sunday) or by name
+const slotInput = async (body) => {
+  const input = { ...body };
+  if (typeof input.weekday === 'string') {
+    const index = TimetableSlot.WEEKDAYS.findIndex(name => name.toLowerCase() === input.weekday.trim().toLowerCase());
+    input.weekday = index >= 0 ? index : input.weekday;
+  }
+  if (input.teacher !== undefined) {
+    const teacher = mongoose.Types.ObjectId.isValid(input.teacher)
+      && await User.findOne({ _id: input.teacher, role: 'teacher' }).select('_id');
+    if (!teacher) throw httpError(400, 'Teacher not found');
+  }
+  return input;
+};
+
+// Save a slot unless it clashes with another teacher's or room's class
+const saveSlot = async (slot, res, status) => {
+  await slot.validate();
+  const clashes = await findClashes(slot);
+  if (clashes.length) {
+    return res.status(409).json({ message: 'This class clashes with another class', clashes });
+  }
+  await slot.save();
+  await slot.populate('teacher', 'name');
+  res.status(status).json(slot);
+};
+
+const sendSlotError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`Error ${action} timetable slot:`, error);
+  res.status(500).json({ message: `Error ${action} timetable slot` });
+};
+
+// The current user's week: classes, calendar entries, deadlines and tasks by day (?date=YYYY-MM-DD, default today)
+router.get('/timetable/week', authenticateToken, async (req, res) => {
+  try {
+    const date = req.query.date ? AcademicCalendar.parseDay(req.query.date) : AcademicCalendar.parseDay(new Date());
+    if (!date) {
+      return res.status(400).json({ message: 'Provide a valid date (YYYY-MM-DD)' });
+    }
+    res.json(await weekSchedule(req.user, date));
+  } catch (error) {
+    console.error('Error fetching week:', error);
+    res.status(500).json({ message: 'Error fetching week' });
+  }
+});
+
+router.get('/subjects/:subjectId/timetable', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    const slots = await TimetableSlot.find({ subject: req.subject._id })
+      .populate('teacher', 'name')
+      .sort({ weekday: 1, startTime: 1 });
+    res.json(slots);
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    res.status(500).json({ message: 'Error fetching timetable' });
+  }
+});
+
+// Add a weekly class. The teacher defaults to the subject's teacher.
+router.post('/subjects/:subjectId/timetable', authenticateToken, authorize('teacher', ownsSubject), permitFields(...SLOT_FIELDS), async (req, res) => {
+  try {
+    const input = await slotInput(req.body);
+    const slot = new TimetableSlot({
+      teacher: req.user.userId,
+      ...input,
+      subject: req.subject._id,
+      createdBy: req.user.userId
+    });
+    await saveSlot(slot, res, 201);
+  } catch (error) {
+    sendSlotError(res, error, 'creating');
+  }
+});
+
+router.put('/timetable/:slotId', authenticateToken, authorize('teacher', ownsSlotSubject), permitFields(...SLOT_FIELDS), async (req, res) => {
+  try {
+    req.slot.set(await slotInput(req.body));
+    await saveSlot(req.slot, res, 200);
+  } catch (error) {
+    sendSlotError(res, error, 'updating');
+  }
+});
+
+router.delete('/timetable/:slotId', authenticateToken, authorize('teacher', ownsSlotSubject), async (req, res) => {
+  try {
+    await req.slot.deleteOne();
+    res.json({ message: 'Timetable slot deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting timetable slot:', error);
+    res.status(500).json({ message: 'Error deleting timetable slot' });
+  }
+});
+
+module.exports = router;
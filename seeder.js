@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
+const User = require('./models/User');
+const Subject = require('./models/Subject');
+const Assignment = require('./models/Assignment');
+const Enrollment = require('./models/Enrollment');
+const Grade = require('./models/Grade');
+const AcademicCalendar = require('./models/AcademicCalendar');
+const Task = require('./models/Task');
+const Degree = require('./models/Degree');
+const Department = require('./models/Department');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -16,65 +25,6 @@ const connectDB = async () => {
   }
 };
 
-// User model
-const userSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  role: { type: String, required: true, enum: ['teacher', 'student', 'alumni'] },
-  name: String,
-  additionalInfo: String,
-  degree: String,
-  department: String,
-});
-
-const User = mongoose.model('User', userSchema);
-
-// Subject model
-const subjectSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  degree: { type: String, required: true },
-  department: { type: String, required: true },
-  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  units: [{
-    title: String,
-    sections: [{
-      title: String,
-      content: String,
-      files: [{ name: String, url: String }]
-    }]
-  }]
-});
-
-const Subject = mongoose.model('Subject', subjectSchema);
-
-// Assignment model
-const assignmentSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  description: { type: String, required: true },
-  dueDate: { type: Date, required: true },
-  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
-  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  file: { name: String, url: String },
-  submissions: [{
-    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    file: { name: String, url: String },
-    submittedAt: { type: Date, default: Date.now }
-  }]
-});
-
-const Assignment = mongoose.model('Assignment', assignmentSchema);
-
-// Grade model
-const gradeSchema = new mongoose.Schema({
-  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
-  cycleTest1: { type: Number, default: 0 },
-  cycleTest2: { type: Number, default: 0 },
-  assignments: { type: Number, default: 0 },
-});
-
-const Grade = mongoose.model('Grade', gradeSchema);
-
 // Message model
 const messageSchema = new mongoose.Schema({
   text: { type: String, required: true },
@@ -96,28 +46,6 @@ const alumniMessageSchema = new mongoose.Schema({
 
 const AlumniMessage = mongoose.model('AlumniMessage', alumniMessageSchema);
 
-// Academic calendar model
-const academicCalendarSchema = new mongoose.Schema({
-  day: String,
-  date: String,
-  description: String,
-});
-
-const AcademicCalendar = mongoose.model('AcademicCalendar', academicCalendarSchema);
-
-// Task model
-const taskSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  category: { type: String, required: true },
-  priority: { type: String, required: true },
-  dueDate: { type: Date, required: true },
-  completed: { type: Boolean, default: false },
-  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  notificationSent: { type: Boolean, default: false }
-});
-
-const Task = mongoose.model('Task', taskSchema);
-
 // Sample data
 const sampleUsers = [
   {
@@ -182,9 +110,30 @@ const sampleUsers = [
     additionalInfo: 'Graduated in 2019, Data Scientist at Amazon',
     degree: 'MSc',
     department: 'Maths'
+  },
+  {
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+    name: 'Site Administrator',
+    degree: 'MCA',
+    department: 'Computer Science'
   }
 ];
 
+// Degrees and departments users and subjects can belong to
+const sampleDegrees = [
+  { name: 'BCA', code: 'BCA', aliases: ['bachelor of computer applications'] },
+  { name: 'BSc', code: 'BSC', aliases: ['b.sc', 'bachelor of science'] },
+  { name: 'MCA', code: 'MCA', aliases: ['master of computer applications'] },
+  { name: 'MSc', code: 'MSC', aliases: ['m.sc', 'master of science'] }
+];
+
+const sampleDepartments = [
+  { name: 'Computer Science', code: 'CS', aliases: ['cse', 'computer science and engineering'] },
+  { name: 'Maths', code: 'MATH', aliases: ['mathematics'] }
+];
+
 const sampleSubjects = [
   {
     title: 'Data Structures and Algorithms',
@@ -263,16 +212,17 @@ const sampleSubjects = [
 ];
 
 const sampleAcademicCalendar = [
-  { day: 'Monday', date: '2025-10-28', description: 'First day of semester' },
-  { day: 'Tuesday', date: '2025-10-29', description: 'Orientation program' },
-  { day: 'Wednesday', date: '2025-10-30', description: 'Classes begin' },
-  { day: 'Thursday', date: '2025-10-31', description: 'Library orientation' },
-  { day: 'Friday', date: '2025-11-01', description: 'Sports day' },
-  { day: 'Monday', date: '2025-11-04', description: 'Mid-term exam preparation' },
-  { day: 'Tuesday', date: '2025-11-05', description: 'Guest lecture on AI' },
-  { day: 'Wednesday', date: '2025-11-06', description: 'Project submission deadline' },
-  { day: 'Thursday', date: '2025-11-07', description: 'Cultural fest' },
-  { day: 'Friday', date: '2025-11-08', description: 'Holiday' }
+  { date: '2025-10-28', description: 'First day of semester', category: 'term-start' },
+  { date: '2025-10-29', description: 'Orientation program', category: 'event' },
+  { date: '2025-10-30', description: 'Classes begin', category: 'event' },
+  { date: '2025-10-31', description: 'Library orientation', category: 'event' },
+  { date: '2025-11-01', description: 'Sports day', category: 'event' },
+  { date: '2025-11-04', description: 'Mid-term exam preparation', category: 'exam' },
+  { date: '2025-11-05', description: 'Guest lecture on AI', category: 'event' },
+  { date: '2025-11-06', description: 'Project submission deadline', category: 'other' },
+  { date: '2025-11-07', description: 'Cultural fest', category: 'event' },
+  { date: '2025-11-08', description: 'Holiday', category: 'holiday' },
+  { date: '2025-11-12', description: 'Department seminar', category: 'event', recurrence: { frequency: 'weekly', count: 6 } }
 ];
 
 const sampleTasks = [
@@ -320,19 +270,27 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     await Subject.deleteMany({});
     await Assignment.deleteMany({});
+    await Enrollment.deleteMany({});
     await Grade.deleteMany({});
     await Message.deleteMany({});
     await AlumniMessage.deleteMany({});
     await AcademicCalendar.deleteMany({});
     await Task.deleteMany({});
+    await Degree.deleteMany({});
+    await Department.deleteMany({});
 
     console.log('Existing data cleared');
 
+    await Degree.insertMany(sampleDegrees);
+    await Department.insertMany(sampleDepartments);
+    console.log('Degrees and departments seeded');
+
     // Hash passwords and create users
     const hashedUsers = await Promise.all(
       sampleUsers.map(async (user) => ({
         ...user,
-        password: await bcrypt.hash(user.password, 10)
+        password: await bcrypt.hash(user.password, 10),
+        emailVerifiedAt: new Date()
       }))
     );
 
@@ -379,8 +337,29 @@ const seedDatabase = async () => {
     const createdAssignments = await Assignment.insertMany(assignments);
     console.log('Assignments seeded');
 
-    // Create grades
+    // Enroll students in the subjects of their degree and department
     const students = createdUsers.filter(u => u.role === 'student');
+    const enrollments = [];
+
+    students.forEach(student => {
+      createdSubjects
+        .filter(subject => subject.degree === student.degree && subject.department === student.department)
+        .forEach(subject => {
+          enrollments.push({
+            subject: subject._id,
+            student: student._id,
+            status: 'active',
+            source: 'teacher',
+            approvedAt: new Date(),
+            approvedBy: subject.creator
+          });
+        });
+    });
+
+    await Enrollment.insertMany(enrollments);
+    console.log('Enrollments seeded');
+
+    // Create grades
     const grades = [];
 
     students.forEach(student => {
@@ -388,9 +367,13 @@ const seedDatabase = async () => {
         grades.push({
           student: student._id,
           subject: subject._id,
-          cycleTest1: Math.floor(Math.random() * 20) + 5, // Random score between 5-25
-          cycleTest2: Math.floor(Math.random() * 20) + 5,
-          assignments: Math.floor(Math.random() * 10) + 5  // Random score between 5-15
+          components: {
+            cycleTest1: Math.floor(Math.random() * 20) + 5, // Random score between 5-25
+            cycleTest2: Math.floor(Math.random() * 20) + 5,
+            assignments: Math.floor(Math.random() * 10) + 5  // Random score between 5-15
+          },
+          status: 'published',
+          publishedAt: new Date()
         });
       });
     });
@@ -463,7 +446,7 @@ const seedDatabase = async () => {
     console.log('Alumni messages seeded');
 
     // Create academic calendar
-    await AcademicCalendar.insertMany(sampleAcademicCalendar);
+    await AcademicCalendar.insertMany(sampleAcademicCalendar.map(entry => AcademicCalendar.fromInput(entry).value));
     console.log('Academic calendar seeded');
 
     // Create tasks with creator references
@@ -1,17 +1,89 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
-const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const http = require('http');
+const { Server } = require('socket.io');
 require('dotenv').config();
+const User = require('./models/User');
+const Subject = require('./models/Subject');
+const Assignment = require('./models/Assignment');
+const Enrollment = require('./models/Enrollment');
+const Grade = require('./models/Grade');
+const GradingScheme = require('./models/GradingScheme');
+const GradeAudit = require('./models/GradeAudit');
+const AcademicCalendar = require('./models/AcademicCalendar');
+const Task = require('./models/Task');
+const Message = require('./models/Message');
+const AlumniMessage = require('./models/AlumniMessage');
+const { authenticateToken, verifyAccessToken } = require('./middleware/auth');
+const {
+  authorize,
+  permitFields,
+  canAccessSubject,
+  ownsSubject,
+  enrolledInSubject,
+  ownsAssignmentSubject,
+  enrolledInAssignmentSubject,
+  targetStudentEnrolled,
+  matchesRoleParam,
+} = require('./middleware/authorize');
+const { limits } = require('./middleware/rateLimit');
+const { parseCsvRecords, toCsv } = require('./utils/csv');
+const { buildCalendar, recurrenceRule } = require('./utils/ical');
+const { pageLimit } = require('./utils/pagination');
+const { registerChannel, inAppChannel, createSocketChannel, emailChannel, notify, notifyMany, notifyInBackground } = require('./services/notifications');
+const { subjectRoom } = require('./services/discussions');
+const scheduler = require('./services/scheduler');
+const { sendDueReminders, MAX_LEAD_MINUTES } = require('./services/reminders');
+const { publishScheduledSections } = require('./services/content');
+const { acceptUpload, storeUpload } = require('./services/files');
+const { finalizeExpiredAttempts } = require('./services/quizzes');
+const { attendanceSummaries } = require('./services/attendance');
+const { resolveCohort } = require('./services/institution');
+const authRoutes = require('./routes/auth');
+const enrollmentRoutes = require('./routes/enrollments');
+const notificationRoutes = require('./routes/notifications');
+const contentRoutes = require('./routes/content');
+const fileRoutes = require('./routes/files');
+const similarityRoutes = require('./routes/similarity');
+const quizRoutes = require('./routes/quizzes');
+const attendanceRoutes = require('./routes/attendance');
+const timetableRoutes = require('./routes/timetable');
+const messageRoutes = require('./routes/messages');
+const alumniRoutes = require('./routes/alumni');
+const conversationRoutes = require('./routes/conversations');
+const institutionRoutes = require('./routes/institution');
+const adminRoutes = require('./routes/admin');
 
 // Create Express app
 const app = express();
 
+// Create HTTP server and attach socket.io
+const server = http.createServer(app);
+const io = new Server(server, {
+  cors: {
+    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: true,
+  },
+});
+app.set('io', io);
+
+// Notification channels: in-app store and socket push, plus email when SMTP is configured
+registerChannel('inApp', inAppChannel);
+registerChannel('socket', createSocketChannel(io));
+if (process.env.SMTP_HOST) {
+  registerChannel('email', emailChannel);
+}
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so req.ip, which the
+// rate limits key on, is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(express.json());
 app.use(cors({
@@ -46,227 +118,82 @@ const connectWithRetry = () => {
 
 connectWithRetry();
 
-// User model
-const userSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  role: { type: String, required: true, enum: ['teacher', 'student', 'alumni'] },
-  name: String,
-  additionalInfo: String,
-  degree: String,
-  department: String,
-});
-
-const User = mongoose.model('User', userSchema);
-
-// Subject model
-const subjectSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  degree: { type: String, required: true },
-  department: { type: String, required: true },
-  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  units: [{
-    title: String,
-    sections: [{
-      title: String,
-      content: String,
-      files: [{ name: String, url: String }]
-    }]
-  }]
-});
-
-const Subject = mongoose.model('Subject', subjectSchema);
-
-// Assignment model
-const assignmentSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  description: { type: String, required: true },
-  dueDate: { type: Date, required: true },
-  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
-  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  file: { name: String, url: String },
-  submissions: [{
-    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    file: { name: String, url: String },
-    submittedAt: { type: Date, default: Date.now }
-  }]
-});
-
-const Assignment = mongoose.model('Assignment', assignmentSchema);
+// Background jobs start once the database is reachable
+scheduler.schedule('due-reminders', Number(process.env.REMINDER_SCAN_INTERVAL_MS) || 60 * 1000, sendDueReminders);
+scheduler.schedule('scheduled-content', Number(process.env.CONTENT_PUBLISH_INTERVAL_MS) || 60 * 1000, publishScheduledSections);
+scheduler.schedule('expired-quiz-attempts', Number(process.env.QUIZ_EXPIRY_SCAN_INTERVAL_MS) || 30 * 1000, finalizeExpiredAttempts);
+mongoose.connection.once('open', () => scheduler.start());
 
+// Authentication routes
+app.use('/api/auth', authRoutes);
 
-// Grade model
-const gradeSchema = new mongoose.Schema({
-  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
-  cycleTest1: { type: Number, default: 0 },
-  cycleTest2: { type: Number, default: 0 },
-  assignments: { type: Number, default: 0 },
-});
+// Enrollment routes
+app.use('/api', enrollmentRoutes);
 
-const Grade = mongoose.model('Grade', gradeSchema);
+// Notification center routes
+app.use('/api/notifications', notificationRoutes);
 
+// Subject units and sections
+app.use('/api/subjects', contentRoutes);
 
-// Message model
-const messageSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
-  createdAt: { type: Date, default: Date.now },
-});
+// File uploads and downloads
+app.use('/api', fileRoutes);
 
-const Message = mongoose.model('Message', messageSchema);
+// Similarity checks between assignment submissions
+app.use('/api/assignments', similarityRoutes);
 
-// Alumni message model
-const alumniMessageSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  degree: { type: String, required: true },
-  department: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-});
+// Quizzes and quiz attempts
+app.use('/api', quizRoutes);
 
-const AlumniMessage = mongoose.model('AlumniMessage', alumniMessageSchema);
+// Class sessions and attendance
+app.use('/api', attendanceRoutes);
 
-// Academic calendar model
-const academicCalendarSchema = new mongoose.Schema({
-  day: String,
-  date: String,
-  description: String,
-});
+// Weekly timetable and the "my week" view
+app.use('/api', timetableRoutes);
 
-const AcademicCalendar = mongoose.model('AcademicCalendar', academicCalendarSchema);
+// Subject discussions
+app.use('/api/messages', messageRoutes);
 
-// Task model
-const taskSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  category: { type: String, required: true },
-  priority: { type: String, required: true },
-  dueDate: { type: Date, required: true },
-  completed: { type: Boolean, default: false },
-  creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  notificationSent: { type: Boolean, default: false }
-});
+// Alumni profiles, mentorship and job postings
+app.use('/api/alumni', alumniRoutes);
 
-const Task = mongoose.model('Task', taskSchema);
+// Direct and group conversations
+app.use('/api/conversations', conversationRoutes);
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Degrees and departments, and administration
+app.use('/api/institution', institutionRoutes);
+app.use('/api/admin', adminRoutes);
 
-  if (!token) return res.status(401).json({ message: 'No token provided' });
+// Students actively enrolled in a subject
+const findEnrolledStudentIds = (subjectId) => Enrollment.find({ subject: subjectId, status: 'active' }).distinct('student');
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Invalid or expired token' });
-    req.user = user;
-    next();
-  });
+// Subjects a student holds an active enrollment in, as students see them
+const findEnrolledSubjects = async (studentId) => {
+  const subjectIds = await Enrollment.find({ student: studentId, status: 'active' }).distinct('subject');
+  const subjects = await Subject.find({ _id: { $in: subjectIds } });
+  return subjects.map(subject => subject.studentView());
 };
 
-// Signup route
-app.post('/api/auth/signup', [
-  body('email').isEmail().withMessage('Please enter a valid email address'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-  body('role').isIn(['teacher', 'student', 'alumni']).withMessage('Role must be either teacher, student, or alumni'),
-  body('name').notEmpty().withMessage('Name is required'),
-  body('degree').notEmpty().withMessage('Degree is required'),
-  body('department').notEmpty().withMessage('Department is required'),
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    const { email, password, role, name, additionalInfo, degree, department } = req.body;
-
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists with this email' });
-    }
-
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const user = new User({
-      email,
-      password: hashedPassword,
-      role,
-      name,
-      additionalInfo,
-      degree,
-      department,
-    });
-
-    await user.save();
-
-    const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.status(201).json({ token, role: user.role, name: user.name });
-  } catch (error) {
-    console.error('Error signing up:', error);
-    res.status(500).json({ message: 'Error signing up', error: 'An unexpected error occurred' });
-  }
-});
-
-// Login route
-app.post('/api/auth/login', [
-  body('email').isEmail().withMessage('Please enter a valid email address'),
-  body('password').exists().withMessage('Password is required'),
-  body('role').exists().withMessage('Role is required'),
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    const { email, password, role } = req.body;
-    console.log('Login attempt for email:', email, 'with role:', role);
-    
-    const user = await User.findOne({ email });
-
-    if (!user) {
-      console.log('User not found for email:', email);
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-
-    // Check if the provided role matches the user's actual role
-    if (user.role !== role) {
-      console.log('Role mismatch. User role:', user.role, 'Attempted role:', role);
-      return res.status(403).json({ 
-        message: `Access denied. Please login with your assigned role as ${user.role}.`
-      });
-    }
-
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      console.log('Invalid password for email:', email);
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-
-    const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    console.log('Login successful for email:', email);
-    res.json({ token, role: user.role, name: user.name });
-  } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({ message: 'Error logging in', error: error.message });
-  }
-});
-
 // New routes for subject management
-app.post('/api/subjects', authenticateToken, async (req, res) => {
+app.post('/api/subjects', authenticateToken, authorize('teacher'), permitFields('title', 'degree', 'department', 'elective', 'requiresApproval'), async (req, res) => {
   try {
-    const { title, degree, department } = req.body;
+    const { title, degree, department, elective, requiresApproval } = req.body;
 
     // Validate required fields
     if (!title || !degree || !department) {
       return res.status(400).json({ message: 'All fields are required' });
     }
+    const cohort = await resolveCohort(degree, department);
+    if (cohort.errors) {
+      return res.status(400).json({ message: 'Unknown degree or department', errors: cohort.errors });
+    }
 
     const subject = new Subject({
       title,
-      degree,
-      department,
+      degree: cohort.degree,
+      department: cohort.department,
+      elective,
+      requiresApproval,
       creator: req.user.userId
     });
 
@@ -279,10 +206,9 @@ app.post('/api/subjects', authenticateToken, async (req, res) => {
 });
 
 // Update the subjects route for students
-app.get('/api/subjects/student', authenticateToken, async (req, res) => {
+app.get('/api/subjects/student', authenticateToken, authorize('student'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    const subjects = await Subject.find({ degree: user.degree, department: user.department });
+    const subjects = await findEnrolledSubjects(req.user.userId);
     res.json(subjects);
   } catch (error) {
     console.error('Error fetching subjects:', error);
@@ -303,114 +229,114 @@ app.get('/api/user', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/subjects/:role', authenticateToken, async (req, res) => {
+// Reminder settings: lead times in minutes before a task or assignment is due
+app.get('/api/user/reminder-settings', authenticateToken, async (req, res) => {
   try {
-    let subjects;
-    if (req.params.role === 'teacher') {
-      subjects = await Subject.find({ creator: req.user.userId });
-    } else if (req.params.role === 'student') {
-      subjects = await Subject.find();
-    } else {
-      return res.status(400).json({ message: 'Invalid role specified' });
+    const user = await User.findById(req.user.userId).select('reminderLeadTimes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
-    res.json(subjects);
+    res.json({ leadTimes: user.reminderLeadTimes, maxLeadMinutes: MAX_LEAD_MINUTES });
   } catch (error) {
-    console.error('Error fetching subjects:', error);
-    res.status(500).json({ message: 'Error fetching subjects' });
+    console.error('Error fetching reminder settings:', error);
+    res.status(500).json({ message: 'Error fetching reminder settings' });
   }
 });
 
-app.put('/api/subjects/:subjectId/units', authenticateToken, async (req, res) => {
+app.put('/api/user/reminder-settings', authenticateToken, permitFields('leadTimes'), async (req, res) => {
   try {
-    const { subjectId } = req.params;
-    const { units } = req.body;
-    const subject = await Subject.findOneAndUpdate(
-      { _id: subjectId, creator: req.user.userId },
-      { $set: { units } },
-      { new: true }
-    );
-    if (!subject) {
-      return res.status(404).json({ message: 'Subject not found or you do not have permission to update it' });
+    const { leadTimes } = req.body;
+    if (!Array.isArray(leadTimes) || leadTimes.length > 5 ||
+        leadTimes.some(lead => !Number.isInteger(lead) || lead < 1 || lead > MAX_LEAD_MINUTES)) {
+      return res.status(400).json({ message: `Provide up to 5 lead times in whole minutes between 1 and ${MAX_LEAD_MINUTES}` });
     }
-    res.json(subject);
-  } catch (error) {
-    console.error('Error updating units:', error);
-    res.status(500).json({ message: 'Error updating units', error: 'An unexpected error occurred' });
-  }
-});
 
-// File upload route (you'll need to implement file storage, e.g., using multer)
-// Create uploads directory if it doesn't exist
-const uploadDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir);
-}
-
-// Configure multer for file upload
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir)
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname)
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { reminderLeadTimes: Array.from(new Set(leadTimes)).sort((a, b) => b - a) },
+      { new: true }
+    ).select('reminderLeadTimes');
+    res.json({ leadTimes: user.reminderLeadTimes, maxLeadMinutes: MAX_LEAD_MINUTES });
+  } catch (error) {
+    console.error('Error updating reminder settings:', error);
+    res.status(500).json({ message: 'Error updating reminder settings' });
   }
 });
 
-const upload = multer({ storage: storage });
-
-// Add this to your existing server.js
-app.post('/api/upload', authenticateToken, upload.single('file'), async (req, res) => {
+app.get('/api/subjects/:role', authenticateToken, authorize(matchesRoleParam), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
+    let subjects;
+    if (req.params.role === 'teacher') {
+      subjects = await Subject.find({ creator: req.user.userId });
+    } else if (req.params.role === 'student') {
+      subjects = await findEnrolledSubjects(req.user.userId);
+    } else {
+      return res.status(400).json({ message: 'Invalid role specified' });
     }
-
-    const fileUrl = `/api/files/${req.file.filename}`;
-    res.json({
-      message: 'File uploaded successfully',
-      url: fileUrl,
-      name: req.file.originalname
-    });
+    res.json(subjects);
   } catch (error) {
-    console.error('Error uploading file:', error);
-    res.status(500).json({ message: 'Error uploading file' });
+    console.error('Error fetching subjects:', error);
+    res.status(500).json({ message: 'Error fetching subjects' });
   }
 });
 
-// Add a route to serve files
-app.get('/api/files/:filename', authenticateToken, (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(uploadDir, filename);
-
-  if (fs.existsSync(filePath)) {
-    res.download(filePath);
-  } else {
-    res.status(404).json({ message: 'File not found' });
+// Hide grading details from students until the teacher returns the submission
+const studentSubmissionView = (submission) => {
+  const view = submission.toObject();
+  if (submission.state !== 'returned') {
+    delete view.score;
+    delete view.rubricScores;
+    delete view.feedback;
+    delete view.gradedBy;
+    delete view.gradedAt;
   }
-});
+  return view;
+};
 
 // Assignment routes
-app.post('/api/assignments/:subjectId', authenticateToken, upload.single('file'), async (req, res) => {
+app.post('/api/assignments/:subjectId', authenticateToken, limits.upload, authorize('teacher', ownsSubject), acceptUpload('file'), permitFields('title', 'description', 'dueDate', 'maxScore', 'gracePeriodMinutes', 'acceptLate', 'rubric'), async (req, res) => {
   try {
-    const { title, description, dueDate } = req.body;
+    const { title, description, dueDate, maxScore, gracePeriodMinutes, acceptLate } = req.body;
     const subjectId = req.params.subjectId;
 
+    // Multipart bodies carry the rubric as a JSON string
+    let { rubric } = req.body;
+    if (typeof rubric === 'string') {
+      try {
+        rubric = JSON.parse(rubric);
+      } catch (parseError) {
+        return res.status(400).json({ message: 'Invalid rubric' });
+      }
+    }
+
     const assignment = new Assignment({
       title,
       description,
       dueDate,
+      maxScore,
+      gracePeriodMinutes,
+      acceptLate,
+      rubric,
       subject: subjectId,
       creator: req.user.userId,
     });
 
+    await assignment.validate();
     if (req.file) {
-      assignment.file = {
-        name: req.file.originalname,
-        url: `/api/files/${req.file.filename}`
-      };
+      const file = await storeUpload(req.file, { owner: req.user.userId, subject: subjectId, access: 'subject' });
+      assignment.file = { name: file.originalName, url: file.url };
     }
 
     await assignment.save();
+
+    notifyInBackground(findEnrolledStudentIds(subjectId).then(studentIds => notifyMany(studentIds, {
+      type: 'assignment-posted',
+      title: `New assignment in ${req.subject.title}`,
+      body: `"${assignment.title}" is due on ${assignment.dueDate.toUTCString()}.`,
+      link: `/subjects/${subjectId}/assignments`,
+      data: { assignmentId: assignment._id, subjectId }
+    })));
+
     res.status(201).json(assignment);
   } catch (error) {
     console.error('Error creating assignment:', error);
@@ -418,9 +344,15 @@ app.post('/api/assignments/:subjectId', authenticateToken, upload.single('file')
   }
 });
 
-app.get('/api/assignments/:subjectId', authenticateToken, async (req, res) => {
+app.get('/api/assignments/:subjectId', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
   try {
     const assignments = await Assignment.find({ subject: req.params.subjectId });
+    if (req.user.role === 'student') {
+      return res.json(assignments.map(assignment => ({
+        ...assignment.toObject(),
+        submissions: assignment.submissionsBy(req.user.userId).map(studentSubmissionView),
+      })));
+    }
     res.json(assignments);
   } catch (error) {
     console.error('Error fetching assignments:', error);
@@ -428,57 +360,154 @@ app.get('/api/assignments/:subjectId', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/assignments/:assignmentId/submit', authenticateToken, upload.single('file'), async (req, res) => {
+app.post('/api/assignments/:assignmentId/submit', authenticateToken, limits.upload, authorize('student', enrolledInAssignmentSubject), acceptUpload('file'), async (req, res) => {
   try {
-    const assignment = await Assignment.findById(req.params.assignmentId);
-    if (!assignment) {
-      return res.status(404).json({ message: 'Assignment not found' });
+    const { assignment } = req;
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const submittedAt = new Date();
+    const timeliness = assignment.timelinessAt(submittedAt);
+    if (timeliness === 'late' && !assignment.acceptLate) {
+      return res.status(400).json({ message: 'The deadline has passed and late submissions are not accepted' });
     }
 
+    // Only the student and the subject's teacher can download a submission
+    const file = await storeUpload(req.file, { owner: req.user.userId, subject: assignment.subject, access: 'private' });
+    const previous = assignment.submissionsBy(req.user.userId);
     const submission = {
       student: req.user.userId,
-      file: {
-        name: req.file.originalname,
-        url: `/api/files/${req.file.filename}`
-      }
+      version: previous.length ? previous[previous.length - 1].version + 1 : 1,
+      file: { name: file.originalName, url: file.url },
+      submittedAt,
+      timeliness
     };
 
     assignment.submissions.push(submission);
     await assignment.save();
 
-    res.status(201).json({ message: 'Assignment submitted successfully' });
+    res.status(201).json({
+      message: 'Assignment submitted successfully',
+      submission: studentSubmissionView(assignment.submissions[assignment.submissions.length - 1])
+    });
   } catch (error) {
     console.error('Error submitting assignment:', error);
     res.status(500).json({ message: 'Error submitting assignment' });
   }
 });
 
-// Routes for grade management
-app.get('/api/subjects/:role', authenticateToken, async (req, res) => {
+// Route for a student to see their own submission history and feedback
+app.get('/api/assignments/:assignmentId/submission', authenticateToken, authorize('student', enrolledInAssignmentSubject), async (req, res) => {
   try {
-    let subjects;
-    if (req.params.role === 'teacher') {
-      subjects = await Subject.find({ creator: req.user.userId });
-    } else if (req.params.role === 'student') {
-      const grades = await Grade.find({ student: req.user.userId }).populate('subject');
-      subjects = grades.map(grade => grade.subject);
-    } else {
-      return res.status(400).json({ message: 'Invalid role specified' });
+    const history = req.assignment.submissionsBy(req.user.userId).map(studentSubmissionView);
+    res.json({
+      latest: history.length ? history[history.length - 1] : null,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching submission:', error);
+    res.status(500).json({ message: 'Error fetching submission' });
+  }
+});
+
+// Route for the teacher to list submissions; ?latest=true keeps only each student's newest version
+app.get('/api/assignments/:assignmentId/submissions', authenticateToken, authorize('teacher', ownsAssignmentSubject), async (req, res) => {
+  try {
+    await req.assignment.populate('submissions.student', 'name email');
+    let submissions = req.assignment.submissions;
+    if (req.query.latest === 'true') {
+      const latestByStudent = new Map();
+      submissions.forEach(submission => {
+        const key = String(submission.student && submission.student._id);
+        const current = latestByStudent.get(key);
+        if (!current || submission.version > current.version) {
+          latestByStudent.set(key, submission);
+        }
+      });
+      submissions = Array.from(latestByStudent.values());
     }
-    res.json(subjects);
+    res.json(submissions);
   } catch (error) {
-    console.error('Error fetching subjects:', error);
-    res.status(500).json({ message: 'Error fetching subjects' });
+    console.error('Error fetching submissions:', error);
+    res.status(500).json({ message: 'Error fetching submissions' });
   }
 });
 
-// Update the grades route
+// Route to grade a submission, scoring it directly or against the assignment rubric
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/grade', authenticateToken, authorize('teacher', ownsAssignmentSubject), permitFields('score', 'rubricScores', 'feedback', 'returnToStudent'), async (req, res) => {
+  try {
+    const { assignment } = req;
+    const submission = assignment.submissions.id(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const { feedback, returnToStudent } = req.body;
+    let { score } = req.body;
+    let rubricScores = [];
+
+    if (Array.isArray(req.body.rubricScores) && req.body.rubricScores.length) {
+      for (const entry of req.body.rubricScores) {
+        const criterion = assignment.rubric.find(item => item.criterion === entry.criterion);
+        const points = Number(entry.points);
+        if (!criterion) {
+          return res.status(400).json({ message: `Unknown rubric criterion: ${entry.criterion}` });
+        }
+        if (isNaN(points) || points < 0 || points > criterion.maxPoints) {
+          return res.status(400).json({ message: `Points for ${criterion.criterion} must be between 0 and ${criterion.maxPoints}` });
+        }
+        rubricScores.push({ criterion: criterion.criterion, points, comment: entry.comment });
+      }
+      score = rubricScores.reduce((total, entry) => total + entry.points, 0);
+    }
+
+    score = Number(score);
+    if (isNaN(score) || score < 0 || score > assignment.maxScore) {
+      return res.status(400).json({ message: `Score must be between 0 and ${assignment.maxScore}` });
+    }
 
-app.get('/api/students', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'teacher') {
-    return res.status(403).json({ message: 'Access denied' });
+    submission.set({
+      score,
+      rubricScores,
+      feedback,
+      gradedBy: req.user.userId,
+      gradedAt: new Date(),
+      state: returnToStudent ? 'returned' : 'graded',
+      returnedAt: returnToStudent ? new Date() : undefined
+    });
+    await assignment.save();
+    res.json(submission);
+  } catch (error) {
+    console.error('Error grading submission:', error);
+    res.status(500).json({ message: 'Error grading submission' });
   }
+});
 
+// Route to return a graded submission to the student
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/return', authenticateToken, authorize('teacher', ownsAssignmentSubject), async (req, res) => {
+  try {
+    const { assignment } = req;
+    const submission = assignment.submissions.id(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    if (submission.state === 'submitted') {
+      return res.status(400).json({ message: 'Grade the submission before returning it' });
+    }
+
+    submission.set({ state: 'returned', returnedAt: new Date() });
+    await assignment.save();
+    res.json(submission);
+  } catch (error) {
+    console.error('Error returning submission:', error);
+    res.status(500).json({ message: 'Error returning submission' });
+  }
+});
+
+// Update the grades route
+
+app.get('/api/students', authenticateToken, authorize('teacher'), async (req, res) => {
   try {
     const students = await User.find({ role: 'student' }).select('_id name');
     res.json(students);
@@ -490,25 +519,24 @@ app.get('/api/students', authenticateToken, async (req, res) => {
 
 
 // Route to get students for a specific subject
-app.get('/api/students/:subjectId', authenticateToken, async (req, res) => {
+app.get('/api/students/:subjectId', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
   try {
-    const subject = await Subject.findById(req.params.subjectId);
-    if (!subject) {
-      return res.status(404).json({ message: 'Subject not found' });
-    }
+    const { subject } = req;
 
-    const students = await User.find({
-      role: 'student',
-      degree: subject.degree,
-      department: subject.department
-    }).select('_id name');
+    const enrollments = await Enrollment.find({ subject: subject._id, status: 'active' })
+      .populate('student', '_id name');
+    const students = enrollments.map(enrollment => enrollment.student).filter(Boolean);
 
-    // Fetch grades for each student
+    // Fetch grades and attendance for each student
+    const scheme = await GradingScheme.forSubject(subject._id);
+    const attendance = await attendanceSummaries(subject._id, students.map(student => student._id));
     const studentsWithGrades = await Promise.all(students.map(async (student) => {
       const grade = await Grade.findOne({ student: student._id, subject: subject._id });
       return {
         ...student.toObject(),
-        grades: grade ? grade.toObject() : null
+        grades: grade ? grade.toJSON() : null,
+        result: grade ? scheme.computeResult(grade.marks()) : null,
+        attendance: attendance.get(String(student._id))
       };
     }));
 
@@ -519,42 +547,396 @@ app.get('/api/students/:subjectId', authenticateToken, async (req, res) => {
   }
 });
 
-// Route to submit grades
-app.post('/api/grades', authenticateToken, async (req, res) => {
+// Route to get a subject's grading scheme (the default one if the teacher has not defined it)
+app.get('/api/subjects/:subjectId/grading-scheme', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
+  try {
+    const scheme = await GradingScheme.forSubject(req.subject._id);
+    res.json(scheme);
+  } catch (error) {
+    console.error('Error fetching grading scheme:', error);
+    res.status(500).json({ message: 'Error fetching grading scheme' });
+  }
+});
+
+// Route to define a subject's grading scheme
+app.put('/api/subjects/:subjectId/grading-scheme', authenticateToken, authorize('teacher', ownsSubject), permitFields('components', 'letterGrades', 'credits'), async (req, res) => {
   try {
-    const { student, subject, cycleTest1, cycleTest2, assignments } = req.body;
+    const scheme = await GradingScheme.forSubject(req.subject._id);
+    scheme.set({
+      ...req.body,
+      updatedBy: req.user.userId,
+      updatedAt: new Date()
+    });
+
+    const validationError = scheme.validateSync();
+    if (validationError) {
+      return res.status(400).json({ message: 'Invalid grading scheme', errors: Object.values(validationError.errors).map(err => err.message) });
+    }
+    const problems = scheme.validateDefinition();
+    if (problems.length) {
+      return res.status(400).json({ message: 'Invalid grading scheme', errors: problems });
+    }
+
+    // Existing marks must still fit the new scheme
+    const grades = await Grade.find({ subject: req.subject._id });
+    const conflicts = grades.filter(grade => scheme.validateMarks(grade.marks()).some(problem => !problem.startsWith('Unknown component')));
+    if (conflicts.length) {
+      return res.status(409).json({ message: `${conflicts.length} recorded grade(s) exceed the new max marks` });
+    }
+
+    await scheme.save();
+    res.json(scheme);
+  } catch (error) {
+    console.error('Error saving grading scheme:', error);
+    res.status(500).json({ message: 'Error saving grading scheme' });
+  }
+});
+
+// Route to submit grades. Marks are sent as { components: { key: marks } }; top-level
+// keys matching scheme components (e.g. cycleTest1) are accepted for older clients.
+app.post('/api/grades', authenticateToken, authorize('teacher', ownsSubject, targetStudentEnrolled), async (req, res) => {
+  try {
+    const { student, subject, reason } = req.body;
+    const scheme = await GradingScheme.forSubject(subject);
+
+    const marks = {};
+    scheme.components.forEach(component => {
+      if (req.body[component.key] !== undefined) {
+        marks[component.key] = Number(req.body[component.key]);
+      }
+    });
+    Object.entries(req.body.components || {}).forEach(([key, value]) => {
+      marks[key] = Number(value);
+    });
+
+    const problems = scheme.validateMarks(marks);
+    if (problems.length) {
+      return res.status(400).json({ message: 'Invalid marks', errors: problems });
+    }
 
     let grade = await Grade.findOne({ student, subject });
-    if (grade) {
-      grade.cycleTest1 = cycleTest1;
-      grade.cycleTest2 = cycleTest2;
-      grade.assignments = assignments;
-    } else {
-      grade = new Grade({
-        student,
-        subject,
-        cycleTest1,
-        cycleTest2,
-        assignments
-      });
+    const isNew = !grade;
+    if (isNew) {
+      grade = new Grade({ student, subject });
+    }
+    if (grade.locked) {
+      return res.status(423).json({ message: 'Grade is locked. Unlock it before making changes' });
+    }
+
+    const changes = grade.diffMarks(marks);
+
+    if (changes.length && grade.status === 'published' && !reason) {
+      return res.status(400).json({ message: 'A reason is required to change a published grade' });
     }
 
-    await grade.save();
-    res.status(201).json(grade);
+    changes.forEach(change => {
+      grade.components.set(change.component, change.newValue);
+    });
+
+    if (isNew || changes.length) {
+      await grade.save();
+      await GradeAudit.record(grade, req.user.userId, isNew ? 'create' : 'update', { changes, reason });
+    }
+    if (changes.length && grade.status === 'published') {
+      notifyInBackground(notify(grade.student, {
+        type: 'grade-updated',
+        title: `Your marks in ${req.subject.title} were updated`,
+        body: reason,
+        link: `/subjects/${subject}/grades`,
+        data: { subjectId: subject }
+      }));
+    }
+    res.status(201).json({ ...grade.toJSON(), result: scheme.computeResult(grade.marks()) });
   } catch (error) {
     console.error('Error submitting grades:', error);
     res.status(500).json({ message: 'Error submitting grades' });
   }
 });
 
+// Apply a publish/lock/unlock transition to a subject's grades, optionally limited to
+// { students: [ids] }, recording each affected grade in the audit trail
+const transitionGrades = (action) => async (req, res) => {
+  try {
+    const { students, reason } = req.body;
+    if (action === 'unlock' && !reason) {
+      return res.status(400).json({ message: 'A reason is required to unlock grades' });
+    }
+
+    const filter = { subject: req.subject._id };
+    if (Array.isArray(students)) {
+      filter.student = { $in: students.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+    }
+    if (action === 'publish') {
+      filter.status = 'draft';
+    } else if (action === 'lock') {
+      filter.status = 'published';
+      filter.locked = false;
+    } else {
+      filter.locked = true;
+    }
+
+    const grades = await Grade.find(filter);
+    const now = new Date();
+    for (const grade of grades) {
+      if (action === 'publish') {
+        grade.set({ status: 'published', publishedAt: now });
+      } else if (action === 'lock') {
+        grade.set({ locked: true, lockedAt: now });
+      } else {
+        grade.set({ locked: false, lockedAt: undefined });
+      }
+      await grade.save();
+      await GradeAudit.record(grade, req.user.userId, action, { reason });
+    }
+
+    if (action === 'publish' && grades.length) {
+      notifyInBackground(notifyMany(grades.map(grade => grade.student), {
+        type: 'grades-published',
+        title: `Grades published for ${req.subject.title}`,
+        link: `/subjects/${req.subject._id}/grades`,
+        data: { subjectId: req.subject._id }
+      }));
+    }
+
+    res.json({ message: `${grades.length} grade(s) updated`, count: grades.length });
+  } catch (error) {
+    console.error(`Error applying ${action} to grades:`, error);
+    res.status(500).json({ message: `Error applying ${action} to grades` });
+  }
+};
+
+// Routes to publish draft grades to students, and to lock or unlock published grades
+app.post('/api/subjects/:subjectId/grades/publish', authenticateToken, authorize('teacher', ownsSubject), permitFields('students', 'reason'), transitionGrades('publish'));
+app.post('/api/subjects/:subjectId/grades/lock', authenticateToken, authorize('teacher', ownsSubject), permitFields('students', 'reason'), transitionGrades('lock'));
+app.post('/api/subjects/:subjectId/grades/unlock', authenticateToken, authorize('teacher', ownsSubject), permitFields('students', 'reason'), transitionGrades('unlock'));
+
+// Route to download a subject's gradebook as CSV
+app.get('/api/subjects/:subjectId/grades/export', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    const { subject } = req;
+    const scheme = await GradingScheme.forSubject(subject._id);
+    const enrollments = await Enrollment.find({ subject: subject._id, status: 'active' })
+      .populate('student', 'name email');
+    const grades = await Grade.find({ subject: subject._id });
+    const gradesByStudent = new Map(grades.map(grade => [String(grade.student), grade]));
+
+    const componentKeys = scheme.components.map(component => component.key);
+    const rows = [['studentId', 'email', 'name', ...componentKeys, 'total', 'letter', 'status']];
+    enrollments
+      .filter(enrollment => enrollment.student)
+      .sort((a, b) => (a.student.name || '').localeCompare(b.student.name || ''))
+      .forEach(({ student }) => {
+        const grade = gradesByStudent.get(String(student._id));
+        const marks = grade ? grade.marks() : {};
+        const result = grade ? scheme.computeResult(marks) : null;
+        rows.push([
+          student._id,
+          student.email,
+          student.name,
+          ...componentKeys.map(key => marks[key]),
+          result ? result.total : '',
+          result ? result.letter : '',
+          grade ? (grade.locked ? 'locked' : grade.status) : ''
+        ]);
+      });
+
+    const filename = `${subject.title.replace(/[^\w-]+/g, '_')}-grades.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    console.error('Error exporting grades:', error);
+    res.status(500).json({ message: 'Error exporting grades' });
+  }
+});
+
+// Route to import a gradebook CSV in the export format. Students are matched by studentId
+// or email, blank cells are left unchanged. With ?dryRun=true only the diff is returned;
+// otherwise every row is applied in one transaction, or none if any row has errors.
+app.post('/api/subjects/:subjectId/grades/import', authenticateToken, limits.upload, authorize('teacher', ownsSubject), acceptUpload('file', { allowedTypes: null }), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { subject } = req;
+    const { reason } = req.body;
+    const dryRun = req.query.dryRun === 'true';
+    const records = parseCsvRecords(req.file.buffer.toString('utf8'));
+    if (!records.length) {
+      return res.status(400).json({ message: 'The file has no grade rows' });
+    }
+    if (!('studentId' in records[0]) && !('email' in records[0])) {
+      return res.status(400).json({ message: 'The file needs a studentId or email column' });
+    }
+
+    const scheme = await GradingScheme.forSubject(subject._id);
+    const componentKeys = scheme.components.map(component => component.key).filter(key => key in records[0]);
+
+    const enrollments = await Enrollment.find({ subject: subject._id, status: 'active' })
+      .populate('student', 'name email');
+    const studentsById = new Map();
+    const studentsByEmail = new Map();
+    enrollments.filter(enrollment => enrollment.student).forEach(({ student }) => {
+      studentsById.set(String(student._id), student);
+      studentsByEmail.set(student.email.toLowerCase(), student);
+    });
+
+    const grades = await Grade.find({ subject: subject._id });
+    const gradesByStudent = new Map(grades.map(grade => [String(grade.student), grade]));
+
+    const rows = [];
+    const errors = [];
+    const seenStudents = new Set();
+
+    records.forEach((record, index) => {
+      const rowNumber = index + 2; // the header is row 1
+      const rowErrors = [];
+      const student = record.studentId
+        ? studentsById.get(record.studentId)
+        : studentsByEmail.get((record.email || '').toLowerCase());
+
+      if (!student) {
+        errors.push({ row: rowNumber, message: `No enrolled student matches ${record.studentId || record.email || 'an empty row'}` });
+        return;
+      }
+      if (seenStudents.has(String(student._id))) {
+        errors.push({ row: rowNumber, message: `${student.email} appears more than once` });
+        return;
+      }
+      seenStudents.add(String(student._id));
+
+      const marks = {};
+      componentKeys.forEach(key => {
+        if (record[key] === '') return;
+        const value = Number(record[key]);
+        marks[key] = isNaN(value) ? record[key] : value;
+      });
+      scheme.validateMarks(marks).forEach(message => rowErrors.push(message));
+
+      const grade = gradesByStudent.get(String(student._id));
+      const changes = rowErrors.length ? [] : (grade ? grade.diffMarks(marks) : Object.entries(marks)
+        .map(([key, value]) => ({ component: key, oldValue: undefined, newValue: value })));
+
+      if (grade && grade.locked && changes.length) {
+        rowErrors.push('Grade is locked');
+      }
+      if (grade && grade.status === 'published' && changes.length && !reason) {
+        rowErrors.push('A reason is required to change a published grade');
+      }
+
+      rowErrors.forEach(message => errors.push({ row: rowNumber, message }));
+      rows.push({
+        row: rowNumber,
+        student: { _id: student._id, email: student.email, name: student.name },
+        action: !changes.length ? 'unchanged' : (grade ? 'update' : 'create'),
+        changes,
+        marks
+      });
+    });
+
+    const summary = {
+      dryRun,
+      created: rows.filter(row => row.action === 'create').length,
+      updated: rows.filter(row => row.action === 'update').length,
+      unchanged: rows.filter(row => row.action === 'unchanged').length,
+      rows: rows.map(({ marks, ...row }) => row),
+      errors
+    };
+
+    if (dryRun) {
+      return res.json(summary);
+    }
+    if (errors.length) {
+      return res.status(400).json({ message: 'Import has errors; no grades were changed', ...summary });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        for (const row of rows.filter(item => item.action !== 'unchanged')) {
+          const grade = gradesByStudent.get(String(row.student._id)) ||
+            new Grade({ student: row.student._id, subject: subject._id });
+          row.changes.forEach(change => {
+            grade.components.set(change.component, change.newValue);
+          });
+          await grade.save({ session });
+          await GradeAudit.record(grade, req.user.userId, row.action, { changes: row.changes, reason, session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error importing grades:', error);
+    res.status(500).json({ message: 'Error importing grades' });
+  }
+});
+
+// Route to get the audit trail of a subject's grades, optionally for one ?student=
+app.get('/api/subjects/:subjectId/grades/audit', authenticateToken, authorize('teacher', ownsSubject), async (req, res) => {
+  try {
+    const filter = { subject: req.subject._id };
+    if (req.query.student) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.student)) {
+        return res.status(400).json({ message: 'Invalid student' });
+      }
+      filter.student = req.query.student;
+    }
+    const entries = await GradeAudit.find(filter)
+      .populate('actor', 'name role')
+      .populate('student', 'name')
+      .sort('-createdAt');
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching grade audit trail:', error);
+    res.status(500).json({ message: 'Error fetching grade audit trail' });
+  }
+});
+
+// Route to get a student's results across subjects with their CGPA
+app.get('/api/grades/summary', authenticateToken, authorize('student'), async (req, res) => {
+  try {
+    const grades = await Grade.find({ student: req.user.userId, status: 'published' }).populate('subject', 'title');
+    const subjects = [];
+    let weightedPoints = 0;
+    let totalCredits = 0;
+
+    for (const grade of grades) {
+      if (!grade.subject) continue;
+      const scheme = await GradingScheme.forSubject(grade.subject._id);
+      const result = scheme.computeResult(grade.marks());
+      subjects.push({ subject: grade.subject, ...result });
+      weightedPoints += result.gradePoints * result.credits;
+      totalCredits += result.credits;
+    }
+
+    res.json({
+      subjects,
+      totalCredits,
+      cgpa: totalCredits ? Math.round((weightedPoints / totalCredits) * 100) / 100 : null
+    });
+  } catch (error) {
+    console.error('Error computing grade summary:', error);
+    res.status(500).json({ message: 'Error computing grade summary' });
+  }
+});
+
 // Route to get grades for a student
-app.get('/api/grades/:subjectId', authenticateToken, async (req, res) => {
+app.get('/api/grades/:subjectId', authenticateToken, authorize(enrolledInSubject), async (req, res) => {
   try {
     const grades = await Grade.find({
       student: req.user.userId,
-      subject: req.params.subjectId
+      subject: req.params.subjectId,
+      status: 'published'
     }).populate('subject', 'title');
-    res.json(grades);
+    const scheme = await GradingScheme.forSubject(req.params.subjectId);
+    res.json(grades.map(grade => ({
+      ...grade.toJSON(),
+      result: scheme.computeResult(grade.marks())
+    })));
   } catch (error) {
     console.error('Error fetching grades:', error);
     res.status(500).json({ message: 'Error fetching grades' });
@@ -565,12 +947,11 @@ app.get('/api/grades/:subjectId', authenticateToken, async (req, res) => {
 // Route to get subjects for a user
 app.get('/api/subjects', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
     let subjects;
-    if (user.role === 'teacher') {
-      subjects = await Subject.find({ creator: user._id });
+    if (req.user.role === 'teacher') {
+      subjects = await Subject.find({ creator: req.user.userId });
     } else {
-      subjects = await Subject.find({ degree: user.degree, department: user.department });
+      subjects = await findEnrolledSubjects(req.user.userId);
     }
     res.json(subjects);
   } catch (error) {
@@ -579,39 +960,8 @@ app.get('/api/subjects', authenticateToken, async (req, res) => {
   }
 });
 
-// Route to get messages for a subject
-app.get('/api/messages/:subjectId', authenticateToken, async (req, res) => {
-  try {
-    const messages = await Message.find({ subject: req.params.subjectId })
-      .populate('sender', 'name role')
-      .sort('createdAt');
-    res.json(messages);
-  } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ message: 'Error fetching messages' });
-  }
-});
-
-// Route to post a new message
-app.post('/api/messages', authenticateToken, async (req, res) => {
-  try {
-    const { text, subjectId } = req.body;
-    const message = new Message({
-      text,
-      sender: req.user.userId,
-      subject: subjectId,
-    });
-    await message.save();
-    const populatedMessage = await Message.findById(message._id).populate('sender', 'name role');
-    res.status(201).json(populatedMessage);
-  } catch (error) {
-    console.error('Error posting message:', error);
-    res.status(500).json({ message: 'Error posting message' });
-  }
-});
-
-// Route to get alumni messages
-app.get('/api/alumni-messages', authenticateToken, async (req, res) => {
+// Route to get alumni messages; the alumni board is for alumni only
+app.get('/api/alumni-messages', authenticateToken, authorize('alumni'), async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     const messages = await AlumniMessage.find({ degree: user.degree, department: user.department })
@@ -625,7 +975,7 @@ app.get('/api/alumni-messages', authenticateToken, async (req, res) => {
 });
 
 // Route to post a new alumni message
-app.post('/api/alumni-messages', authenticateToken, async (req, res) => {
+app.post('/api/alumni-messages', authenticateToken, authorize('alumni'), limits.message, permitFields('text'), async (req, res) => {
   try {
     const { text } = req.body;
     const user = await User.findById(req.user.userId);
@@ -644,26 +994,70 @@ app.post('/api/alumni-messages', authenticateToken, async (req, res) => {
   }
 });
 
-// Fetch all calendar entries
+// Fetch all calendar entries. With ?from=&to= (YYYY-MM-DD) recurring entries are
+// expanded into one item per occurrence in that range.
 app.get('/api/academic-calendar', authenticateToken, async (req, res) => {
   try {
-    const entries = await AcademicCalendar.find();
-    res.json(entries);
+    const filter = {};
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+    const entries = await AcademicCalendar.find(filter).sort('startDate');
+    if (!req.query.from && !req.query.to) {
+      return res.json(entries);
+    }
+
+    const from = AcademicCalendar.parseDay(req.query.from);
+    const to = AcademicCalendar.parseDay(req.query.to);
+    if (!from || !to || to < from) {
+      return res.status(400).json({ message: 'Provide a valid from and to date (YYYY-MM-DD)' });
+    }
+    if (!AcademicCalendar.isExpandableRange(from, to)) {
+      return res.status(400).json({ message: `The range can span at most ${AcademicCalendar.MAX_RANGE_DAYS} days` });
+    }
+
+    const occurrences = [];
+    entries.filter(entry => entry.startDate).forEach(entry => {
+      entry.occurrencesBetween(from, to).forEach(({ startDate, endDate }) => {
+        occurrences.push({
+          ...entry.toJSON(),
+          startDate,
+          endDate,
+          date: startDate.toISOString().slice(0, 10),
+          day: startDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+        });
+      });
+    });
+    occurrences.sort((a, b) => a.startDate - b.startDate);
+    res.json(occurrences);
   } catch (error) {
     console.error('Error fetching calendar entries:', error);
     res.status(500).json({ message: 'Error fetching calendar entries' });
   }
 });
 
-// Add a new calendar entry
-app.post('/api/academic-calendar', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'teacher') {
-    return res.status(403).json({ message: 'Access denied' });
-  }
+// Tell every user the academic calendar changed
+const notifyCalendarChange = (title, body, actorId) => {
+  notifyInBackground(User.find().distinct('_id').then(userIds => notifyMany(userIds, {
+    type: 'calendar-updated',
+    title,
+    body,
+    link: '/academic-calendar'
+  }, { exclude: actorId })));
+};
+
+const calendarFields = ['uid', 'description', 'date', 'startDate', 'endDate', 'category', 'recurrence'];
 
+// Add a new calendar entry
+app.post('/api/academic-calendar', authenticateToken, authorize('teacher'), permitFields(...calendarFields), async (req, res) => {
   try {
-    const newEntry = new AcademicCalendar(req.body);
+    const { value, errors } = AcademicCalendar.fromInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid calendar entry', errors });
+    }
+    const newEntry = new AcademicCalendar(value);
     await newEntry.save();
+    notifyCalendarChange('Academic calendar updated', `Added: ${newEntry.description} on ${newEntry.date}`, req.user.userId);
     res.status(201).json(newEntry);
   } catch (error) {
     console.error('Error adding calendar entry:', error);
@@ -672,17 +1066,29 @@ app.post('/api/academic-calendar', authenticateToken, async (req, res) => {
 });
 
 // Update a specific calendar entry
-app.put('/api/academic-calendar/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'teacher') {
-    return res.status(403).json({ message: 'Access denied' });
-  }
-
+app.put('/api/academic-calendar/:id', authenticateToken, authorize('teacher'), permitFields(...calendarFields), async (req, res) => {
   try {
-    const updatedEntry = await AcademicCalendar.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updatedEntry) {
+    const entry = await AcademicCalendar.findById(req.params.id);
+    if (!entry) {
       return res.status(404).json({ message: 'Calendar entry not found' });
     }
-    res.json(updatedEntry);
+
+    const current = entry.toObject({ virtuals: false });
+    const input = { ...current, ...req.body };
+    // A new start date without an end date makes a single-day entry
+    if (req.body.date || req.body.startDate) {
+      input.startDate = req.body.startDate || req.body.date;
+      input.endDate = req.body.endDate;
+    }
+    const { value, errors } = AcademicCalendar.fromInput(input);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid calendar entry', errors });
+    }
+
+    entry.set(value);
+    await entry.save();
+    notifyCalendarChange('Academic calendar updated', `Changed: ${entry.description} on ${entry.date}`, req.user.userId);
+    res.json(entry);
   } catch (error) {
     console.error('Error updating calendar entry:', error);
     res.status(500).json({ message: 'Error updating calendar entry' });
@@ -690,16 +1096,13 @@ app.put('/api/academic-calendar/:id', authenticateToken, async (req, res) => {
 });
 
 // Remove a specific calendar entry
-app.delete('/api/academic-calendar/:id', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'teacher') {
-    return res.status(403).json({ message: 'Access denied' });
-  }
-
+app.delete('/api/academic-calendar/:id', authenticateToken, authorize('teacher'), async (req, res) => {
   try {
     const deletedEntry = await AcademicCalendar.findByIdAndDelete(req.params.id);
     if (!deletedEntry) {
       return res.status(404).json({ message: 'Calendar entry not found' });
     }
+    notifyCalendarChange('Academic calendar updated', `Removed: ${deletedEntry.description}`, req.user.userId);
     res.json({ message: 'Calendar entry deleted successfully' });
   } catch (error) {
     console.error('Error deleting calendar entry:', error);
@@ -707,50 +1110,157 @@ app.delete('/api/academic-calendar/:id', authenticateToken, async (req, res) =>
   }
 });
 
-app.post('/api/academic-calendar/upload', authenticateToken, upload.single('file'), async (req, res) => {
-  if (req.user.role !== 'teacher') {
-    return res.status(403).json({ message: 'Access denied' });
-  }
-
+// Import calendar entries from a JSON array or a CSV file. Rows are merged into the
+// existing calendar, matched by uid or else by description and start date. Nothing is
+// written if any row is invalid; errors are reported per row.
+app.post('/api/academic-calendar/upload', authenticateToken, limits.upload, authorize('teacher'), acceptUpload('file', { allowedTypes: null }), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const fileContent = fs.readFileSync(req.file.path, 'utf8');
+    const fileContent = req.file.buffer.toString('utf8');
+    const isCsv = req.file.mimetype === 'text/csv' || path.extname(req.file.originalname).toLowerCase() === '.csv';
     let calendarData;
-    try {
-      calendarData = JSON.parse(fileContent);
-    } catch (parseError) {
-      return res.status(400).json({ message: 'Invalid JSON file' });
+    if (isCsv) {
+      calendarData = parseCsvRecords(fileContent);
+    } else {
+      try {
+        calendarData = JSON.parse(fileContent);
+      } catch (parseError) {
+        return res.status(400).json({ message: 'Invalid JSON file' });
+      }
+      if (!Array.isArray(calendarData)) {
+        return res.status(400).json({ message: 'The file must contain an array of calendar entries' });
+      }
     }
 
-    // Validate and format dates
-    calendarData = calendarData.map(entry => {
-      const [day, month, year] = entry.date.split('.');
-      const formattedDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-      return {
-        ...entry,
-        date: formattedDate
-      };
+    const errors = [];
+    const operations = [];
+    const seenKeys = new Set();
+    calendarData.forEach((row, index) => {
+      // JSON rows are numbered from 1, CSV rows count the header as row 1
+      const rowNumber = isCsv ? index + 2 : index + 1;
+      const { value, errors: rowErrors } = AcademicCalendar.fromInput(row || {});
+      if (rowErrors.length) {
+        rowErrors.forEach(message => errors.push({ row: rowNumber, message }));
+        return;
+      }
+
+      const key = value.uid || `${value.description}|${value.startDate.toISOString()}`;
+      if (seenKeys.has(key)) {
+        errors.push({ row: rowNumber, message: 'Duplicate entry in file' });
+        return;
+      }
+      seenKeys.add(key);
+
+      const match = value.uid ? { uid: value.uid } : { description: value.description, startDate: value.startDate };
+      operations.push({ updateOne: { filter: match, update: { $set: value }, upsert: true } });
     });
 
-    await AcademicCalendar.deleteMany({});
-    const newEntries = await AcademicCalendar.insertMany(calendarData);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Calendar file has errors; nothing was imported', errors });
+    }
+    if (!operations.length) {
+      return res.status(400).json({ message: 'The file has no calendar entries' });
+    }
 
-    res.status(201).json(newEntries);
+    const result = await AcademicCalendar.bulkWrite(operations);
+    if (result.upsertedCount || result.modifiedCount) {
+      notifyCalendarChange('Academic calendar updated', `${result.upsertedCount} entries added and ${result.modifiedCount} changed`, req.user.userId);
+    }
+    res.status(201).json({
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+      unchanged: operations.length - result.upsertedCount - result.modifiedCount,
+      errors
+    });
   } catch (error) {
     console.error('Error uploading calendar:', error);
     res.status(500).json({ message: 'Error uploading calendar', error: error.message });
-  } finally {
-    if (req.file) {
-      fs.unlinkSync(req.file.path); 
+  }
+});
+
+// Get the current user's subscribable calendar feed URL, creating its token if needed
+app.get('/api/academic-calendar/feed-url', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+calendarFeedToken');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.calendarFeedToken) {
+      user.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+    res.json({ url: `${req.protocol}://${req.get('host')}/api/academic-calendar/feed/${user.calendarFeedToken}.ics` });
+  } catch (error) {
+    console.error('Error fetching calendar feed URL:', error);
+    res.status(500).json({ message: 'Error fetching calendar feed URL' });
+  }
+});
+
+// Replace the feed token, so previously shared feed URLs stop working
+app.post('/api/academic-calendar/feed-url/reset', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user.userId }, { calendarFeedToken: token });
+    res.json({ url: `${req.protocol}://${req.get('host')}/api/academic-calendar/feed/${token}.ics` });
+  } catch (error) {
+    console.error('Error resetting calendar feed URL:', error);
+    res.status(500).json({ message: 'Error resetting calendar feed URL' });
+  }
+});
+
+// iCalendar feed of the academic calendar and the user's assignment due dates.
+// Calendar apps cannot send an Authorization header, so the token in the URL authenticates.
+app.get('/api/academic-calendar/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
     }
+
+    const subjects = user.role === 'teacher'
+      ? await Subject.find({ creator: user._id })
+      : await findEnrolledSubjects(user._id);
+    const subjectTitles = new Map(subjects.map(subject => [String(subject._id), subject.title]));
+    const assignments = await Assignment.find({ subject: { $in: subjects.map(subject => subject._id) } })
+      .select('title description dueDate subject');
+    const entries = await AcademicCalendar.find({ startDate: { $exists: true } });
+
+    const host = req.hostname;
+    const events = [
+      ...entries.map(entry => ({
+        uid: `calendar-${entry._id}@${host}`,
+        summary: entry.description,
+        start: entry.startDate,
+        end: entry.endDate,
+        allDay: true,
+        categories: entry.category,
+        rrule: recurrenceRule(entry.recurrence)
+      })),
+      ...assignments.map(assignment => ({
+        uid: `assignment-${assignment._id}@${host}`,
+        summary: `${subjectTitles.get(String(assignment.subject))}: ${assignment.title} due`,
+        description: assignment.description,
+        start: assignment.dueDate,
+        end: assignment.dueDate,
+        allDay: false,
+        categories: 'assignment'
+      }))
+    ];
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.send(buildCalendar(`${user.name} - Student Diary`, events));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Error building calendar feed' });
   }
 });
 
 // Task routes
-app.post('/api/tasks', authenticateToken, async (req, res) => {
+app.post('/api/tasks', authenticateToken, permitFields('text', 'category', 'priority', 'dueDate'), async (req, res) => {
   try {
     const { text, category, priority, dueDate } = req.body;
     const task = new Task({
@@ -778,7 +1288,32 @@ app.get('/api/tasks', authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/tasks/:taskId', authenticateToken, async (req, res) => {
+// Notification check endpoint
+app.get('/api/tasks/check-deadlines', authenticateToken, async (req, res) => {
+  try {
+    const now = new Date();
+    const oneDayFromNow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    
+    const tasks = await Task.find({
+      creator: req.user.userId,
+      completed: false,
+      notificationSent: false,
+      dueDate: { $gt: now, $lt: oneDayFromNow }
+    });
+    
+    await Task.updateMany(
+      { _id: { $in: tasks.map(task => task._id) } },
+      { notificationSent: true }
+    );
+    
+    res.json(tasks);
+  } catch (error) {
+    console.error('Error checking deadlines:', error);
+    res.status(500).json({ message: 'Error checking deadlines' });
+  }
+});
+
+app.put('/api/tasks/:taskId', authenticateToken, permitFields('text', 'category', 'priority', 'dueDate', 'completed'), async (req, res) => {
   try {
     const task = await Task.findOneAndUpdate(
       { _id: req.params.taskId, creator: req.user.userId },
@@ -811,32 +1346,194 @@ app.delete('/api/tasks/:taskId', authenticateToken, async (req, res) => {
   }
 });
 
-// Notification check endpoint
-app.get('/api/tasks/check-deadlines', authenticateToken, async (req, res) => {
-  try {
-    const now = new Date();
-    const oneDayFromNow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-    
-    const tasks = await Task.find({
-      creator: req.user.userId,
-      completed: false,
-      notificationSent: false,
-      dueDate: { $gt: now, $lt: oneDayFromNow }
-    });
-    
-    await Task.updateMany(
-      { _id: { $in: tasks.map(task => task._id) } },
-      { notificationSent: true }
-    );
-    
-    res.json(tasks);
-  } catch (error) {
-    console.error('Error checking deadlines:', error);
-    res.status(500).json({ message: 'Error checking deadlines' });
+// Socket.io: real-time subject chat
+
+// subjectId -> Map(userId -> number of open sockets)
+const subjectPresence = new Map();
+
+const getOnlineUsers = (subjectId) => {
+  const users = subjectPresence.get(String(subjectId));
+  return users ? Array.from(users.keys()) : [];
+};
+
+const addPresence = (subjectId, userId) => {
+  const key = String(subjectId);
+  if (!subjectPresence.has(key)) {
+    subjectPresence.set(key, new Map());
+  }
+  const users = subjectPresence.get(key);
+  users.set(userId, (users.get(userId) || 0) + 1);
+};
+
+const removePresence = (subjectId, userId) => {
+  const key = String(subjectId);
+  const users = subjectPresence.get(key);
+  if (!users || !users.has(userId)) return;
+  const count = users.get(userId) - 1;
+  if (count > 0) {
+    users.set(userId, count);
+  } else {
+    users.delete(userId);
+  }
+  if (users.size === 0) {
+    subjectPresence.delete(key);
   }
+};
+
+const emitPresence = (subjectId) => {
+  io.to(subjectRoom(subjectId)).emit('presence', {
+    subjectId: String(subjectId),
+    users: getOnlineUsers(subjectId),
+  });
+};
+
+// Authenticate sockets with the same JWT used by authenticateToken
+io.use((socket, next) => {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+    (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) return next(new Error('No token provided'));
+
+  verifyAccessToken(token)
+    .then((user) => {
+      socket.user = user;
+      next();
+    })
+    .catch(() => next(new Error('Invalid or expired token')));
 });
 
+// Socket payloads come straight from the client: acks may be missing or not functions,
+// and event data may be null or a primitive
+const ackFor = (ack) => (typeof ack === 'function' ? ack : () => {});
+const isPayload = (data) => data !== null && typeof data === 'object';
+
+io.on('connection', (socket) => {
+  const userId = String(socket.user.userId);
+  const joinedSubjects = new Set();
+
+  // Personal rooms so logout can disconnect a user's or a session's sockets
+  socket.join(`user:${userId}`);
+  if (socket.user.sessionId) {
+    socket.join(`session:${socket.user.sessionId}`);
+  }
+
+  socket.on('joinSubject', async (subjectId, callback) => {
+    const ack = ackFor(callback);
+    try {
+      if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+        return ack({ error: 'Invalid subject' });
+      }
+      const subject = await Subject.findById(subjectId);
+      if (!subject) {
+        return ack({ error: 'Subject not found' });
+      }
+      if (!(await canAccessSubject(socket.user, subject))) {
+        return ack({ error: 'Access denied' });
+      }
+      const key = String(subject._id);
+      if (!joinedSubjects.has(key)) {
+        joinedSubjects.add(key);
+        socket.join(subjectRoom(key));
+        addPresence(key, userId);
+        emitPresence(key);
+      }
+      ack({ ok: true, users: getOnlineUsers(key) });
+    } catch (error) {
+      console.error('Error joining subject room:', error);
+      ack({ error: 'Error joining subject' });
+    }
+  });
+
+  socket.on('leaveSubject', (subjectId, callback) => {
+    const ack = ackFor(callback);
+    try {
+      const key = String(subjectId);
+      if (joinedSubjects.delete(key)) {
+        socket.leave(subjectRoom(key));
+        removePresence(key, userId);
+        emitPresence(key);
+      }
+      ack({ ok: true });
+    } catch (error) {
+      console.error('Error leaving subject room:', error);
+      ack({ error: 'Error leaving subject' });
+    }
+  });
+
+  socket.on('typing', (data) => {
+    try {
+      if (!isPayload(data)) return;
+      const key = String(data.subjectId);
+      if (!joinedSubjects.has(key)) return;
+      socket.to(subjectRoom(key)).emit('typing', {
+        subjectId: key,
+        userId,
+        isTyping: Boolean(data.isTyping),
+      });
+    } catch (error) {
+      console.error('Error relaying typing event:', error);
+    }
+  });
+
+  // Send messages posted since the given timestamp, used after a reconnect. At most
+  // `limit` (up to 100) are sent, oldest first; while nextCursor is set, ask again
+  // with { after: nextCursor } for the rest.
+  socket.on('catchUp', async (data, callback) => {
+    const ack = ackFor(callback);
+    try {
+      if (!isPayload(data)) {
+        return ack({ error: 'Invalid request' });
+      }
+      const { subjectId, since, after } = data;
+      const key = String(subjectId);
+      if (!joinedSubjects.has(key)) {
+        return ack({ error: 'Join the subject before catching up' });
+      }
+      const sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        return ack({ error: 'Invalid timestamp' });
+      }
+      const limit = pageLimit(data.limit, 50, 100);
+      const filter = { subject: key, createdAt: { $gt: sinceDate } };
+      if (after !== undefined && after !== null) {
+        const cursor = mongoose.Types.ObjectId.isValid(after) && await Message.findOne({ _id: after, subject: key });
+        if (!cursor) {
+          return ack({ error: 'Invalid cursor' });
+        }
+        filter.$or = [
+          { createdAt: { $gt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $gt: cursor._id } },
+        ];
+      }
+      const subject = await Subject.findById(key).select('creator');
+      const messages = await Message.find(filter)
+        .populate('sender', 'name role')
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(limit + 1);
+      const hasMore = messages.length > limit;
+      const page = messages.slice(0, limit);
+      const teacher = Boolean(subject) && String(subject.creator) === userId;
+      ack({
+        ok: true,
+        messages: page.map(message => message.viewFor(userId, teacher)),
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      });
+    } catch (error) {
+      console.error('Error fetching missed messages:', error);
+      ack({ error: 'Error fetching messages' });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    joinedSubjects.forEach((key) => {
+      removePresence(key, userId);
+      emitPresence(key);
+    });
+    joinedSubjects.clear();
+  });
+});
 
 // Start the server
 const port = process.env.PORT || 5000;
-app.listen(port, () => console.log(`Server running on port ${port}`));
+server.listen(port, () => console.log(`Server running on port ${port}`));
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const ClassSession = require('../models/ClassSession');
+const Attendance = require('../models/Attendance');
+const Enrollment = require('../models/Enrollment');
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { notify, notifyInBackground } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Students below this attendance percentage are warned
+const alertPercent = () => Number(process.env.ATTENDANCE_ALERT_PERCENT) || 75;
+
+// Check-in codes avoid characters that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const generateCheckInCode = () => Array.from({ length: 6 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+/**
+ * Calendar entries touching each UTC day in [from, to], as a Map of
+ * 'YYYY-MM-DD' -> [entry], for linking sessions and skipping holidays.
+ */
+const calendarDays = async (from, to) => {
+  const entries = await AcademicCalendar.find({ startDate: { $lte: to } });
+  const days = new Map();
+  entries.forEach(entry => {
+    entry.occurrencesBetween(from, to).forEach(occurrence => {
+      // Only the days inside the range, however long the entry runs
+      const first = Math.max(occurrence.startDate.getTime(), from.getTime());
+      const last = Math.min(occurrence.endDate.getTime(), to.getTime());
+      for (let day = first; day <= last; day += DAY_MS) {
+        const key = new Date(day).toISOString().slice(0, 10);
+        days.set(key, (days.get(key) || []).concat(entry));
+      }
+    });
+  });
+  return days;
+};
+
+// The day's holiday entry, if any, and the entry a session on that day is linked to
+const calendarContext = (days, date) => {
+  const entries = days.get(date.toISOString().slice(0, 10)) || [];
+  return {
+    holiday: entries.find(entry => entry.category === 'holiday'),
+    entry: entries.find(entry => entry.category !== 'holiday') || entries[0],
+  };
+};
+
+/**
+ * Attendance per student in a subject: { held, present, late, absent, excused, percentage }.
+ * Only past sessions whose attendance was taken count; a student without a record
+ * for such a session was absent. Sessions from before a student enrolled only count
+ * when they have a record for them. Excused sessions are left out of the percentage.
+ */
+const attendanceSummaries = async (subjectId, studentIds, now = new Date()) => {
+  const sessions = await ClassSession.find({ subject: subjectId, status: 'scheduled', startsAt: { $lte: now } }).select('_id startsAt');
+  const records = await Attendance.find({ session: { $in: sessions.map(session => session._id) } })
+    .select('session student status');
+  const taken = new Set(records.map(record => String(record.session)));
+  const enrollments = await Enrollment.find({ subject: subjectId, student: { $in: studentIds } })
+    .select('student approvedAt requestedAt');
+  const joinedAt = new Map(enrollments.map(enrollment => [
+    String(enrollment.student),
+    enrollment.approvedAt || enrollment.requestedAt,
+  ]));
+
+  // Sessions counted for each student: those held since they joined, plus any they have a record for
+  const heldBy = new Map(studentIds.map(id => {
+    const joined = joinedAt.get(String(id));
+    const held = sessions.filter(session => taken.has(String(session._id)) && (!joined || session.startsAt >= joined));
+    return [String(id), new Set(held.map(session => String(session._id)))];
+  }));
+  records.forEach(record => {
+    const held = heldBy.get(String(record.student));
+    if (held) held.add(String(record.session));
+  });
+
+  const summaries = new Map();
+  heldBy.forEach((held, id) => {
+    summaries.set(id, { held: held.size, present: 0, late: 0, absent: 0, excused: 0, percentage: null });
+  });
+  records.forEach(record => {
+    const summary = summaries.get(String(record.student));
+    if (summary) summary[record.status]++;
+  });
+  summaries.forEach(summary => {
+    summary.absent = summary.held - summary.present - summary.late - summary.excused;
+    const counted = summary.held - summary.excused;
+    summary.percentage = counted > 0 ? Math.round(((summary.present + summary.late) / counted) * 1000) / 10 : null;
+  });
+  return summaries;
+};
+
+/**
+ * Warn students whose attendance in the subject dropped below the alert percentage.
+ * Each student is warned once until their attendance recovers.
+ */
+const checkLowAttendance = async (subject, studentIds) => {
+  const threshold = alertPercent();
+  const summaries = await attendanceSummaries(subject._id, studentIds);
+  const enrollments = await Enrollment.find({ subject: subject._id, student: { $in: studentIds }, status: 'active' });
+
+  for (const enrollment of enrollments) {
+    const summary = summaries.get(String(enrollment.student));
+    if (!summary || summary.percentage === null) continue;
+    if (summary.percentage < threshold && !enrollment.lowAttendanceAlertedAt) {
+      enrollment.lowAttendanceAlertedAt = new Date();
+      await enrollment.save();
+      notifyInBackground(notify(enrollment.student, {
+        type: 'attendance-low',
+        title: `Your attendance in ${subject.title} is ${summary.percentage}%`,
+        body: `Attendance below ${threshold}% may affect your eligibility. You have attended ${summary.present + summary.late} of ${summary.held - summary.excused} sessions.`,
+        link: `/subjects/${subject._id}/attendance`,
+        data: { subjectId: subject._id, percentage: summary.percentage }
+      }));
+    } else if (summary.percentage >= threshold && enrollment.lowAttendanceAlertedAt) {
+      enrollment.lowAttendanceAlertedAt = undefined;
+      await enrollment.save();
+    }
+  }
+};
+
+module.exports = {
+  alertPercent,
+  generateCheckInCode,
+  calendarDays,
+  calendarContext,
+  attendanceSummaries,
+  checkLowAttendance,
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('../middleware/auth');
+const { sendMail } = require('./mailer');
+
+// How long emailed links stay valid
+const TOKEN_TTL_MS = {
+  'verify-email': (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000,
+  'reset-password': (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+};
+
+const frontendUrl = (path, token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}?token=${token}`;
+
+/**
+ * Create a token for the user, replacing any unused one for the same purpose so
+ * only the latest emailed link works. Returns the plain token.
+ */
+const issueToken = async (user, purpose, now = new Date()) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+};
+
+// Use up a token. Returns the user id it was issued to, or null when it is unknown, used or expired.
+const consumeToken = async (token, purpose, now = new Date()) => {
+  if (!token || typeof token !== 'string') return null;
+  const record = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  return record ? record.user : null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, 'verify-email');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address for Student Diary by opening this link:\n\n${frontendUrl('/verify-email', token)}\n\nThe link expires in ${Math.round(TOKEN_TTL_MS['verify-email'] / 3600000)} hours.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, 'reset-password');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your Student Diary password. If it was you, choose a new one here:\n\n${frontendUrl('/reset-password', token)}\n\nThe link expires in ${Math.round(TOKEN_TTL_MS['reset-password'] / 60000)} minutes. If you did not ask for this, you can ignore this email.`,
+  });
+};
+
+module.exports = { issueToken, consumeToken, sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,95 @@
+const Subject = require('../models/Subject');
+const ContentVersion = require('../models/ContentVersion');
+const { httpError } = require('../middleware/authorize');
+const { diffUnits, summarizeDiff } = require('../utils/diff');
+
+// Plain copy of a units array, as stored in version snapshots
+const snapshotUnits = (units) => JSON.parse(JSON.stringify(units || []));
+
+const conflict = (currentVersion) => {
+  const error = httpError(409, 'The content was changed by someone else. Reload and try again');
+  error.currentVersion = currentVersion;
+  return error;
+};
+
+/**
+ * Apply `mutate(subject)` to a loaded subject's units and save them as the next
+ * content version, provided the stored version still equals `expected`. A snapshot
+ * with a summary of the changes is kept for history, diff and restore. Throws a
+ * 409 httpError (with currentVersion) on a concurrent edit; returns
+ * { result, version } where result is whatever `mutate` returned.
+ */
+const commitContent = async (subject, expected, { author, action, restoredFrom }, mutate) => {
+  if (subject.contentVersion !== expected) throw conflict(subject.contentVersion);
+
+  const before = snapshotUnits(subject.units);
+  const result = await mutate(subject);
+  const after = snapshotUnits(subject.units);
+
+  const changes = { units: subject.units.toObject(), contentUpdatedAt: new Date(), contentUpdatedBy: author };
+  const update = await Subject.updateOne(
+    { _id: subject._id, contentVersion: expected },
+    { $set: changes, $inc: { contentVersion: 1 } }
+  );
+  if (!update.matchedCount) {
+    const current = await Subject.findById(subject._id).select('contentVersion');
+    throw conflict(current && current.contentVersion);
+  }
+  subject.set({ contentUpdatedAt: changes.contentUpdatedAt, contentUpdatedBy: author, contentVersion: expected + 1 });
+
+  try {
+    // Subjects edited before history was kept get their prior state as a baseline
+    await ContentVersion.updateOne(
+      { subject: subject._id, version: expected },
+      { $setOnInsert: { units: before, action: 'baseline', createdAt: changes.contentUpdatedAt } },
+      { upsert: true }
+    );
+    await ContentVersion.create({
+      subject: subject._id,
+      version: expected + 1,
+      units: after,
+      action,
+      summary: summarizeDiff(diffUnits(before, after)),
+      author,
+      restoredFrom,
+    });
+  } catch (error) {
+    // The content is saved; a missing history entry should not fail the edit
+    console.error('Error recording content version:', error);
+  }
+
+  return { result, version: expected + 1 };
+};
+
+// Units of a subject at a version: the live units for the current version, else the snapshot
+const unitsAt = async (subject, version) => {
+  if (version === subject.contentVersion) return snapshotUnits(subject.units);
+  const snapshot = await ContentVersion.findOne({ subject: subject._id, version });
+  return snapshot ? snapshot.units : null;
+};
+
+// Publish draft sections whose scheduled time has passed, one content version per subject
+const publishScheduledSections = async (now = new Date()) => {
+  const subjects = await Subject.find({
+    units: { $elemMatch: { sections: { $elemMatch: { status: 'draft', publishAt: { $lte: now } } } } }
+  });
+
+  for (const subject of subjects) {
+    try {
+      await commitContent(subject, subject.contentVersion, { action: 'scheduled-publish' }, async () => {
+        subject.units.forEach(unit => unit.sections.forEach(section => {
+          if (section.status === 'draft' && section.publishAt && section.publishAt <= now) {
+            section.set({ status: 'published', publishedAt: now, publishAt: undefined });
+          }
+        }));
+      });
+    } catch (error) {
+      // A concurrent edit is retried on the next run
+      if (error.status !== 409) {
+        console.error('Error publishing scheduled content:', error);
+      }
+    }
+  }
+};
+
+module.exports = { commitContent, unitsAt, publishScheduledSections };
@@ -0,0 +1,78 @@
+const Subject = require('../models/Subject');
+const Enrollment = require('../models/Enrollment');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const UserBlock = require('../models/UserBlock');
+const DirectMessage = require('../models/DirectMessage');
+
+// Largest group conversation, creator included
+const maxParticipants = () => Number(process.env.CONVERSATION_MAX_PARTICIPANTS) || 10;
+
+const sameDepartment = (a, b) => Boolean(a.department) && a.degree === b.degree && a.department === b.department;
+
+const activeSubjects = (studentId) => Enrollment.find({ student: studentId, status: 'active' }).distinct('subject');
+
+/**
+ * Whether two users (with role, degree and department) may start a conversation:
+ * a teacher and a student enrolled in one of their subjects, classmates, alumni with
+ * students or alumni of their department or their mentees, and teachers of the same
+ * department with each other and with its alumni.
+ */
+const canMessage = async (a, b) => {
+  if (String(a._id) === String(b._id)) return false;
+  // Pending and deactivated accounts can neither start nor receive conversations
+  if ([a, b].some(user => ['pending', 'deactivated'].includes(user.status))) return false;
+  const roles = [a.role, b.role].sort().join('-');
+  const byRole = (role) => (a.role === role ? a : b);
+
+  if (roles === 'student-teacher') {
+    const subjectIds = await Subject.find({ creator: byRole('teacher')._id }).distinct('_id');
+    return Boolean(await Enrollment.exists({ student: byRole('student')._id, subject: { $in: subjectIds }, status: 'active' }));
+  }
+  if (roles === 'student-student') {
+    const subjectIds = await activeSubjects(a._id);
+    return Boolean(await Enrollment.exists({ student: b._id, subject: { $in: subjectIds }, status: 'active' }));
+  }
+  if (roles === 'alumni-student') {
+    if (sameDepartment(a, b)) return true;
+    return Boolean(await MentorshipRequest.exists({ student: byRole('student')._id, mentor: byRole('alumni')._id, status: 'accepted' }));
+  }
+  // Alumni with alumni, teachers with teachers, and teachers with alumni
+  return sameDepartment(a, b);
+};
+
+// Whether either user has blocked the other
+const isBlocked = async (a, b) => Boolean(await UserBlock.exists({
+  $or: [{ blocker: a, blocked: b }, { blocker: b, blocked: a }]
+}));
+
+// Whether the user and any of the others have blocked one another, e.g. before
+// someone joins a group
+const isBlockedWithAny = async (userId, otherIds) => Boolean(await UserBlock.exists({
+  $or: [{ blocker: userId, blocked: { $in: otherIds } }, { blocker: { $in: otherIds }, blocked: userId }]
+}));
+
+// Messages from others since the user last read the conversation
+const unreadCount = (conversation, userId) => {
+  const participant = conversation.participant(userId);
+  const filter = { conversation: conversation._id, sender: { $ne: userId } };
+  if (participant && participant.lastReadAt) filter.createdAt = { $gt: participant.lastReadAt };
+  return DirectMessage.countDocuments(filter);
+};
+
+// A message with the other participants who have read it
+const messageView = (message, conversation) => ({
+  ...message.toObject(),
+  readBy: conversation.participants
+    .filter(item => String(item.user._id || item.user) !== String(message.sender._id || message.sender))
+    .filter(item => item.lastReadAt && item.lastReadAt >= message.createdAt)
+    .map(item => item.user._id || item.user)
+});
+
+// Push an event to every participant's personal socket room
+const emitToParticipants = (io, conversation, event, payload) => {
+  conversation.participants.forEach(item => {
+    io.to(`user:${item.user._id || item.user}`).emit(event, payload);
+  });
+};
+
+module.exports = { maxParticipants, canMessage, isBlocked, isBlockedWithAny, unreadCount, messageView, emitToParticipants };
@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { findMentionedUsers } = require('../utils/mentions');
+const { notify, notifyMany } = require('./notifications');
+
+// Socket.io room for a subject's discussion
+const subjectRoom = (subjectId) => `subject:${subjectId}`;
+
+// The subject's teacher and active students, for resolving @mentions
+const subjectMembers = async (subject) => {
+  const studentIds = await Enrollment.find({ subject: subject._id, status: 'active' }).distinct('student');
+  return User.find({ _id: { $in: [subject.creator, ...studentIds] } }).select('name email');
+};
+
+// Ids of the subject members @mentioned in the text
+const resolveMentions = async (subject, text) => {
+  if (!text || !text.includes('@')) return [];
+  return findMentionedUsers(text, await subjectMembers(subject)).map(member => member._id);
+};
+
+// The student's enrollment if they are currently muted in the subject
+const activeMute = (subjectId, userId, now = new Date()) => Enrollment.findOne({
+  subject: subjectId,
+  student: userId,
+  mutedAt: { $ne: null },
+  $or: [{ mutedUntil: null }, { mutedUntil: { $gt: now } }]
+});
+
+// Send a message to everyone in the subject room as a student would see it
+const broadcastMessage = (io, event, message) => {
+  io.to(subjectRoom(message.subject)).emit(event, message.viewFor(null));
+};
+
+// Tell newly mentioned members, and the thread's author about a reply
+const notifyParticipants = async (subject, message, { mentions = [], parent = null } = {}) => {
+  const sender = message.sender;
+  if (mentions.length) {
+    await notifyMany(mentions, {
+      type: 'chat-mention',
+      title: `${sender.name} mentioned you in ${subject.title}`,
+      body: message.text.slice(0, 200),
+      link: `/subjects/${subject._id}/chat`,
+      data: { subjectId: subject._id, messageId: message._id }
+    }, { exclude: sender._id });
+  }
+  const mentionedAuthor = parent && mentions.some(id => String(id) === String(parent.sender));
+  if (parent && !mentionedAuthor && String(parent.sender) !== String(sender._id)) {
+    await notify(parent.sender, {
+      type: 'chat-reply',
+      title: `${sender.name} replied to your message in ${subject.title}`,
+      body: message.text.slice(0, 200),
+      link: `/subjects/${subject._id}/chat`,
+      data: { subjectId: subject._id, messageId: message._id, parentId: parent._id }
+    });
+  }
+};
+
+module.exports = { subjectRoom, resolveMentions, activeMute, broadcastMessage, notifyParticipants };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const File = require('../models/File');
+const Subject = require('../models/Subject');
+const Assignment = require('../models/Assignment');
+const JobApplication = require('../models/JobApplication');
+const DirectMessage = require('../models/DirectMessage');
+const Conversation = require('../models/Conversation');
+const { canAccessSubject } = require('../middleware/authorize');
+const { getStorage } = require('./storage');
+const { detectFileType } = require('../utils/fileType');
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+// Documents, images, archives and plain text or source code
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.*',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/zip',
+  'application/json',
+  'image/*',
+  'text/*',
+];
+
+const uploadLimits = () => ({
+  maxBytes: Number(process.env.UPLOAD_MAX_BYTES) || DEFAULT_MAX_BYTES,
+  allowedTypes: process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+});
+
+// Whether a MIME type matches a list of types, where "image/*" style entries match a prefix
+const typeAllowed = (mimeType, allowedTypes) => allowedTypes.some(allowed => (
+  allowed.endsWith('*') ? mimeType.startsWith(allowed.slice(0, -1)) : mimeType === allowed
+));
+
+/**
+ * Middleware reading one file from the `field` multipart field into memory as
+ * req.file. Its mimetype is replaced by the type detected from its contents, which
+ * is what allowedTypes is checked against. Oversized files get 413 and disallowed
+ * types 415. Pass `allowedTypes: null` to accept any type, e.g. for imports whose
+ * contents are parsed anyway.
+ */
+const acceptUpload = (field, options = {}) => {
+  const { maxBytes, allowedTypes } = { ...uploadLimits(), ...options };
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (!error) {
+      if (req.file) {
+        req.file.mimetype = detectFileType(req.file.buffer, req.file.originalname);
+        if (allowedTypes && !typeAllowed(req.file.mimetype, allowedTypes)) {
+          return res.status(415).json({ message: `Files of type ${req.file.mimetype} are not allowed` });
+        }
+      }
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Files must be at most ${maxBytes} bytes` });
+    }
+    if (error.status || error instanceof multer.MulterError) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+// Random storage key keeping a sanitized extension so downloads get a sensible type
+const storageKey = (originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '').slice(0, 10);
+  return crypto.randomBytes(16).toString('hex') + extension;
+};
+
+/**
+ * Save an uploaded file (from acceptUpload) to the configured backend and record it.
+ * `access` is 'subject' or 'private', see the File model. Returns the File document.
+ */
+const storeUpload = async (file, { owner, subject, access = 'private' }) => {
+  const storage = getStorage();
+  const storedName = storageKey(file.originalname);
+  await storage.put(storedName, file.buffer, { contentType: file.mimetype });
+  try {
+    return await File.create({
+      owner,
+      subject,
+      access,
+      originalName: file.originalname,
+      storedName,
+      storage: storage.name,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      url: `/api/files/${storedName}`,
+    });
+  } catch (error) {
+    await storage.remove(storedName).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Files uploaded before file records existed sit on local disk and are only known
+ * through the subject or assignment linking them. Returns a File-like description
+ * for access checks, or null when nothing links the name.
+ */
+const findLegacyFile = async (storedName) => {
+  const url = `/api/files/${storedName}`;
+  const described = (fields) => ({ storedName, storage: 'local', originalName: storedName.replace(/^\d+-/, ''), ...fields });
+
+  const subject = await Subject.findOne({ 'units.sections.files.url': url }).select('_id');
+  if (subject) return described({ subject: subject._id, access: 'subject' });
+
+  const assignment = await Assignment.findOne({ $or: [{ 'file.url': url }, { 'submissions.file.url': url }] })
+    .select('subject file submissions.student submissions.file');
+  if (!assignment) return null;
+  if (assignment.file && assignment.file.url === url) {
+    return described({ subject: assignment.subject, access: 'subject', originalName: assignment.file.name });
+  }
+  const submission = assignment.submissions.find(item => item.file && item.file.url === url);
+  return described({ subject: assignment.subject, owner: submission.student, access: 'private', originalName: submission.file.name });
+};
+
+// Whether a file was shared with the user: sent as a resume to a
+// job they posted, or attached to a direct message in one of their conversations
+const sharedWith = async (user, file) => {
+  if (!file._id) return false;
+  if (await JobApplication.exists({ resume: file._id, postedBy: user.userId })) return true;
+  const conversationIds = await DirectMessage.find({ attachments: file._id }).distinct('conversation');
+  return conversationIds.length > 0
+    && Boolean(await Conversation.exists({ _id: { $in: conversationIds }, 'participants.user': user.userId }));
+};
+
+// Whether a user may download a file: its owner, the subject's teacher, anyone in the
+// subject for subject files, or someone the file was shared with
+const canReadFile = async (user, file) => {
+  if (file.owner && String(file.owner) === String(user.userId)) return true;
+  const subject = file.subject && await Subject.findById(file.subject).select('creator');
+  if (subject && String(subject.creator) === String(user.userId)) return true;
+  if (subject && file.access === 'subject' && await canAccessSubject(user, subject)) return true;
+  return sharedWith(user, file);
+};
+
+// Readable stream of a file's contents from the backend it was stored in
+const openFile = (file) => getStorage(file.storage || 'local').get(file.storedName);
+
+// A file's whole contents as a Buffer
+const readFile = async (file) => {
+  const chunks = [];
+  for await (const chunk of await openFile(file)) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// The File record behind a /api/files/... URL, or a legacy description of it
+const findFileByUrl = async (url) => {
+  const match = /^\/api\/files\/([^/?#]+)$/.exec(url || '');
+  if (!match) return null;
+  const storedName = decodeURIComponent(match[1]);
+  return await File.findOne({ storedName }) || findLegacyFile(storedName);
+};
+
+module.exports = { acceptUpload, storeUpload, findLegacyFile, findFileByUrl, canReadFile, openFile, readFile };
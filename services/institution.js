@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Degree = require('../models/Degree');
+const Department = require('../models/Department');
+const AlumniProfile = require('../models/AlumniProfile');
+const AlumniMessage = require('../models/AlumniMessage');
+const JobPosting = require('../models/JobPosting');
+
+// Models that store degree and department names as plain strings
+const COHORT_MODELS = [User, Subject, AlumniProfile, JobPosting, AlumniMessage];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactly = (text) => new RegExp(`^${escapeRegex(String(text).trim())}$`, 'i');
+
+// The active entry matching a name, code or alias regardless of case, or null
+const resolve = (Model, input) => {
+  const text = String(input || '').trim();
+  if (!text) return Promise.resolve(null);
+  return Model.findOne({
+    active: true,
+    $or: [{ name: exactly(text) }, { code: text.toUpperCase() }, { aliases: text.toLowerCase() }]
+  });
+};
+
+const resolveDegree = (input) => resolve(Degree, input);
+const resolveDepartment = (input) => resolve(Department, input);
+
+/**
+ * Resolve free-text degree and department input to canonical names. Returns
+ * { degree, department } or { errors } naming the unknown ones.
+ */
+const resolveCohort = async (degreeInput, departmentInput) => {
+  const degree = await resolveDegree(degreeInput);
+  const department = await resolveDepartment(departmentInput);
+  const errors = [];
+  if (!degree) errors.push({ path: 'degree', msg: `Unknown degree "${degreeInput || ''}"` });
+  if (!department) errors.push({ path: 'department', msg: `Unknown department "${departmentInput || ''}"` });
+  return errors.length ? { errors } : { degree: degree.name, department: department.name };
+};
+
+/**
+ * Rewrite `field` ('degree' or 'department') from any of `names` (matched without
+ * case) to `to` across every model storing it. Returns the number of documents
+ * changed per model.
+ */
+const renameCohort = async (field, names, to) => {
+  const counts = {};
+  for (const Model of COHORT_MODELS) {
+    const result = await Model.updateMany(
+      { [field]: { $in: names.map(exactly) } },
+      { $set: { [field]: to } }
+    );
+    counts[Model.modelName] = result.modifiedCount;
+  }
+  return counts;
+};
+
+/**
+ * Merge a duplicate department into another: users, subjects and everything else
+ * filed under the duplicate's name or aliases move to the target, whose aliases
+ * take over the duplicate's so later signups resolve to the target.
+ */
+const mergeDepartments = async (source, target) => {
+  const names = [source.name, ...source.aliases];
+  const moved = await renameCohort('department', names, target.name);
+
+  target.aliases = Array.from(new Set([...target.aliases, ...names.map(name => name.toLowerCase())]));
+  await target.save();
+  source.set({ active: false, mergedInto: target._id });
+  await source.save();
+  return moved;
+};
+
+module.exports = { COHORT_MODELS, resolveDegree, resolveDepartment, resolveCohort, renameCohort, mergeDepartments };
@@ -0,0 +1,48 @@
+const { getRateLimitStore } = require('./rateLimit');
+
+// Failed logins are counted per account and per client IP. Once either count reaches its
+// threshold within the window, further attempts are locked out for a period that doubles
+// with every additional failure, up to a maximum.
+const minutes = (name, fallback) => (Number(process.env[name]) || fallback) * 60 * 1000;
+const ATTEMPT_WINDOW_MS = minutes('LOGIN_ATTEMPT_WINDOW_MINUTES', 60);
+const LOCKOUT_BASE_MS = minutes('LOGIN_LOCKOUT_MINUTES', 1);
+const LOCKOUT_MAX_MS = minutes('LOGIN_LOCKOUT_MAX_MINUTES', 60);
+const MAX_ATTEMPTS = {
+  account: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+  ip: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+};
+
+const counters = (email, ip) => [
+  { scope: 'account', key: `login:account:${String(email).trim().toLowerCase()}` },
+  { scope: 'ip', key: `login:ip:${ip}` },
+];
+
+const lockoutFor = (count, max) => Math.min(LOCKOUT_BASE_MS * 2 ** (count - max), LOCKOUT_MAX_MS);
+
+// Milliseconds until the account or IP may try again, or 0 when neither is locked
+const lockedFor = async (email, ip, now = Date.now()) => {
+  const store = getRateLimitStore();
+  const lockedUntil = await Promise.all(counters(email, ip).map(({ key }) => store.get(`${key}:lock`)));
+  return Math.max(0, ...lockedUntil.map(until => (until ? until - now : 0)));
+};
+
+// Count a failed attempt, locking the account or IP once it reaches its threshold
+const recordFailure = async (email, ip, now = Date.now()) => {
+  const store = getRateLimitStore();
+  await Promise.all(counters(email, ip).map(async ({ scope, key }) => {
+    const { count } = await store.increment(key, ATTEMPT_WINDOW_MS);
+    if (count >= MAX_ATTEMPTS[scope]) {
+      const duration = lockoutFor(count, MAX_ATTEMPTS[scope]);
+      await store.set(`${key}:lock`, now + duration, duration);
+    }
+  }));
+};
+
+// A successful login clears the account's failures; the IP's count runs out on its own
+const recordSuccess = async (email) => {
+  const store = getRateLimitStore();
+  const [{ key }] = counters(email);
+  await Promise.all([store.remove(key), store.remove(`${key}:lock`)]);
+};
+
+module.exports = { lockedFor, recordFailure, recordSuccess };
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport configured from the environment. Defaults to a local capture
+// server such as MailHog or smtp4dev on port 1025.
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with nodemailer's jsonTransport in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().sendMail({
+  from: process.env.MAIL_FROM || 'Student Diary <no-reply@studentdiary.local>',
+  to,
+  subject,
+  text,
+  html,
+});
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,129 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendMail } = require('./mailer');
+
+// Event types users can set preferences for, with whether email is on by default
+const NOTIFICATION_TYPES = {
+  'assignment-posted': { email: false },
+  'grades-published': { email: true },
+  'grade-updated': { email: true },
+  'chat-mention': { email: false },
+  'chat-reply': { email: false },
+  'message-reported': { email: false },
+  'calendar-updated': { email: false },
+  'task-reminder': { email: true },
+  'assignment-reminder': { email: true },
+  'attendance-low': { email: true },
+  'mentorship-requested': { email: true },
+  'mentorship-answered': { email: true },
+  'job-application': { email: false },
+  'application-updated': { email: true },
+  'teacher-signup': { email: true },
+  'account-updated': { email: true },
+};
+
+// Delivery channels by name. A channel is { send(notification, user) } where
+// notification is { type, title, body, link, data } and user is a User document.
+const channels = new Map();
+
+const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+// Channels named in NOTIFICATION_CHANNELS, or every registered channel
+const enabledChannels = () => {
+  const configured = process.env.NOTIFICATION_CHANNELS;
+  if (!configured) return Array.from(channels.keys());
+  return configured.split(',').map(name => name.trim()).filter(name => channels.has(name));
+};
+
+// A user's effective preference for a type: { enabled, email }
+const preferenceFor = (user, type) => {
+  const defaults = { enabled: true, email: false, ...NOTIFICATION_TYPES[type] };
+  const stored = user.notificationPreferences && user.notificationPreferences.get(type);
+  return {
+    enabled: stored && typeof stored.enabled === 'boolean' ? stored.enabled : defaults.enabled,
+    email: stored && typeof stored.email === 'boolean' ? stored.email : defaults.email,
+  };
+};
+
+// Stores the notification for the in-app notification list
+const inAppChannel = {
+  send: async (notification, user) => {
+    const saved = await Notification.create({ ...notification, user: user._id });
+    notification.id = saved._id;
+  },
+};
+
+// Pushes the notification to the user's connected sockets
+const createSocketChannel = (io) => ({
+  send: async (notification, user) => {
+    io.to(`user:${user._id}`).emit('notification', notification);
+  },
+});
+
+const emailChannel = {
+  send: async (notification, user) => {
+    await sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: notification.body || notification.title,
+    });
+  },
+};
+
+const deliver = async (user, notification, options) => {
+  const preference = preferenceFor(user, notification.type);
+  if (!preference.enabled) return;
+
+  const names = (options.channels || enabledChannels())
+    .filter(name => channels.has(name))
+    .filter(name => name !== 'email' || preference.email);
+  // Each user gets their own copy so channels can attach ids
+  const payload = { ...notification, createdAt: new Date() };
+  for (const name of names) {
+    try {
+      await channels.get(name).send(payload, user);
+    } catch (error) {
+      console.error(`Error sending notification through ${name}:`, error);
+    }
+  }
+};
+
+/**
+ * Send a notification to a user through the enabled channels, or only `options.channels`,
+ * honouring the user's preferences for its type. A failing channel is logged and does
+ * not stop the others.
+ */
+const notify = async (userId, notification, options = {}) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+  await deliver(user, notification, options);
+};
+
+// Send the same notification to several users, skipping `options.exclude` (e.g. the actor)
+const notifyMany = async (userIds, notification, options = {}) => {
+  const excluded = new Set((options.exclude ? [].concat(options.exclude) : []).map(String));
+  const ids = Array.from(new Set(userIds.map(String))).filter(id => !excluded.has(id));
+  const users = await User.find({ _id: { $in: ids } });
+  for (const user of users) {
+    await deliver(user, notification, options);
+  }
+};
+
+// Run a notification without holding up the response; failures are only logged
+const notifyInBackground = (promise) => {
+  promise.catch(error => console.error('Error sending notifications:', error));
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  registerChannel,
+  inAppChannel,
+  createSocketChannel,
+  emailChannel,
+  preferenceFor,
+  notify,
+  notifyMany,
+  notifyInBackground,
+};
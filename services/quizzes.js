@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Grade = require('../models/Grade');
+const GradeAudit = require('../models/GradeAudit');
+const GradingScheme = require('../models/GradingScheme');
+const Subject = require('../models/Subject');
+const { httpError } = require('../middleware/authorize');
+const { notify, notifyInBackground } = require('./notifications');
+
+// Answers arriving this soon after the deadline still count, to allow for network delay
+const GRACE_MS = (Number(process.env.QUIZ_GRACE_SECONDS) || 5) * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const shuffle = (items) => {
+  const shuffled = items.slice();
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const other = crypto.randomInt(index + 1);
+    [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+  }
+  return shuffled;
+};
+
+/**
+ * Start an attempt for a student, or return the attempt they already have in
+ * progress. The deadline is the time limit or the quiz's closing time, whichever
+ * comes first, and is enforced on every save.
+ */
+const startAttempt = async (quiz, studentId, now = new Date()) => {
+  if (quiz.status !== 'published') throw httpError(404, 'Quiz not found');
+  if (quiz.opensAt && now < quiz.opensAt) throw httpError(403, 'This quiz has not opened yet');
+  if (quiz.closesAt && now >= quiz.closesAt) throw httpError(403, 'This quiz has closed');
+
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, student: studentId }).sort({ number: 1 });
+  const current = attempts.find(attempt => attempt.status === 'in-progress');
+  if (current) {
+    if (current.isOpenAt(now, GRACE_MS)) return { attempt: current, created: false };
+    await finalizeAttempt(current, quiz, { now });
+  }
+  if (attempts.length >= quiz.maxAttempts) {
+    throw httpError(403, 'You have used all your attempts for this quiz');
+  }
+
+  const deadlines = [];
+  if (quiz.timeLimitMinutes) deadlines.push(new Date(now.getTime() + quiz.timeLimitMinutes * 60 * 1000));
+  if (quiz.closesAt) deadlines.push(quiz.closesAt);
+
+  const questions = quiz.shuffleQuestions ? shuffle(quiz.questions) : quiz.questions;
+  const attempt = await QuizAttempt.create({
+    quiz: quiz._id,
+    subject: quiz.subject,
+    student: studentId,
+    number: attempts.length + 1,
+    startedAt: now,
+    deadline: deadlines.length ? new Date(Math.min(...deadlines)) : undefined,
+    order: questions.map(question => ({
+      question: question._id,
+      options: (quiz.shuffleOptions ? shuffle(question.options) : question.options).map(option => option._id),
+    })),
+  });
+  return { attempt, created: true };
+};
+
+/**
+ * An attempt as its student sees it: questions in their order without answer keys,
+ * the saved answers, and once submitted the score and points per question.
+ */
+const attemptView = (attempt, quiz, now = new Date()) => {
+  const answers = new Map(attempt.answers.map(answer => [String(answer.question), answer]));
+  const submitted = attempt.status === 'submitted';
+  return {
+    _id: attempt._id,
+    quiz: { _id: quiz._id, title: quiz.title, description: quiz.description },
+    number: attempt.number,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    remainingSeconds: !submitted && attempt.deadline
+      ? Math.max(0, Math.floor((attempt.deadline.getTime() - now.getTime()) / 1000))
+      : null,
+    submittedAt: attempt.submittedAt,
+    expired: attempt.expired,
+    score: submitted ? attempt.score : undefined,
+    maxScore: attempt.maxScore,
+    questions: attempt.order.map(item => {
+      const question = quiz.questions.id(item.question);
+      if (!question) return null;
+      const answer = answers.get(String(question._id));
+      return {
+        _id: question._id,
+        type: question.type,
+        prompt: question.prompt,
+        points: question.points,
+        options: item.options.map(id => question.options.id(id)).filter(Boolean).map(option => ({ _id: option._id, text: option.text })),
+        answer: answer ? { selectedOptions: answer.selectedOptions, number: answer.number, text: answer.text } : null,
+        earned: submitted ? (answer ? answer.points : 0) : undefined,
+      };
+    }).filter(Boolean),
+  };
+};
+
+// Check answers against the quiz and turn them into stored answer entries
+const parseAnswers = (quiz, answers, now) => {
+  if (!Array.isArray(answers)) throw httpError(400, 'Answers must be a list');
+  return answers.map(input => {
+    const question = input && quiz.questions.id(input.question);
+    if (!question) throw httpError(400, 'Answer for an unknown question');
+    const answer = { question: question._id, answeredAt: now };
+    if (question.type === 'mcq' || question.type === 'multi-select') {
+      const selected = [].concat(input.selectedOptions || []).map(String);
+      if (selected.some(id => !question.options.id(id))) throw httpError(400, 'Answer with an unknown option');
+      if (question.type === 'mcq' && selected.length > 1) throw httpError(400, 'Choose only one option for this question');
+      answer.selectedOptions = selected;
+    } else if (question.type === 'numeric') {
+      const number = input.number === '' || input.number === null || input.number === undefined ? undefined : Number(input.number);
+      if (number !== undefined && isNaN(number)) throw httpError(400, 'Numeric answers must be numbers');
+      answer.number = number;
+    } else {
+      answer.text = input.text === undefined || input.text === null ? '' : String(input.text).slice(0, 1000);
+    }
+    return answer;
+  });
+};
+
+/**
+ * Save answers into an in-progress attempt, replacing earlier answers to the same
+ * questions. Rejected with 410 once the deadline has passed.
+ */
+const saveAnswers = async (attempt, quiz, answers, now = new Date()) => {
+  if (!attempt.isOpenAt(now, GRACE_MS)) throw httpError(410, 'This attempt has ended; answers can no longer be changed');
+  const parsed = parseAnswers(quiz, answers, now);
+  const byQuestion = new Map(attempt.answers.map(answer => [String(answer.question), answer.toObject()]));
+  parsed.forEach(answer => byQuestion.set(String(answer.question), answer));
+  const merged = Array.from(byQuestion.values());
+
+  const filter = { _id: attempt._id, status: 'in-progress' };
+  if (attempt.deadline) filter.deadline = { $gte: new Date(now.getTime() - GRACE_MS) };
+  const result = await QuizAttempt.updateOne(filter, { $set: { answers: merged } });
+  if (!result.matchedCount) throw httpError(410, 'This attempt has ended; answers can no longer be changed');
+  attempt.set({ answers: merged });
+  return attempt;
+};
+
+/**
+ * Write a student's quiz results into their Grade for the quiz's grading component:
+ * the counted attempt of each published quiz feeding that component, as a share of
+ * those quizzes' points scaled to the component's max marks. Locked grades are left
+ * alone. Returns whether the grade changed.
+ */
+const syncQuizGrade = async (quiz, studentId) => {
+  if (!quiz.gradeComponent) return false;
+  const scheme = await GradingScheme.forSubject(quiz.subject);
+  const component = scheme.components.find(item => item.key === quiz.gradeComponent);
+  if (!component) return false;
+
+  const quizzes = await Quiz.find({ subject: quiz.subject, gradeComponent: quiz.gradeComponent, status: 'published' });
+  const attempts = await QuizAttempt.find({ quiz: { $in: quizzes.map(item => item._id) }, student: studentId, status: 'submitted' })
+    .sort({ number: 1 });
+
+  let earned = 0;
+  let possible = 0;
+  quizzes.forEach(item => {
+    const own = attempts.filter(attempt => String(attempt.quiz) === String(item._id));
+    if (!own.length) return;
+    const counted = item.scoringPolicy === 'latest'
+      ? own[own.length - 1]
+      : own.reduce((best, attempt) => (attempt.score > best.score ? attempt : best));
+    earned += counted.score;
+    possible += counted.maxScore;
+  });
+  if (!possible) return false;
+  const marks = round((earned / possible) * component.maxMarks);
+
+  let grade = await Grade.findOne({ student: studentId, subject: quiz.subject });
+  const isNew = !grade;
+  if (isNew) grade = new Grade({ student: studentId, subject: quiz.subject });
+  if (grade.locked) return false;
+
+  const changes = grade.diffMarks({ [component.key]: marks });
+  if (!changes.length) return false;
+  changes.forEach(change => grade.components.set(change.component, change.newValue));
+  await grade.save();
+
+  const reason = `Auto-graded from quiz "${quiz.title}"`;
+  await GradeAudit.record(grade, quiz.creator, isNew ? 'create' : 'update', { changes, reason });
+  if (grade.status === 'published') {
+    const subject = await Subject.findById(quiz.subject).select('title');
+    notifyInBackground(notify(studentId, {
+      type: 'grade-updated',
+      title: `Your marks in ${subject ? subject.title : 'a subject'} were updated`,
+      body: reason,
+      link: `/subjects/${quiz.subject}/grades`,
+      data: { subjectId: quiz.subject, quizId: quiz._id }
+    }));
+  }
+  return true;
+};
+
+/**
+ * Grade and close an in-progress attempt. Only answers saved before the deadline
+ * count. Returns the attempt, or null when it had already been closed.
+ */
+const finalizeAttempt = async (attempt, quiz, { now = new Date(), expired = false } = {}) => {
+  const answers = attempt.answers.map(answer => {
+    const question = quiz.questions.id(answer.question);
+    const value = answer.toObject();
+    return { ...value, points: question ? round(quiz.pointsFor(question, value)) : 0 };
+  });
+  const pastDeadline = attempt.deadline && now.getTime() > attempt.deadline.getTime() + GRACE_MS;
+  const update = {
+    status: 'submitted',
+    submittedAt: pastDeadline ? attempt.deadline : now,
+    expired: expired || Boolean(pastDeadline),
+    answers,
+    score: round(answers.reduce((total, answer) => total + answer.points, 0)),
+    maxScore: quiz.totalPoints(),
+  };
+
+  const closed = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in-progress' },
+    { $set: update },
+    { new: true }
+  );
+  if (!closed) return null;
+  attempt.set(update);
+
+  try {
+    await syncQuizGrade(quiz, attempt.student);
+  } catch (error) {
+    // The attempt is graded; the grade can be recalculated by the next attempt or by hand
+    console.error('Error updating grade from quiz:', error);
+  }
+  return attempt;
+};
+
+// Close attempts whose deadline has passed without the student submitting
+const finalizeExpiredAttempts = async (now = new Date()) => {
+  const attempts = await QuizAttempt.find({
+    status: 'in-progress',
+    deadline: { $lt: new Date(now.getTime() - GRACE_MS) }
+  });
+  const quizzes = new Map();
+  for (const attempt of attempts) {
+    const key = String(attempt.quiz);
+    if (!quizzes.has(key)) quizzes.set(key, await Quiz.findById(attempt.quiz));
+    const quiz = quizzes.get(key);
+    if (quiz) await finalizeAttempt(attempt, quiz, { now, expired: true });
+  }
+};
+
+module.exports = { GRACE_MS, startAttempt, attemptView, saveAnswers, finalizeAttempt, finalizeExpiredAttempts, syncQuizGrade };
@@ -0,0 +1,30 @@
+const { createMemoryStore } = require('./memory');
+
+// Counter stores by name. A store is { name, increment(key, ttlMs), get(key), set(key, value, ttlMs), remove(key) }
+// where increment resolves to { count, expiresAt } for the window starting at the key's first hit.
+const factories = {
+  memory: createMemoryStore,
+  // Loaded on demand so the Redis client is only required when Redis is used
+  redis: () => require('./redis').createRedisStore(),
+};
+
+let store = null;
+
+// The store chosen by RATE_LIMIT_STORE (memory by default)
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!factories[name]) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = factories[name]();
+  }
+  return store;
+};
+
+// Replace the store, e.g. with a fresh memory store in tests
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = { getRateLimitStore, setRateLimitStore };
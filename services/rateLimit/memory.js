@@ -0,0 +1,47 @@
+// Counters kept in this process. Fine for a single server; use the Redis store when
+// several instances share the limits.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired entries now and then so idle keys do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, ttlMs) => {
+      const now = Date.now();
+      const entry = live(key, now) || { value: 0, expiresAt: now + ttlMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, expiresAt: new Date(entry.expiresAt) };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    remove: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,38 @@
+const { createClient } = require('redis');
+
+// Counters in Redis (REDIS_URL), shared by every server instance
+const createRedisStore = () => {
+  const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  client.on('error', (error) => console.error('Redis error:', error));
+  const ready = client.connect();
+  const prefix = process.env.RATE_LIMIT_PREFIX || 'studentdiary:';
+
+  return {
+    name: 'redis',
+    increment: async (key, ttlMs) => {
+      await ready;
+      // The window starts with the first hit; later hits do not extend it
+      const [, count, ttl] = await client.multi()
+        .set(prefix + key, '0', { PX: ttlMs, NX: true })
+        .incr(prefix + key)
+        .pTTL(prefix + key)
+        .exec();
+      return { count: Number(count), expiresAt: new Date(Date.now() + Math.max(Number(ttl), 0)) };
+    },
+    get: async (key) => {
+      await ready;
+      const value = await client.get(prefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+    set: async (key, value, ttlMs) => {
+      await ready;
+      await client.set(prefix + key, JSON.stringify(value), { PX: ttlMs });
+    },
+    remove: async (key) => {
+      await ready;
+      await client.del(prefix + key);
+    },
+  };
+};
+
+module.exports = { createRedisStore };
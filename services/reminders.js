@@ -0,0 +1,122 @@
+const Task = require('../models/Task');
+const Assignment = require('../models/Assignment');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const ReminderLog = require('../models/ReminderLog');
+const { notify } = require('./notifications');
+
+// Longest lead time a user can choose, in minutes (one week)
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+
+const formatRemaining = (minutes) => {
+  if (minutes >= 24 * 60) {
+    const days = Math.round(minutes / (24 * 60));
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes >= 60) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  const rounded = Math.max(1, Math.round(minutes));
+  return `${rounded} minute${rounded === 1 ? '' : 's'}`;
+};
+
+// Record a reminder, returning false when it was already sent
+const claimReminder = async (user, kind, item, leadMinutes) => {
+  try {
+    await ReminderLog.create({ user, kind, item, leadMinutes });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const leadKey = (user, item, leadMinutes) => `${user}:${item}:${leadMinutes}`;
+
+// Lead times already logged for the items, as leadKey strings
+const loggedLeads = async (kind, items) => {
+  const logs = await ReminderLog.find({ kind, item: { $in: items } }).select('user item leadMinutes');
+  return new Set(logs.map(log => leadKey(log.user, log.item, log.leadMinutes)));
+};
+
+/**
+ * Claim every lead time the item has crossed that is not in `logged` yet, and return
+ * the remaining minutes if the most urgent one was claimed now. Claiming the longer
+ * lead times too means a task created close to its deadline gets one reminder rather
+ * than one per lead time.
+ */
+const dueLeadTime = async (user, kind, item, dueDate, now, logged) => {
+  const remaining = (dueDate.getTime() - now.getTime()) / 60000;
+  const crossed = (user.reminderLeadTimes || [])
+    .filter(lead => remaining <= lead)
+    .sort((a, b) => a - b);
+  if (!crossed.length) return null;
+
+  let sendLead = null;
+  for (const lead of crossed) {
+    if (logged.has(leadKey(user._id, item, lead))) continue;
+    const claimed = await claimReminder(user._id, kind, item, lead);
+    if (claimed && lead === crossed[0]) {
+      sendLead = lead;
+    }
+  }
+  return sendLead === null ? null : remaining;
+};
+
+const remindTasks = async (now, windowEnd) => {
+  const tasks = await Task.find({ completed: false, dueDate: { $gt: now, $lte: windowEnd } });
+  const users = await User.find({ _id: { $in: tasks.map(task => task.creator) } }).select('reminderLeadTimes');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+  const logged = await loggedLeads('task', tasks.map(task => task._id));
+
+  for (const task of tasks) {
+    const user = usersById.get(String(task.creator));
+    if (!user) continue;
+    const remaining = await dueLeadTime(user, 'task', task._id, task.dueDate, now, logged);
+    if (remaining === null) continue;
+    await notify(user._id, {
+      type: 'task-reminder',
+      title: `Task due in ${formatRemaining(remaining)}`,
+      body: `"${task.text}" is due on ${task.dueDate.toUTCString()}.`,
+      link: '/tasks',
+      data: { taskId: task._id, dueDate: task.dueDate },
+    });
+  }
+};
+
+const remindAssignments = async (now, windowEnd) => {
+  const assignments = await Assignment.find({ dueDate: { $gt: now, $lte: windowEnd } })
+    .select('title dueDate subject submissions.student')
+    .populate('subject', 'title');
+
+  for (const assignment of assignments) {
+    if (!assignment.subject) continue;
+    const submitted = new Set(assignment.submissions.map(submission => String(submission.student)));
+    const enrollments = await Enrollment.find({ subject: assignment.subject._id, status: 'active' })
+      .populate('student', 'reminderLeadTimes');
+    const logged = await loggedLeads('assignment', [assignment._id]);
+
+    for (const { student } of enrollments) {
+      if (!student || submitted.has(String(student._id))) continue;
+      const remaining = await dueLeadTime(student, 'assignment', assignment._id, assignment.dueDate, now, logged);
+      if (remaining === null) continue;
+      await notify(student._id, {
+        type: 'assignment-reminder',
+        title: `Assignment due in ${formatRemaining(remaining)}`,
+        body: `${assignment.subject.title}: "${assignment.title}" is due on ${assignment.dueDate.toUTCString()}.`,
+        link: `/subjects/${assignment.subject._id}/assignments`,
+        data: { assignmentId: assignment._id, subjectId: assignment.subject._id, dueDate: assignment.dueDate },
+      });
+    }
+  }
+};
+
+// Scheduled job: send reminders for unfinished tasks and unsubmitted assignments
+const sendDueReminders = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + MAX_LEAD_MINUTES * 60 * 1000);
+  await remindTasks(now, windowEnd);
+  await remindAssignments(now, windowEnd);
+};
+
+module.exports = { sendDueReminders, MAX_LEAD_MINUTES };
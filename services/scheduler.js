@@ -0,0 +1,36 @@
+// In-process job scheduler. Each job runs on a fixed interval and never overlaps
+// with its own previous run.
+const jobs = new Map();
+
+const schedule = (name, intervalMs, run) => {
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Error running scheduled job ${job.name}:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const start = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    runJob(job);
+  });
+};
+
+const stop = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = { schedule, start, stop };
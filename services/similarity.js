@@ -0,0 +1,178 @@
+const { Worker } = require('worker_threads');
+const SimilarityReport = require('../models/SimilarityReport');
+const { findFileByUrl } = require('./files');
+const { extractText } = require('./similarityWorker');
+
+// Bounds on one run: larger files, submissions past the limits and files past the total
+// are skipped, and a run taking longer than SIMILARITY_TIMEOUT_MS is stopped
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+const MAX_SUBMISSIONS = 200;
+const runTimeoutMs = () => Number(process.env.SIMILARITY_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// A run still marked running after this long is assumed to have died with the process
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+// Where the worker can read a file linked as { name, url }, e.g. a submission or an
+// assignment's starter file
+const describeLinkedFile = async (link) => {
+  const file = link && await findFileByUrl(link.url);
+  if (!file) throw new Error('File not found');
+  if (file.size > MAX_FILE_BYTES) throw new Error('File is too large to compare');
+  return {
+    storage: file.storage || 'local',
+    storedName: file.storedName,
+    name: file.originalName || link.name,
+    mimeType: file.mimeType || '',
+    size: file.size || 0,
+  };
+};
+
+const startWorker = (task, input) => new Promise((resolve, reject) => {
+  const worker = new Worker(require.resolve('./similarityWorker'), {
+    workerData: { task, input },
+    resourceLimits: { maxOldGenerationSizeMb: 512 },
+  });
+  const timer = setTimeout(() => {
+    worker.terminate();
+    reject(new Error('Similarity check timed out'));
+  }, runTimeoutMs());
+  worker.once('message', ({ result, error }) => {
+    clearTimeout(timer);
+    worker.terminate();
+    if (error) reject(new Error(error));
+    else resolve(result);
+  });
+  worker.once('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  worker.once('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Similarity worker exited with code ${code}`));
+  });
+});
+
+// Only one worker runs at a time in a process; later tasks wait for it to finish
+let workerQueue = Promise.resolve();
+
+// Run a task of similarityWorker in a worker thread, stopping it after the timeout
+const runInWorker = (task, input) => {
+  const run = workerQueue.then(() => startWorker(task, input));
+  workerQueue = run.catch(() => {});
+  return run;
+};
+
+const latestSubmissions = (assignment) => {
+  const latest = new Map();
+  assignment.submissions.forEach(submission => {
+    const key = String(submission.student);
+    if (!latest.has(key) || latest.get(key).version < submission.version) latest.set(key, submission);
+  });
+  return Array.from(latest.values());
+};
+
+/**
+ * Compare the latest submission of every student of an assignment with each other
+ * and save the pairs at or above the report's threshold with their shared passages.
+ * Files are looked up here; reading, extraction and comparison run in a worker thread.
+ */
+const runSimilarityCheck = async (assignment, report) => {
+  try {
+    let starter = null;
+    if (assignment.file && assignment.file.url) {
+      // Without a readable starter file every fingerprint is compared
+      starter = await describeLinkedFile(assignment.file).catch(() => null);
+    }
+
+    const submissions = [];
+    const files = [];
+    const skipped = [];
+    let totalBytes = 0;
+    for (const submission of latestSubmissions(assignment)) {
+      if (submissions.length >= MAX_SUBMISSIONS) {
+        skipped.push({ student: submission.student, submission: submission._id, reason: `Only ${MAX_SUBMISSIONS} submissions are compared` });
+        continue;
+      }
+      try {
+        const file = await describeLinkedFile(submission.file);
+        if (totalBytes + file.size > MAX_TOTAL_BYTES) throw new Error('The submissions together are too large to compare');
+        totalBytes += file.size;
+        files.push(file);
+        submissions.push(submission);
+      } catch (error) {
+        skipped.push({ student: submission.student, submission: submission._id, reason: error.message });
+      }
+    }
+
+    // Sizes are checked again as files are read, since older files have no recorded size
+    const result = await runInWorker('findSimilarPairs', {
+      starter,
+      files,
+      threshold: report.threshold,
+      maxBytes: MAX_FILE_BYTES,
+      maxTotalBytes: MAX_TOTAL_BYTES,
+    });
+    result.skipped.forEach(({ index, reason }) => {
+      skipped.push({ student: submissions[index].student, submission: submissions[index]._id, reason });
+    });
+    const pairs = result.pairs.map(({ a, b, similarity, passages }) => ({
+      studentA: submissions[a].student,
+      submissionA: submissions[a]._id,
+      studentB: submissions[b].student,
+      submissionB: submissions[b]._id,
+      similarity,
+      passages,
+    }));
+
+    report.set({ status: 'complete', completedAt: new Date(), compared: result.compared, pairs, skipped, error: undefined });
+  } catch (error) {
+    console.error('Error checking submission similarity:', error);
+    report.set({ status: 'failed', completedAt: new Date(), error: 'The similarity check could not be completed' });
+  }
+  await report.save();
+  return report;
+};
+
+/**
+ * Start a similarity check of an assignment in the background, replacing the last
+ * report. Returns the running report, or null when a check is already running.
+ */
+const startSimilarityCheck = async (assignment, { requestedBy, threshold }) => {
+  const current = await SimilarityReport.findOne({ assignment: assignment._id });
+  if (current && current.status === 'running' && Date.now() - current.startedAt.getTime() < STALE_RUN_MS) {
+    return null;
+  }
+
+  const report = current || new SimilarityReport({ assignment: assignment._id, subject: assignment.subject });
+  report.set({
+    status: 'running',
+    requestedBy,
+    threshold: threshold === undefined ? 0.3 : threshold,
+    startedAt: new Date(),
+    completedAt: undefined,
+    error: undefined,
+    compared: 0,
+    pairs: [],
+    skipped: [],
+  });
+  await report.save();
+
+  setImmediate(() => {
+    runSimilarityCheck(assignment, report).catch(error => console.error('Error saving similarity report:', error));
+  });
+  return report;
+};
+
+// The texts behind one reported pair, for showing its passages in context. Extraction
+// runs in the worker too, so a large PDF does not hold up other requests.
+const pairTexts = async (assignment, pair) => {
+  const files = await Promise.all([pair.submissionA, pair.submissionB].map(id => {
+    const submission = assignment.submissions.id(id);
+    return submission ? describeLinkedFile(submission.file).catch(() => null) : null;
+  }));
+  const [a, b] = await runInWorker('extractTexts', { files, maxBytes: MAX_FILE_BYTES }).catch(() => [null, null]);
+  return { a, b };
+};
+
+module.exports = { extractText, runSimilarityCheck, startSimilarityCheck, pairTexts };
@@ -0,0 +1,143 @@
+const path = require('path');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const { getStorage } = require('./storage');
+const { analyze, compareDocuments } = require('../utils/similarity');
+
+// Text extraction and comparison for similarity checks. This is CPU-bound, so
+// services/similarity runs it in a worker thread instead of on the API's event loop.
+// Files are passed as { storage, storedName, name, mimeType } and read here one at a
+// time, so only one file's contents is held in memory at once.
+
+const CODE_EXTENSIONS = new Set([
+  '.c', '.cc', '.cpp', '.cs', '.go', '.h', '.hpp', '.java', '.js', '.jsx', '.kt', '.m', '.php',
+  '.py', '.rb', '.rs', '.scala', '.sh', '.sql', '.swift', '.ts', '.tsx',
+]);
+const TEXT_EXTENSIONS = new Set(['.txt', '.md', '.csv', '.json', '.html', '.xml']);
+
+// Longer texts are cut off to keep a run's time and memory bounded
+const MAX_TEXT_LENGTH = 200 * 1000;
+
+/**
+ * Extract comparable text from a file's contents: { text, kind } where kind is
+ * 'code' or 'prose'. Throws for types that cannot be read.
+ */
+const extractText = async (buffer, { name = '', mimeType = '' } = {}) => {
+  const extension = path.extname(name).toLowerCase();
+  let text;
+  let kind = 'prose';
+  if (mimeType === 'application/pdf' || extension === '.pdf') {
+    text = (await pdfParse(buffer)).text;
+  } else if (CODE_EXTENSIONS.has(extension)) {
+    text = buffer.toString('utf8');
+    kind = 'code';
+  } else if (mimeType.startsWith('text/') || TEXT_EXTENSIONS.has(extension)) {
+    text = buffer.toString('utf8');
+  } else {
+    throw new Error(`Cannot read text from ${mimeType || extension || 'this file type'}`);
+  }
+  return { text: text.slice(0, MAX_TEXT_LENGTH), kind };
+};
+
+// A stored file's contents, refusing files larger than maxBytes without reading them whole
+const readStoredFile = async (file, maxBytes, tooLarge = 'File is too large to compare') => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of await getStorage(file.storage || 'local').get(file.storedName)) {
+    size += chunk.length;
+    if (size > maxBytes) throw new Error(tooLarge);
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Text of each stored file, or null for files that are missing, larger than maxBytes
+// or cannot be read
+const extractTexts = async ({ files, maxBytes = Infinity }) => {
+  const texts = [];
+  for (const file of files) {
+    try {
+      if (!file) throw new Error('File not found');
+      texts.push((await extractText(await readStoredFile(file, maxBytes), file)).text);
+    } catch (error) {
+      texts.push(null);
+    }
+  }
+  return texts;
+};
+
+/**
+ * Compare stored files with each other and return the pairs at or above `threshold`
+ * as { a, b, similarity, passages } with a and b indexes into `files`, plus
+ * { index, reason } for files that could not be read. `maxBytes` bounds each file and
+ * `maxTotalBytes` the submissions together. Fingerprints found in the starter file, or
+ * in at least half of four or more files, count as starter or boilerplate text and
+ * are ignored.
+ */
+const findSimilarPairs = async ({ starter, files, threshold, maxBytes = Infinity, maxTotalBytes = Infinity }) => {
+  const ignore = new Set();
+  if (starter) {
+    try {
+      const { text, kind } = await extractText(await readStoredFile(starter, maxBytes), starter);
+      // Submissions may be code or prose, so the starter text is fingerprinted both ways
+      analyze(text, kind).fingerprints.forEach(item => ignore.add(item.hash));
+      analyze(text, kind === 'code' ? 'prose' : 'code').fingerprints.forEach(item => ignore.add(item.hash));
+    } catch (error) {
+      // Without a readable starter file every fingerprint is compared
+    }
+  }
+
+  const documents = [];
+  const skipped = [];
+  let total = 0;
+  for (const [index, file] of files.entries()) {
+    try {
+      const remaining = maxTotalBytes - total;
+      const buffer = remaining < maxBytes
+        ? await readStoredFile(file, remaining, 'The submissions together are too large to compare')
+        : await readStoredFile(file, maxBytes);
+      total += buffer.length;
+      documents.push({ index, ...(await extractText(buffer, file)) });
+    } catch (error) {
+      skipped.push({ index, reason: error.message });
+    }
+  }
+
+  let analyzed = documents.map(document => ({ ...document, analysis: analyze(document.text, document.kind, ignore) }));
+  if (analyzed.length >= 4) {
+    const counts = new Map();
+    analyzed.forEach(({ analysis }) => new Set(analysis.fingerprints.map(item => item.hash))
+      .forEach(hash => counts.set(hash, (counts.get(hash) || 0) + 1)));
+    const common = Array.from(counts).filter(([, count]) => count >= analyzed.length / 2).map(([hash]) => hash);
+    if (common.length) {
+      common.forEach(hash => ignore.add(hash));
+      analyzed = documents.map(document => ({ ...document, analysis: analyze(document.text, document.kind, ignore) }));
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0; i < analyzed.length; i++) {
+    for (let j = i + 1; j < analyzed.length; j++) {
+      const first = analyzed[i];
+      const second = analyzed[j];
+      // Code is only compared with code and prose with prose
+      if (first.kind !== second.kind) continue;
+      const { similarity, passages } = compareDocuments(first.analysis, second.analysis);
+      if (similarity > 0 && similarity >= threshold) {
+        pairs.push({ a: first.index, b: second.index, similarity, passages });
+      }
+    }
+  }
+  pairs.sort((x, y) => y.similarity - x.similarity);
+  return { compared: analyzed.length, pairs, skipped };
+};
+
+const tasks = { findSimilarPairs, extractTexts };
+
+if (!isMainThread && workerData && tasks[workerData.task]) {
+  tasks[workerData.task](workerData.input)
+    .then(result => parentPort.postMessage({ result }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = { extractText, extractTexts, findSimilarPairs };
@@ -0,0 +1,29 @@
+const { createLocalStorage } = require('./local');
+
+// Storage backends by name. A backend is { name, put(key, buffer, { contentType }), get(key), remove(key) }
+// where get resolves to a readable stream.
+const factories = {
+  local: createLocalStorage,
+  // Loaded on demand so the AWS SDK is only required when S3 is used
+  s3: () => require('./s3').createS3Storage(),
+};
+
+const backends = new Map();
+
+// The backend with the given name, or the one chosen by STORAGE_BACKEND (local by default)
+const getStorage = (name = process.env.STORAGE_BACKEND || 'local') => {
+  if (!backends.has(name)) {
+    if (!factories[name]) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+    backends.set(name, factories[name]());
+  }
+  return backends.get(name);
+};
+
+// Replace a backend, e.g. with one pointed at a local stand-in server in tests
+const setStorage = (name, backend) => {
+  backends.set(name, backend);
+};
+
+module.exports = { getStorage, setStorage };
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files in a directory on local disk (UPLOAD_DIR, default ./uploads)
+const createLocalStorage = (root = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')) => {
+  const baseDir = path.resolve(root);
+  fs.mkdirSync(baseDir, { recursive: true });
+
+  // Keys are single file names; anything that could leave the directory is rejected
+  const resolve = (key) => {
+    if (typeof key !== 'string' || !key || /[\/\\\0]/.test(key) || key.startsWith('.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    const filePath = path.resolve(baseDir, key);
+    if (path.dirname(filePath) !== baseDir) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      await fs.promises.writeFile(resolve(key), buffer, { flag: 'wx' });
+    },
+    get: async (key) => {
+      const filePath = resolve(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,40 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * Stores files in an S3 bucket. S3_ENDPOINT points the client at an S3-compatible
+ * server such as MinIO, which is addressed with path-style URLs.
+ */
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || '',
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage backend');
+  }
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: 's3',
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: prefix + key, Body: buffer, ContentType: contentType }));
+    },
+    get: async (key) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+      return response.Body;
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+    },
+  };
+};
+
+module.exports = { createS3Storage };
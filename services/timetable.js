@@ -0,0 +1,130 @@
+const TimetableSlot = require('../models/TimetableSlot');
+const Subject = require('../models/Subject');
+const Enrollment = require('../models/Enrollment');
+const Assignment = require('../models/Assignment');
+const Task = require('../models/Task');
+const { calendarDays } = require('./attendance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timetable times are local to this offset from UTC
+const utcOffsetMinutes = () => Number(process.env.CLASS_UTC_OFFSET_MINUTES) || 0;
+
+// The moment a local "HH:MM" time falls at on a day (given as UTC midnight)
+const timeOn = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getTime() + (hours * 60 + minutes - utcOffsetMinutes()) * 60 * 1000);
+};
+
+// The local day ('YYYY-MM-DD') a moment falls on
+const localDay = (date) => new Date(date.getTime() + utcOffsetMinutes() * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Other slots that overlap the given one in time and share its teacher or room.
+ * Rooms are compared case-insensitively; slots with term bounds only clash when
+ * their terms overlap.
+ */
+const findClashes = async (slot) => {
+  const shared = [{ teacher: slot.teacher }];
+  if (slot.room) shared.push({ room: slot.room });
+
+  const conditions = [{ $or: shared }];
+  if (slot.validUntil) conditions.push({ $or: [{ validFrom: null }, { validFrom: { $lte: slot.validUntil } }] });
+  if (slot.validFrom) conditions.push({ $or: [{ validUntil: null }, { validUntil: { $gte: slot.validFrom } }] });
+
+  const clashes = await TimetableSlot.find({
+    _id: { $ne: slot._id },
+    weekday: slot.weekday,
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime },
+    $and: conditions
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .populate('subject', 'title')
+    .populate('teacher', 'name');
+
+  const sameRoom = (other) => Boolean(slot.room && other.room) && slot.room.toLowerCase() === other.room.toLowerCase();
+  return clashes.map(other => ({
+    slot: other,
+    teacher: String(other.teacher && other.teacher._id) === String(slot.teacher),
+    room: sameRoom(other)
+  }));
+};
+
+// Subjects whose classes and deadlines belong in a user's week
+const subjectsFor = async (user) => {
+  if (user.role === 'student') {
+    return Enrollment.find({ student: user.userId, status: 'active' }).distinct('subject');
+  }
+  if (user.role === 'teacher') {
+    const own = await Subject.find({ creator: user.userId }).distinct('_id');
+    const taught = await TimetableSlot.find({ teacher: user.userId }).distinct('subject');
+    const ids = new Map(own.concat(taught).map(id => [String(id), id]));
+    return Array.from(ids.values());
+  }
+  return [];
+};
+
+/**
+ * A user's week (Monday to Sunday) around the given day: their classes, calendar
+ * entries, assignment deadlines and tasks for each day. Classes on a holiday are
+ * included but marked cancelled.
+ */
+const weekSchedule = async (user, date) => {
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  const sunday = new Date(monday.getTime() + 6 * DAY_MS);
+  const rangeStart = timeOn(monday, '00:00');
+  const rangeEnd = new Date(rangeStart.getTime() + 7 * DAY_MS);
+
+  const subjectIds = await subjectsFor(user);
+  const slotFilter = user.role === 'teacher'
+    ? { $or: [{ subject: { $in: subjectIds } }, { teacher: user.userId }] }
+    : { subject: { $in: subjectIds } };
+  const slots = await TimetableSlot.find(slotFilter)
+    .populate('subject', 'title')
+    .populate('teacher', 'name')
+    .sort({ startTime: 1 });
+  const calendar = await calendarDays(monday, sunday);
+  const assignments = await Assignment.find({ subject: { $in: subjectIds }, dueDate: { $gte: rangeStart, $lt: rangeEnd } })
+    .select('title dueDate subject submissions.student')
+    .populate('subject', 'title')
+    .sort({ dueDate: 1 });
+  const tasks = await Task.find({ creator: user.userId, dueDate: { $gte: rangeStart, $lt: rangeEnd } })
+    .sort({ dueDate: 1 });
+
+  const days = [];
+  for (let index = 0; index < 7; index++) {
+    const day = new Date(monday.getTime() + index * DAY_MS);
+    const key = day.toISOString().slice(0, 10);
+    const entries = calendar.get(key) || [];
+    const holiday = entries.find(entry => entry.category === 'holiday');
+
+    days.push({
+      date: key,
+      weekday: TimetableSlot.WEEKDAYS[day.getUTCDay()],
+      calendar: entries.map(entry => ({ _id: entry._id, description: entry.description, category: entry.category })),
+      classes: slots.filter(slot => slot.subject && slot.runsOn(day)).map(slot => ({
+        slot: slot._id,
+        subject: slot.subject,
+        teacher: slot.teacher,
+        room: slot.room,
+        startsAt: timeOn(day, slot.startTime),
+        endsAt: timeOn(day, slot.endTime),
+        cancelled: Boolean(holiday),
+        cancelledFor: holiday ? holiday.description : undefined
+      })),
+      deadlines: assignments.filter(assignment => localDay(assignment.dueDate) === key).map(assignment => ({
+        assignment: assignment._id,
+        title: assignment.title,
+        subject: assignment.subject,
+        dueDate: assignment.dueDate,
+        submitted: user.role === 'student' ? assignment.submissionsBy(user.userId).length > 0 : undefined
+      })),
+      tasks: tasks.filter(task => localDay(task.dueDate) === key)
+    });
+  }
+
+  return { from: monday.toISOString().slice(0, 10), to: sunday.toISOString().slice(0, 10), days };
+};
+
+module.exports = { utcOffsetMinutes, timeOn, findClashes, weekSchedule };
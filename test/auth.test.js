@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { startServer, postJson, query } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Degree = require('../models/Degree');
+const Department = require('../models/Department');
+const AuthToken = require('../models/AuthToken');
+const authRoutes = require('../routes/auth');
+const { authenticateToken } = require('../middleware/auth');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+// Sessions and users are saved in memory only
+const stubSaves = (t) => {
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+  t.mock.method(Session.prototype, 'save', async function () { return this; });
+  t.mock.method(AuthToken, 'deleteMany', async () => ({}));
+  t.mock.method(AuthToken, 'create', async () => ({}));
+};
+
+describe('auth routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(app => app.use('/api/auth', authRoutes));
+  });
+
+  after(() => server.close());
+
+  describe('POST /api/auth/signup', () => {
+    const signup = {
+      email: 'new.student@example.com',
+      password: 'secret1',
+      role: 'student',
+      name: 'New Student',
+      degree: 'bca',
+      department: 'computer science',
+    };
+
+    it('creates an active student with canonical cohort names and returns tokens', async (t) => {
+      stubSaves(t);
+      t.mock.method(User, 'findOne', () => query(null));
+      t.mock.method(Degree, 'findOne', () => query({ name: 'BCA' }));
+      t.mock.method(Department, 'findOne', () => query({ name: 'Computer Science' }));
+
+      const { status, body } = await postJson(`${server.url}/api/auth/signup`, signup);
+
+      assert.equal(status, 201);
+      assert.equal(body.role, 'student');
+      assert.ok(body.refreshToken);
+      const saved = User.prototype.save.mock.calls[0].this;
+      assert.equal(saved.degree, 'BCA');
+      assert.equal(saved.department, 'Computer Science');
+      assert.notEqual(saved.password, signup.password);
+      const payload = jwt.verify(body.token, process.env.JWT_SECRET);
+      assert.equal(payload.userId, String(saved._id));
+      assert.equal(payload.role, 'student');
+    });
+
+    it('leaves teachers pending without tokens', async (t) => {
+      stubSaves(t);
+      t.mock.method(User, 'findOne', () => query(null));
+      t.mock.method(User, 'find', () => query([]));
+      t.mock.method(Degree, 'findOne', () => query({ name: 'BCA' }));
+      t.mock.method(Department, 'findOne', () => query({ name: 'Computer Science' }));
+
+      const { status, body } = await postJson(`${server.url}/api/auth/signup`, { ...signup, role: 'teacher' });
+
+      assert.equal(status, 201);
+      assert.equal(body.status, 'pending');
+      assert.equal(body.token, undefined);
+    });
+
+    it('rejects an email that is already registered', async (t) => {
+      t.mock.method(User, 'findOne', () => query({ _id: objectId() }));
+
+      const { status, body } = await postJson(`${server.url}/api/auth/signup`, signup);
+
+      assert.equal(status, 400);
+      assert.match(body.message, /already exists/);
+    });
+
+    it('rejects unknown degrees and invalid fields', async (t) => {
+      t.mock.method(User, 'findOne', () => query(null));
+      t.mock.method(Degree, 'findOne', () => query(null));
+      t.mock.method(Department, 'findOne', () => query({ name: 'Computer Science' }));
+
+      const unknown = await postJson(`${server.url}/api/auth/signup`, signup);
+      assert.equal(unknown.status, 400);
+      assert.deepEqual(unknown.body.errors.map(error => error.path), ['degree']);
+
+      const invalid = await postJson(`${server.url}/api/auth/signup`, { ...signup, email: 'nope', role: 'admin' });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors.map(error => error.path).sort(), ['email', 'role']);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    let password;
+
+    before(async () => {
+      password = await bcrypt.hash('secret1', 4);
+    });
+
+    const account = (email, fields = {}) => ({
+      _id: objectId(),
+      email,
+      password,
+      role: 'student',
+      status: 'active',
+      name: 'Sam Student',
+      ...fields,
+    });
+
+    it('returns tokens for the right email, password and role', async (t) => {
+      stubSaves(t);
+      const user = account('sam@example.com');
+      t.mock.method(User, 'findOne', () => query(user));
+
+      const { status, body } = await postJson(`${server.url}/api/auth/login`, { email: user.email, password: 'secret1', role: 'student' });
+
+      assert.equal(status, 200);
+      assert.equal(body.role, 'student');
+      assert.ok(body.refreshToken);
+      assert.equal(jwt.verify(body.token, process.env.JWT_SECRET).userId, String(user._id));
+    });
+
+    it('rejects a wrong password', async (t) => {
+      const user = account('wrong.password@example.com');
+      t.mock.method(User, 'findOne', () => query(user));
+
+      const { status, body } = await postJson(`${server.url}/api/auth/login`, { email: user.email, password: 'secret2', role: 'student' });
+
+      assert.equal(status, 400);
+      assert.equal(body.message, 'Invalid credentials');
+    });
+
+    it('answers a role mismatch like bad credentials, without revealing the role', async (t) => {
+      const user = account('role.mismatch@example.com', { role: 'teacher' });
+      t.mock.method(User, 'findOne', () => query(user));
+
+      const { status, body } = await postJson(`${server.url}/api/auth/login`, { email: user.email, password: 'secret1', role: 'student' });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body, { message: 'Invalid credentials' });
+    });
+
+    it('refuses accounts awaiting approval', async (t) => {
+      const user = account('pending.teacher@example.com', { role: 'teacher', status: 'pending' });
+      t.mock.method(User, 'findOne', () => query(user));
+
+      const { status } = await postJson(`${server.url}/api/auth/login`, { email: user.email, password: 'secret1', role: 'teacher' });
+
+      assert.equal(status, 403);
+    });
+  });
+});
+
+describe('authenticateToken', () => {
+  let server;
+  const userId = String(objectId());
+
+  before(async () => {
+    server = await startServer(app => app.get('/whoami', authenticateToken, (req, res) => res.json(req.user)));
+  });
+
+  after(() => server.close());
+
+  const whoami = async (token) => {
+    const res = await fetch(`${server.url}/whoami`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('accepts the current { userId, role } payload and exposes both shapes', async (t) => {
+    t.mock.method(Session, 'findById', () => query({ revokedAt: null }));
+    const sessionId = String(objectId());
+
+    const { status, body } = await whoami(sign({ userId, role: 'teacher', sessionId }));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { userId, role: 'teacher', sessionId, user: { id: userId, role: 'teacher' } });
+  });
+
+  it('accepts the legacy { user: { id, role } } payload', async () => {
+    const { status, body } = await whoami(sign({ user: { id: userId, role: 'student' } }));
+
+    assert.equal(status, 200);
+    assert.equal(body.userId, userId);
+    assert.equal(body.role, 'student');
+    assert.deepEqual(body.user, { id: userId, role: 'student' });
+  });
+
+  it('rejects missing, forged, malformed and revoked tokens', async (t) => {
+    assert.equal((await whoami()).status, 401);
+    assert.equal((await whoami(jwt.sign({ userId, role: 'student' }, 'another-secret'))).status, 403);
+    assert.equal((await whoami(sign({ role: 'student' }))).status, 403);
+
+    t.mock.method(Session, 'findById', () => query({ revokedAt: new Date() }));
+    assert.equal((await whoami(sign({ userId, role: 'student', sessionId: String(objectId()) }))).status, 403);
+  });
+
+  it('refuses unverified users when verification is required', async (t) => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    t.after(() => delete process.env.REQUIRE_EMAIL_VERIFICATION);
+    t.mock.method(User, 'findById', () => query({ emailVerifiedAt: null }));
+
+    const { status, body } = await whoami(sign({ userId, role: 'student' }));
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'EMAIL_NOT_VERIFIED');
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startServer, postJson, query } = require('./helpers');
+const Subject = require('../models/Subject');
+const Assignment = require('../models/Assignment');
+const Enrollment = require('../models/Enrollment');
+const {
+  authorize,
+  permitFields,
+  httpError,
+  ownsSubject,
+  enrolledInSubject,
+  ownsAssignmentSubject,
+  enrolledInAssignmentSubject,
+  targetStudentEnrolled,
+  matchesRoleParam,
+} = require('../middleware/authorize');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const teacherId = objectId();
+const studentId = objectId();
+const subject = { _id: objectId(), creator: teacherId };
+const assignment = { _id: objectId(), subject: subject._id };
+
+const request = (user, { params = {}, body = {} } = {}) => ({
+  user: { userId: String(user.id), role: user.role },
+  params,
+  body,
+});
+
+const teacher = { id: teacherId, role: 'teacher' };
+const otherTeacher = { id: objectId(), role: 'teacher' };
+const student = { id: studentId, role: 'student' };
+
+// Stub the subject and assignment lookups and the enrollment check
+const stubLookups = (t, { enrolled = true } = {}) => {
+  t.mock.method(Subject, 'findById', (id) => query(String(id) === String(subject._id) ? subject : null));
+  t.mock.method(Assignment, 'findById', (id) => query(String(id) === String(assignment._id) ? assignment : null));
+  t.mock.method(Enrollment, 'exists', () => query(enrolled ? { _id: objectId() } : null));
+};
+
+describe('authorize', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(app => {
+      const asUser = (req, res, next) => {
+        if (req.headers['x-role']) req.user = { userId: String(objectId()), role: req.headers['x-role'] };
+        next();
+      };
+      const deny = async () => false;
+      const notFound = async () => { throw httpError(404, 'Subject not found'); };
+      const broken = async () => { throw new Error('database down'); };
+      const ok = (req, res) => res.json({ ok: true, body: req.body });
+      app.post('/alumni', asUser, authorize('alumni'), ok);
+      app.post('/either', asUser, authorize('teacher', 'admin'), ok);
+      app.post('/denied', asUser, authorize(deny), ok);
+      app.post('/missing', asUser, authorize(notFound), ok);
+      app.post('/broken', asUser, authorize(broken), ok);
+      app.post('/fields', permitFields('text', 'completed'), ok);
+    });
+  });
+
+  after(() => server.close());
+
+  const as = (role) => (role ? { 'x-role': role } : {});
+
+  it('requires a signed-in user', async () => {
+    assert.equal((await postJson(`${server.url}/alumni`, {})).status, 401);
+  });
+
+  it('lets through only the listed roles', async () => {
+    assert.equal((await postJson(`${server.url}/alumni`, {}, as('alumni'))).status, 200);
+    assert.equal((await postJson(`${server.url}/alumni`, {}, as('student'))).status, 403);
+    assert.equal((await postJson(`${server.url}/either`, {}, as('admin'))).status, 200);
+    assert.equal((await postJson(`${server.url}/either`, {}, as('student'))).status, 403);
+  });
+
+  it('answers 403 when a policy fails, the thrown status when it throws one, and 500 otherwise', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal((await postJson(`${server.url}/denied`, {}, as('student'))).status, 403);
+    const missing = await postJson(`${server.url}/missing`, {}, as('student'));
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.message, 'Subject not found');
+    assert.equal((await postJson(`${server.url}/broken`, {}, as('student'))).status, 500);
+  });
+
+  it('permitFields drops fields that are not whitelisted', async () => {
+    const { body } = await postJson(`${server.url}/fields`, { text: 'Read', completed: true, creator: String(objectId()) });
+    assert.deepEqual(body.body, { text: 'Read', completed: true });
+  });
+});
+
+describe('policies', () => {
+  it('ownsSubject passes only for the subject creator', async (t) => {
+    stubLookups(t);
+    const params = { subjectId: String(subject._id) };
+    assert.equal(await ownsSubject(request(teacher, { params })), true);
+    assert.equal(await ownsSubject(request(otherTeacher, { params })), false);
+    assert.equal(await ownsSubject(request(student, { params })), false);
+  });
+
+  it('ownsSubject reads the subject from the body and 404s on unknown ids', async (t) => {
+    stubLookups(t);
+    assert.equal(await ownsSubject(request(teacher, { body: { subjectId: String(subject._id) } })), true);
+    await assert.rejects(ownsSubject(request(teacher, { params: { subjectId: 'nope' } })), { status: 404 });
+    await assert.rejects(ownsSubject(request(teacher, { params: { subjectId: String(objectId()) } })), { status: 404 });
+  });
+
+  it('enrolledInSubject passes for the creator and actively enrolled students', async (t) => {
+    stubLookups(t);
+    const params = { subjectId: String(subject._id) };
+    assert.equal(await enrolledInSubject(request(teacher, { params })), true);
+    assert.equal(await enrolledInSubject(request(student, { params })), true);
+    assert.equal(await enrolledInSubject(request(otherTeacher, { params })), false);
+    assert.deepEqual(Enrollment.exists.mock.calls[0].arguments[0], { subject: subject._id, student: String(studentId), status: 'active' });
+  });
+
+  it('enrolledInSubject fails for students without an active enrollment', async (t) => {
+    stubLookups(t, { enrolled: false });
+    assert.equal(await enrolledInSubject(request(student, { params: { subjectId: String(subject._id) } })), false);
+  });
+
+  it('assignment policies check the assignment subject', async (t) => {
+    stubLookups(t);
+    const params = { assignmentId: String(assignment._id) };
+    assert.equal(await ownsAssignmentSubject(request(teacher, { params })), true);
+    assert.equal(await ownsAssignmentSubject(request(otherTeacher, { params })), false);
+    assert.equal(await enrolledInAssignmentSubject(request(student, { params })), true);
+    await assert.rejects(ownsAssignmentSubject(request(teacher, { params: { assignmentId: String(objectId()) } })), { status: 404 });
+  });
+
+  it('targetStudentEnrolled checks the student named in the body', async (t) => {
+    stubLookups(t);
+    const params = { subjectId: String(subject._id) };
+    assert.equal(await targetStudentEnrolled(request(teacher, { params, body: { student: String(studentId) } })), true);
+    assert.equal(String(Enrollment.exists.mock.calls[0].arguments[0].student), String(studentId));
+    await assert.rejects(targetStudentEnrolled(request(teacher, { params, body: { student: 'nope' } })), { status: 400 });
+  });
+
+  it('targetStudentEnrolled fails for students outside the subject', async (t) => {
+    stubLookups(t, { enrolled: false });
+    const params = { subjectId: String(subject._id) };
+    assert.equal(await targetStudentEnrolled(request(teacher, { params, body: { student: String(objectId()) } })), false);
+  });
+
+  it('matchesRoleParam compares the :role parameter with the user role', async () => {
+    assert.equal(await matchesRoleParam(request(student, { params: { role: 'student' } })), true);
+    assert.equal(await matchesRoleParam(request(student, { params: { role: 'teacher' } })), false);
+  });
+});
@@ -0,0 +1,60 @@
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const { setTransport } = require('../services/mailer');
+
+// Tests run without a database: queries they do not stub fail at once instead of
+// waiting for a connection, and mail goes nowhere unless a test says otherwise
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+mongoose.set('bufferCommands', false);
+setTransport(nodemailer.createTransport({ jsonTransport: true }));
+
+// Stand-in for the socket.io server routes reach through req.app.get('io')
+const fakeIo = () => {
+  const room = { emit: () => {}, disconnectSockets: () => {} };
+  return { in: () => room, to: () => room };
+};
+
+/**
+ * Serve an Express app on a free port. `mount(app)` adds the routes under test.
+ * Returns { url, close }.
+ */
+const startServer = async (mount) => {
+  const app = express();
+  app.use(express.json());
+  app.set('io', fakeIo());
+  mount(app);
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+// POST JSON and resolve to { status, body }
+const postJson = async (url, body, headers = {}) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+// A chainable stand-in for a Mongoose query resolving to `value`
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    distinct: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+module.exports = { startServer, postJson, query };
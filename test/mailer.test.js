@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { SMTPServer } = require('smtp-server');
+const { startServer, postJson, query } = require('./helpers');
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('../middleware/auth');
+const { setTransport } = require('../services/mailer');
+const { sendPasswordResetEmail } = require('../services/authTokens');
+const authRoutes = require('../routes/auth');
+
+// A local SMTP capture server, like MailHog or smtp4dev, keeping every message it receives
+const startCaptureServer = async () => {
+  const messages = [];
+  const waiting = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    onData(stream, session, callback) {
+      let raw = '';
+      stream.on('data', chunk => { raw += chunk; });
+      stream.on('end', () => {
+        const message = { to: session.envelope.rcptTo.map(rcpt => rcpt.address), raw };
+        messages.push(message);
+        waiting.splice(0).forEach(resolve => resolve(message));
+        callback();
+      });
+    },
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server.server, 'listening');
+  return {
+    port: server.server.address().port,
+    messages,
+    nextMessage: () => new Promise(resolve => waiting.push(resolve)),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+// The token in the emailed link, from the quoted-printable body
+const linkToken = (raw) => raw.replace(/=\r?\n/g, '').match(/token=3D([0-9a-f]+)/)[1];
+
+describe('mailer', () => {
+  let smtp;
+
+  before(async () => {
+    smtp = await startCaptureServer();
+    // Let the mailer build its transport from the environment, pointed at the capture server
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    setTransport(null);
+  });
+
+  after(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await smtp.close();
+  });
+
+  it('delivers password reset links over SMTP with a token matching the stored hash', async (t) => {
+    t.mock.method(AuthToken, 'deleteMany', async () => ({}));
+    t.mock.method(AuthToken, 'create', async () => ({}));
+    const user = { _id: new mongoose.Types.ObjectId(), name: 'Sam Student', email: 'sam@example.com' };
+
+    await sendPasswordResetEmail(user);
+
+    const message = smtp.messages[smtp.messages.length - 1];
+    assert.deepEqual(message.to, ['sam@example.com']);
+    assert.match(message.raw, /Subject: Reset your password/);
+    assert.match(message.raw, /Hi Sam Student/);
+    const stored = AuthToken.create.mock.calls[0].arguments[0];
+    assert.equal(stored.purpose, 'reset-password');
+    assert.equal(stored.tokenHash, hashToken(linkToken(message.raw)));
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(app => app.use('/api/auth', authRoutes));
+    });
+
+    after(() => server.close());
+
+    it('emails known addresses and answers the same for unknown ones', async (t) => {
+      t.mock.method(AuthToken, 'deleteMany', async () => ({}));
+      t.mock.method(AuthToken, 'create', async () => ({}));
+      const known = { _id: new mongoose.Types.ObjectId(), name: 'Kim', email: 'kim@example.com', status: 'active' };
+      t.mock.method(User, 'findOne', ({ email }) => query(email === known.email ? known : null));
+
+      const delivered = smtp.nextMessage();
+      const sent = await postJson(`${server.url}/api/auth/forgot-password`, { email: known.email });
+      assert.deepEqual((await delivered).to, [known.email]);
+
+      const count = smtp.messages.length;
+      const unknown = await postJson(`${server.url}/api/auth/forgot-password`, { email: 'nobody@example.com' });
+      assert.equal(unknown.status, 200);
+      assert.deepEqual(unknown.body, sent.body);
+      assert.equal(smtp.messages.length, count);
+    });
+
+    it('limits reset requests per recipient', async (t) => {
+      t.mock.method(User, 'findOne', () => query(null));
+      const email = 'flooded@example.com';
+
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await postJson(`${server.url}/api/auth/forgot-password`, { email: email.toUpperCase().slice(0, i) + email.slice(i) })).status);
+      }
+      assert.deepEqual(statuses, [200, 200, 200, 429]);
+
+      const other = await postJson(`${server.url}/api/auth/forgot-password`, { email: 'someone.else@example.com' });
+      assert.equal(other.status, 200);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pageLimit } = require('../utils/pagination');
+
+describe('pageLimit', () => {
+  it('uses the fallback when the limit is missing or not a number', () => {
+    assert.equal(pageLimit(undefined, 30, 100), 30);
+    assert.equal(pageLimit('', 30, 100), 30);
+    assert.equal(pageLimit('abc', 30, 100), 30);
+    assert.equal(pageLimit('Infinity', 30, 100), 30);
+  });
+
+  it('keeps whole limits within range', () => {
+    assert.equal(pageLimit('25', 30, 100), 25);
+    assert.equal(pageLimit(100, 30, 100), 100);
+  });
+
+  it('never returns zero, a negative number or a fraction', () => {
+    assert.equal(pageLimit('-1', 30, 100), 1);
+    assert.equal(pageLimit('0', 30, 100), 1);
+    assert.equal(pageLimit('2.7', 30, 100), 2);
+    assert.equal(pageLimit('0.5', 30, 100), 1);
+  });
+
+  it('caps the limit at the maximum', () => {
+    assert.equal(pageLimit('1000', 30, 100), 100);
+  });
+});
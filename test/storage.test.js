@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { startServer } = require('./helpers');
+const File = require('../models/File');
+const { createS3Storage } = require('../services/storage/s3');
+const { setStorage } = require('../services/storage');
+const { acceptUpload, storeUpload, readFile } = require('../services/files');
+
+// A MinIO-style stand-in: an S3-compatible server keeping objects in memory and
+// addressed with path-style URLs (/<bucket>/<key>)
+const startObjectServer = async () => {
+  const objects = new Map();
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    requests.push({ method: req.method, key, authorization: req.headers.authorization });
+
+    if (req.method === 'PUT') {
+      objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+      res.writeHead(200, { ETag: '"etag"' });
+      return res.end();
+    }
+    if (req.method === 'GET' && objects.has(key)) {
+      const { body, contentType } = objects.get(key);
+      res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': body.length });
+      return res.end(body);
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+    res.writeHead(404, { 'Content-Type': 'application/xml' });
+    res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+describe('S3 storage backend', () => {
+  let minio;
+  let storage;
+
+  before(async () => {
+    minio = await startObjectServer();
+    storage = createS3Storage({
+      bucket: 'diary',
+      endpoint: minio.endpoint,
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      prefix: 'uploads/',
+    });
+  });
+
+  after(() => minio.close());
+
+  it('puts, gets and removes signed objects under the prefix, path-style', async () => {
+    await storage.put('notes.txt', Buffer.from('Week 1 notes'), { contentType: 'text/plain' });
+
+    const stored = minio.objects.get('/diary/uploads/notes.txt');
+    assert.equal(stored.body.toString(), 'Week 1 notes');
+    assert.equal(stored.contentType, 'text/plain');
+    assert.match(minio.requests[0].authorization, /^AWS4-HMAC-SHA256 Credential=minio\//);
+
+    assert.equal((await streamToBuffer(await storage.get('notes.txt'))).toString(), 'Week 1 notes');
+
+    await storage.remove('notes.txt');
+    assert.equal(minio.objects.has('/diary/uploads/notes.txt'), false);
+    await assert.rejects(storage.get('notes.txt'), { name: 'NoSuchKey' });
+  });
+
+  it('stores uploads and reads them back through the file service', async (t) => {
+    setStorage('s3', storage);
+    process.env.STORAGE_BACKEND = 's3';
+    t.after(() => delete process.env.STORAGE_BACKEND);
+    t.mock.method(File, 'create', async (fields) => new File(fields));
+
+    const buffer = Buffer.from('%PDF-1.4 assignment');
+    const file = await storeUpload(
+      { originalname: 'Essay.PDF', mimetype: 'application/pdf', size: buffer.length, buffer },
+      { owner: new mongoose.Types.ObjectId() }
+    );
+
+    assert.equal(file.storage, 's3');
+    assert.match(file.storedName, /^[0-9a-f]{32}\.pdf$/);
+    assert.equal(minio.objects.get(`/diary/uploads/${file.storedName}`).contentType, 'application/pdf');
+    assert.equal((await readFile(file)).toString(), buffer.toString());
+  });
+});
+
+describe('acceptUpload', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(app => {
+      app.post('/upload', acceptUpload('file'), (req, res) => res.json({ mimetype: req.file.mimetype }));
+    });
+  });
+
+  after(() => server.close());
+
+  const upload = async (content, name, claimedType) => {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: claimedType }), name);
+    const res = await fetch(`${server.url}/upload`, { method: 'POST', body: form });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('records the type detected from the contents, not the claimed one', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+    assert.deepEqual((await upload(png, 'diagram.png', 'application/pdf')).body, { mimetype: 'image/png' });
+    assert.deepEqual((await upload('<svg onload="alert(1)"/>', 'logo.svg', 'image/svg+xml')).body, { mimetype: 'text/plain' });
+    assert.deepEqual((await upload(Buffer.from('PK\u0003\u0004rest'), 'report.docx', 'text/plain')).body, {
+      mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+  });
+
+  it('rejects disallowed contents whatever type is claimed', async () => {
+    const executable = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00, 0x04, 0x00]);
+    const { status } = await upload(executable, 'essay.pdf', 'application/pdf');
+    assert.equal(status, 415);
+  });
+});
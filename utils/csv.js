@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by the trimmed header names
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+const escapeCell = (value) => {
+  let cell = value === undefined || value === null ? '' : String(value);
+  // Stop spreadsheet applications from evaluating cells as formulas
+  if (/^[=+\-@]/.test(cell) && isNaN(Number(cell))) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// Serialize rows to CSV that Excel opens correctly: UTF-8 BOM and CRLF line endings
+const toCsv = (rows) => '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, parseCsvRecords, toCsv };
@@ -0,0 +1,141 @@
+// Diffs between two versions of a subject's units
+
+/**
+ * Line diff of two texts as [{ type: 'same' | 'added' | 'removed', line }], using
+ * the longest common subsequence of lines.
+ */
+const diffLines = (before, after) => {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', line: a[i++] });
+    } else {
+      lines.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', line: b[j++] });
+  return lines;
+};
+
+const idOf = (item) => String(item._id);
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+const fieldChanges = (before, after, fields) => {
+  const changes = {};
+  fields.forEach(field => {
+    if (!sameValue(before[field], after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Compare two units arrays (plain objects). Units and sections are matched by id.
+ * Returns { units: { added, removed, changed, reordered }, sections: { added, removed, changed } }
+ * where changed sections include a line diff of their content.
+ */
+const diffUnits = (beforeUnits = [], afterUnits = []) => {
+  const diff = {
+    units: { added: [], removed: [], changed: [], reordered: false },
+    sections: { added: [], removed: [], changed: [] },
+  };
+  const beforeById = new Map(beforeUnits.map(unit => [idOf(unit), unit]));
+  const afterById = new Map(afterUnits.map(unit => [idOf(unit), unit]));
+
+  const kept = beforeUnits.map(idOf).filter(id => afterById.has(id));
+  diff.units.reordered = kept.join() !== afterUnits.map(idOf).filter(id => beforeById.has(id)).join();
+
+  afterUnits.forEach(unit => {
+    if (!beforeById.has(idOf(unit))) diff.units.added.push({ id: idOf(unit), title: unit.title });
+  });
+  beforeUnits.forEach(unit => {
+    if (!afterById.has(idOf(unit))) diff.units.removed.push({ id: idOf(unit), title: unit.title });
+  });
+
+  // Sections are matched across units so a moved section counts as changed, not re-added
+  const sectionsOf = (units) => new Map(units.flatMap(unit =>
+    (unit.sections || []).map(section => [idOf(section), { ...section, unitId: idOf(unit), unitTitle: unit.title }])));
+  const beforeSections = sectionsOf(beforeUnits);
+  const afterSections = sectionsOf(afterUnits);
+
+  afterUnits.forEach(unit => {
+    const previous = beforeById.get(idOf(unit));
+    if (!previous) return;
+    const changes = fieldChanges(previous, unit, ['title']);
+    // Only sections in the unit both before and after count towards reordering
+    const previousIds = (previous.sections || []).map(idOf);
+    const currentIds = (unit.sections || []).map(idOf);
+    const order = (ids, other) => ids.filter(id => other.includes(id)).join();
+    if (order(previousIds, currentIds) !== order(currentIds, previousIds)) changes.sectionOrder = true;
+    if (Object.keys(changes).length) diff.units.changed.push({ id: idOf(unit), title: unit.title, changes });
+  });
+
+  afterSections.forEach((section, id) => {
+    const previous = beforeSections.get(id);
+    if (!previous) {
+      diff.sections.added.push({ id, unitId: section.unitId, unitTitle: section.unitTitle, title: section.title });
+      return;
+    }
+    const changes = fieldChanges(previous, section, ['title', 'status', 'publishAt', 'attachments', 'files', 'unitId']);
+    if (!sameValue(previous.content, section.content)) {
+      changes.content = diffLines(previous.content, section.content);
+    }
+    if (Object.keys(changes).length) {
+      diff.sections.changed.push({ id, unitId: section.unitId, unitTitle: section.unitTitle, title: section.title, changes });
+    }
+  });
+  beforeSections.forEach((section, id) => {
+    if (!afterSections.has(id)) {
+      diff.sections.removed.push({ id, unitId: section.unitId, unitTitle: section.unitTitle, title: section.title });
+    }
+  });
+
+  return diff;
+};
+
+// One readable line per change in a diffUnits result, for the change history
+const summarizeDiff = (diff) => {
+  const lines = [];
+  diff.units.added.forEach(unit => lines.push(`Added unit "${unit.title}"`));
+  diff.units.removed.forEach(unit => lines.push(`Removed unit "${unit.title}"`));
+  diff.units.changed.forEach(unit => {
+    if (unit.changes.title) lines.push(`Renamed unit "${unit.changes.title.from}" to "${unit.title}"`);
+    if (unit.changes.sectionOrder) lines.push(`Reordered sections in "${unit.title}"`);
+  });
+  if (diff.units.reordered) lines.push('Reordered units');
+  diff.sections.added.forEach(section => lines.push(`Added section "${section.title}" to "${section.unitTitle}"`));
+  diff.sections.removed.forEach(section => lines.push(`Removed section "${section.title}" from "${section.unitTitle}"`));
+  diff.sections.changed.forEach(section => {
+    const { changes } = section;
+    if (changes.status) {
+      lines.push(`${changes.status.to === 'published' ? 'Published' : 'Unpublished'} section "${section.title}"`);
+    } else if (changes.publishAt) {
+      lines.push(changes.publishAt.to ? `Scheduled section "${section.title}"` : `Cancelled schedule for section "${section.title}"`);
+    }
+    if (changes.unitId) lines.push(`Moved section "${section.title}" to "${section.unitTitle}"`);
+    const edited = ['title', 'content', 'attachments', 'files'].filter(field => changes[field]);
+    if (edited.length) lines.push(`Edited ${edited.join(', ')} of section "${section.title}"`);
+  });
+  return lines;
+};
+
+module.exports = { diffLines, diffUnits, summarizeDiff };
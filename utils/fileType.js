@@ -0,0 +1,67 @@
+const path = require('path');
+
+// Detect a file's MIME type from its contents rather than the type the client claims.
+// Containers shared by several formats (ZIP for Office Open XML, OLE for legacy
+// Office) are told apart by extension. Text is reported as plain text, or one of a few
+// data formats, so markup such as HTML or SVG is never stored under its own type.
+
+const SIGNATURES = [
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: 'GIF87a' },
+  { type: 'image/gif', bytes: 'GIF89a' },
+  { type: 'image/webp', bytes: 'RIFF', at: 0, and: { bytes: 'WEBP', at: 8 } },
+  { type: 'image/bmp', bytes: 'BM' },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+];
+
+const ZIP_FORMATS = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+const OLE_FORMATS = {
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+};
+
+const TEXT_FORMATS = {
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+};
+
+const startsWith = (buffer, bytes, at = 0) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= at + expected.length && buffer.subarray(at, at + expected.length).equals(expected);
+};
+
+// UTF-8 without NUL bytes in the first 8 KB
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const detectFileType = (buffer, originalName = '') => {
+  const extension = path.extname(originalName).toLowerCase();
+  const signature = SIGNATURES.find(({ bytes, at, and }) => startsWith(buffer, bytes, at) && (!and || startsWith(buffer, and.bytes, and.at)));
+  if (signature) {
+    if (signature.type === 'application/zip') return ZIP_FORMATS[extension] || signature.type;
+    if (signature.type === 'application/x-ole-storage') return OLE_FORMATS[extension] || 'application/octet-stream';
+    return signature.type;
+  }
+  if (buffer.length && looksLikeText(buffer)) return TEXT_FORMATS[extension] || 'text/plain';
+  return 'application/octet-stream';
+};
+
+module.exports = { detectFileType };
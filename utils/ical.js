@@ -0,0 +1,80 @@
+// Minimal iCalendar (RFC 5545) writer for subscribable feeds
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build an iCalendar document. Each event is
+ * { uid, summary, description, start, end, allDay, categories, rrule }.
+ * All-day events use inclusive end dates, as stored by the academic calendar.
+ */
+const buildCalendar = (name, events) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//StudentDiary//Academic Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${now}`);
+    if (event.allDay) {
+      const end = new Date((event.end || event.start).getTime() + 24 * 60 * 60 * 1000);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      lines.push(`DTEND:${formatDateTime(event.end || event.start)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// RRULE value for an academic calendar recurrence, or undefined when it does not repeat
+const recurrenceRule = (recurrence) => {
+  if (!recurrence || !recurrence.frequency || recurrence.frequency === 'none') return undefined;
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.until) {
+    parts.push(`UNTIL=${formatDate(recurrence.until)}`);
+  } else if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  return parts.join(';');
+};
+
+module.exports = { buildCalendar, recurrenceRule };
@@ -0,0 +1,36 @@
+// Sanitize Markdown source before it is stored. Raw HTML is escaped rather than
+// stripped, so no tag survives however it is nested or left unclosed, and links or
+// images with script-capable URL schemes are neutralised. The result is safe to
+// render with any Markdown renderer.
+const MAX_LENGTH = 100000;
+
+const UNSAFE_SCHEME = /^(javascript|vbscript|data|file):/i;
+
+// Browsers ignore control characters and whitespace inside a scheme and Markdown
+// renderers drop backslash escapes, so `java\tscript:` and `javascript\:` must match too
+const sanitizeUrl = (url) => {
+  const normalized = url.replace(/^&lt;/i, '').replace(/[\u0000- \u007F-\u009F\\]/g, '');
+  return UNSAFE_SCHEME.test(normalized) ? '#' : url;
+};
+
+// Escape HTML metacharacters. `&` is escaped too so entities cannot spell out a
+// scheme or a tag; `>` is kept where it marks a blockquote.
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/^( {0,3}(?:> ?)*)(.*)$/gm, (match, quote, rest) => `${quote}${rest.replace(/>/g, '&gt;')}`);
+
+const sanitizeMarkdown = (text) => {
+  if (text === undefined || text === null) return '';
+  return escapeHtml(String(text)
+    .slice(0, MAX_LENGTH)
+    // Control characters other than tab and newlines
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, ''))
+    // Inline links and images: [text](url "title")
+    // The whole destination is checked, whitespace included, as lenient renderers accept it
+    .replace(/(\]\()((?:[^()\n]|\([^()\n]*\))+)/g, (match, open, url) => `${open}${sanitizeUrl(url)}`)
+    // Reference definitions: [id]: url
+    .replace(/^( {0,3}\[[^\]]+\]:[ \t]*)(\S.*)$/gm, (match, label, url) => `${label}${sanitizeUrl(url)}`);
+};
+
+module.exports = { sanitizeMarkdown };
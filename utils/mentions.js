@@ -0,0 +1,27 @@
+// Resolve @mentions in message text against a list of users ({ _id, name, email }).
+// A handle matches a user's full name without spaces, their first name when no
+// other member shares it, or the local part of their email address.
+const findMentionedUsers = (text, members) => {
+  const handles = new Set();
+  (String(text || '').match(/(^|[^\w@])@([\w.-]+)/g) || []).forEach(match => {
+    handles.add(match.slice(match.indexOf('@') + 1).toLowerCase().replace(/[.-]+$/, ''));
+  });
+  if (!handles.size) return [];
+
+  const firstNameCounts = new Map();
+  members.forEach(member => {
+    const first = (member.name || '').split(/\s+/)[0].toLowerCase();
+    firstNameCounts.set(first, (firstNameCounts.get(first) || 0) + 1);
+  });
+
+  return members.filter(member => {
+    const name = (member.name || '').toLowerCase();
+    const first = name.split(/\s+/)[0];
+    const emailHandle = (member.email || '').split('@')[0].toLowerCase();
+    return handles.has(name.replace(/\s+/g, '')) ||
+      (first && firstNameCounts.get(first) === 1 && handles.has(first)) ||
+      (emailHandle && handles.has(emailHandle));
+  });
+};
+
+module.exports = { findMentionedUsers };
@@ -0,0 +1,10 @@
+// Page size from a ?limit value: a whole number from 1 to `max`, or `fallback` when
+// missing or not a number. Zero and negative limits are raised to 1, since MongoDB
+// reads .limit(0) as no limit at all.
+const pageLimit = (value, fallback, max) => {
+  const limit = value === undefined || value === null || value === '' ? NaN : Math.trunc(Number(value));
+  if (!Number.isFinite(limit)) return fallback;
+  return Math.min(Math.max(limit, 1), max);
+};
+
+module.exports = { pageLimit };
@@ -0,0 +1,193 @@
+// Document fingerprinting by winnowing (Schleimer, Wilkerson and Aiken, 2003), used
+// to find shared passages between submissions
+
+// Tokens per k-gram and k-grams per winnowing window, by kind of text
+const SETTINGS = {
+  prose: { k: 5, window: 4 },
+  code: { k: 10, window: 5 },
+};
+
+// Keywords of common teaching languages; other identifiers are normalized so that
+// renaming variables does not hide copied code
+const CODE_KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'assert', 'async', 'await', 'bool', 'boolean', 'break', 'byte', 'case', 'catch',
+  'char', 'class', 'const', 'continue', 'def', 'default', 'del', 'delete', 'do', 'double', 'elif', 'else',
+  'enum', 'except', 'export', 'extends', 'false', 'final', 'finally', 'float', 'for', 'from', 'func',
+  'function', 'global', 'go', 'if', 'implements', 'import', 'in', 'include', 'int', 'interface', 'is',
+  'lambda', 'let', 'long', 'new', 'None', 'nonlocal', 'not', 'null', 'or', 'package', 'pass', 'print',
+  'private', 'protected', 'public', 'raise', 'return', 'short', 'static', 'struct', 'super', 'switch',
+  'this', 'throw', 'throws', 'True', 'False', 'true', 'try', 'typedef', 'undefined', 'unsigned', 'var',
+  'void', 'while', 'with', 'yield',
+]);
+
+// Comments, strings, identifiers, numbers, then any other non-space character
+const CODE_TOKEN = /(\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|([A-Za-z_$][\w$]*)|(\d[\w.]*)|(\S)/g;
+const WORD_TOKEN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into normalized tokens with their character offsets:
+ * [{ value, start, end }]. Code drops comments and replaces identifiers, numbers
+ * and strings with placeholders; prose keeps lowercased words.
+ */
+const tokenize = (text, kind = 'prose') => {
+  const tokens = [];
+  if (kind === 'code') {
+    for (const match of text.matchAll(CODE_TOKEN)) {
+      const [raw, comment, string, identifier, number] = match;
+      if (comment) continue;
+      let value = raw;
+      if (string) value = 'S';
+      else if (identifier) value = CODE_KEYWORDS.has(identifier) ? identifier : 'V';
+      else if (number) value = 'N';
+      tokens.push({ value, start: match.index, end: match.index + raw.length });
+    }
+  } else {
+    for (const match of text.matchAll(WORD_TOKEN)) {
+      tokens.push({ value: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+};
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index++) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Fingerprint a document: hash every k-gram of tokens and keep the smallest hash of
+ * each window (the rightmost on ties), as [{ hash, position }] where position is the
+ * index of the k-gram's first token.
+ */
+const fingerprint = (tokens, { k, window }) => {
+  const hashes = [];
+  for (let index = 0; index + k <= tokens.length; index++) {
+    hashes.push(hashString(tokens.slice(index, index + k).map(token => token.value).join(' ')));
+  }
+  // Documents shorter than one window still get their smallest k-gram
+  const size = Math.min(window, hashes.length);
+  const fingerprints = [];
+  let lastPosition = -1;
+  for (let start = 0; start + size <= hashes.length && size > 0; start++) {
+    let minimum = start;
+    for (let index = start; index < start + size; index++) {
+      if (hashes[index] <= hashes[minimum]) minimum = index;
+    }
+    if (minimum !== lastPosition) {
+      fingerprints.push({ hash: hashes[minimum], position: minimum });
+      lastPosition = minimum;
+    }
+  }
+  return fingerprints;
+};
+
+/**
+ * Tokens and fingerprints of a text, with hashes in `ignore` (e.g. from starter
+ * code) left out. `kind` is 'prose' or 'code'.
+ */
+const analyze = (text, kind = 'prose', ignore = new Set()) => {
+  const settings = SETTINGS[kind] || SETTINGS.prose;
+  const tokens = tokenize(text, kind);
+  const fingerprints = fingerprint(tokens, settings).filter(item => !ignore.has(item.hash));
+  return { text, kind, k: settings.k, tokens, fingerprints };
+};
+
+// Join matched k-gram pairs into passages that run in step in both documents
+const mergeMatches = (matches, k) => {
+  const sorted = matches.slice().sort((x, y) => (x.a - y.a) || (x.b - y.b));
+  const runs = [];
+  // Matches come in order of position, so only the latest run at an offset can grow
+  const latestRun = new Map();
+  sorted.forEach(({ a, b }) => {
+    const run = latestRun.get(b - a);
+    if (run && a <= run.aEnd) {
+      run.aEnd = Math.max(run.aEnd, a + k);
+    } else {
+      const started = { aStart: a, aEnd: a + k, offset: b - a };
+      runs.push(started);
+      latestRun.set(started.offset, started);
+    }
+  });
+  return runs.map(run => ({ aStart: run.aStart, aEnd: run.aEnd, bStart: run.aStart + run.offset, bEnd: run.aEnd + run.offset }));
+};
+
+const MAX_POSITIONS_PER_HASH = 10;
+const EXCERPT_LENGTH = 300;
+
+const excerpt = (text, start, end) => {
+  const value = text.slice(start, end);
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH)}…` : value;
+};
+
+/**
+ * Compare two analyzed documents. Returns { similarity, shared, passages } where
+ * similarity is the share of the smaller document's fingerprints found in the
+ * other (0-1) and passages are [{ a: { start, end, text }, b: { start, end, text } }]
+ * with character offsets into each text, longest first.
+ */
+const compareDocuments = (first, second, { maxPassages = 20 } = {}) => {
+  if (!first.fingerprints.length || !second.fingerprints.length) {
+    return { similarity: 0, shared: 0, passages: [] };
+  }
+
+  const positions = new Map();
+  second.fingerprints.forEach(({ hash, position }) => {
+    const list = positions.get(hash) || [];
+    if (list.length < MAX_POSITIONS_PER_HASH) list.push(position);
+    positions.set(hash, list);
+  });
+
+  const sharedHashes = new Set();
+  const matches = [];
+  first.fingerprints.forEach(({ hash, position }) => {
+    const other = positions.get(hash);
+    if (!other) return;
+    sharedHashes.add(hash);
+    other.forEach(b => matches.push({ a: position, b }));
+  });
+
+  const distinct = (document) => new Set(document.fingerprints.map(item => item.hash)).size;
+  const similarity = sharedHashes.size / Math.min(distinct(first), distinct(second));
+
+  const k = Math.min(first.k, second.k);
+  const sameToken = (a, b) => a >= 0 && b >= 0 && a < first.tokens.length && b < second.tokens.length
+    && first.tokens[a].value === second.tokens[b].value;
+  const passages = mergeMatches(matches, k)
+    .map(run => {
+      // Winnowing only samples k-grams, so grow each passage to the full matching stretch
+      while (sameToken(run.aStart - 1, run.bStart - 1)) {
+        run.aStart--;
+        run.bStart--;
+      }
+      while (sameToken(run.aEnd, run.bEnd)) {
+        run.aEnd++;
+        run.bEnd++;
+      }
+      return run;
+    })
+    // Runs on the same diagonal can grow into the same passage
+    .filter((run, index, runs) => runs.findIndex(other => other.aStart === run.aStart && other.bStart === run.bStart) === index)
+    .map(run => {
+      const aStart = first.tokens[run.aStart].start;
+      const aEnd = first.tokens[Math.min(run.aEnd, first.tokens.length) - 1].end;
+      const bStart = second.tokens[run.bStart].start;
+      const bEnd = second.tokens[Math.min(run.bEnd, second.tokens.length) - 1].end;
+      return {
+        length: run.aEnd - run.aStart,
+        a: { start: aStart, end: aEnd, text: excerpt(first.text, aStart, aEnd) },
+        b: { start: bStart, end: bEnd, text: excerpt(second.text, bStart, bEnd) },
+      };
+    })
+    .sort((x, y) => y.length - x.length)
+    .slice(0, maxPassages)
+    .map(({ a, b }) => ({ a, b }));
+
+  return { similarity: Math.round(Math.min(similarity, 1) * 1000) / 1000, shared: sharedHashes.size, passages };
+};
+
+module.exports = { tokenize, fingerprint, analyze, compareDocuments };